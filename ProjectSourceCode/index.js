@@ -8,109 +8,277 @@ const pgp = require("pg-promise")();
 const bodyParser = require("body-parser");
 const session = require("express-session");
 const bcrypt = require("bcryptjs");
-const axios = require("axios");
+const { connectionConfig } = require("./src/database");
+const { pendingMigrations, label } = require("./src/migrations");
+const { createOmdbCache } = require("./src/omdbCache");
+const { createMovieProvider, SEARCH_PAGE_SIZE } = require("./src/providers");
+const { createApiRouter } = require("./src/api/v1");
+const { createSessionStore, endUserSessions } = require("./src/sessionStore");
+const { createMailer } = require("./src/mailers");
+const loginThrottle = require("./src/loginThrottle");
+const passwords = require("./src/passwords");
+const { isJsonRequest, errorBody, validate } = require("./src/validation");
+const { csrfProtection } = require("./src/csrf");
+const {
+  MAX_REVIEW_LENGTH,
+  MOVIE_REVIEW_SORTS,
+  saveReview,
+  updateReview,
+  deleteReview,
+  loadRevisions,
+} = require("./src/reviews");
+const {
+  PRIORITIES,
+  addToWatchlist,
+  removeFromWatchlist,
+  setPriority,
+  moveEntry,
+  logWatch,
+  deleteDiaryEntry,
+} = require("./src/watchlist");
+const lists = require("./src/lists");
+const imports = require("./src/imports");
+const accounts = require("./src/accounts");
+const {
+  VISIBILITIES,
+  REVIEW_SORTS,
+  WATCHLIST_PAGE_SIZE,
+  REVIEWS_PAGE_SIZE,
+  canViewProfile,
+  loadProfile,
+} = require("./src/profiles");
+const {
+  withAggregates,
+  loadAggregates,
+  parseView,
+  loadLeaderboard,
+  loadDecades,
+} = require("./src/ratings");
+const {
+  parseFilters,
+  hasFilters,
+  hasLocalFilters,
+  inYearRange,
+  searchCatalog,
+  searchReviews,
+} = require("./src/search");
+const {
+  startRecommendationJob,
+  loadRecommendations,
+} = require("./src/recommendations");
+const {
+  follow,
+  unfollow,
+  isFollowing,
+  followCounts,
+  loadFollows,
+  loadFeed,
+} = require("./src/social");
+const { parsePage, pager } = require("./src/pagination");
+const moderation = require("./src/moderation");
+const discussion = require("./src/discussion");
+const { renderMarkup, plainExcerpt } = require("./src/markup");
+const stats = require("./src/stats");
+const notifications = require("./src/notifications");
+const syndication = require("./src/syndication");
+const liveReviews = require("./src/liveReviews");
+const i18n = require("./src/i18n");
 
 const app = express();
 
 // *****************************************************
 // Handlebars Configuration
 // *****************************************************
+// Pages render inside layouts/main.hbs, which holds the document head, the
+// shared styles and the navbar. A page passes its title, extra head tags
+// and styles to the layout with {{#section "title"}}…{{/section}} and
+// {{#section "head"}}; defining an empty "navbar" section leaves the navbar
+// off (the sign-in forms).
 const hbs = handlebars.create({
   extname: "hbs",
-  layoutsDir: false,
+  layoutsDir: path.join(__dirname, "layouts"),
   partialsDir: path.join(__dirname, "partials"),
-  defaultLayout: false,
+  defaultLayout: "main",
 });
 
+// Helper: keep a block's output for the layout to place with yield
+hbs.handlebars.registerHelper("section", function (name, options) {
+  const root = options.data.root;
+  root._sections = root._sections || {};
+  root._sections[name] = options.fn(this);
+  return null;
+});
+
+// Helper: a section the page defined, or the block's own content if it
+// didn't, e.g. {{#yield "navbar"}}{{> navbar}}{{/yield}}
+hbs.handlebars.registerHelper("yield", function (name, options) {
+  const sections = options.data.root._sections || {};
+  if (Object.hasOwn(sections, name)) {
+    return new hbs.handlebars.SafeString(sections[name]);
+  }
+  return options.fn ? options.fn(this) : "";
+});
+
+// Helper: a message in the page's language, e.g. {{t "nav.signOut"}} or
+// {{t "lists.movieCount" count=entry_count}} (see src/i18n.js)
+hbs.handlebars.registerHelper("t", (key, options) =>
+  i18n.translate(options.data.root.locale, key, options.hash)
+);
+
 // Helper: equality check for templates
 hbs.handlebars.registerHelper("eq", (a, b) => a === b);
 
 // Helper: convert 0–9 index to 1–10 (Top 10 numbers)
 hbs.handlebars.registerHelper("inc", (value) => parseInt(value, 10) + 1);
 
+// Helper: short date for timestamps, e.g. "Oct 19, 2026" or "19 oct 2026"
+hbs.handlebars.registerHelper("formatDate", (value, options) =>
+  i18n.formatDate(options.data.root.locale, value)
+);
+
+// Helper: a count with the locale's digit grouping, e.g. "1,234"
+hbs.handlebars.registerHelper("formatNumber", (value, options) =>
+  i18n.formatNumber(options.data.root.locale, value)
+);
+
+// Helper: an average to one decimal place, e.g. "7.4" or "7,4"
+hbs.handlebars.registerHelper("formatDecimal", (value, options) =>
+  i18n.formatNumber(options.data.root.locale, value, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  })
+);
+
+// Helper: a review's text as HTML, built from its markup by src/markup.js
+hbs.handlebars.registerHelper(
+  "reviewHtml",
+  (text, options) =>
+    new hbs.handlebars.SafeString(
+      renderMarkup(text, { locale: options.data.root.locale })
+    )
+);
+
+// Helper: a short plain-text version of a review for lists, spoilers left out
+hbs.handlebars.registerHelper("excerpt", (text, options) =>
+  plainExcerpt(text, undefined, { locale: options.data.root.locale })
+);
+
 // *****************************************************
 // Database Configuration
 // *****************************************************
-const dbConfig = {
-  connectionString: process.env.DATABASE_URL || buildConnectionString(),
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false }
-      : false,
-};
-
-function buildConnectionString() {
-  const {
-    POSTGRES_USER,
-    POSTGRES_PASSWORD,
-    POSTGRES_DB,
-    POSTGRES_HOST,
-    POSTGRES_PORT,
-  } = process.env;
-
-  if (!POSTGRES_USER || !POSTGRES_PASSWORD || !POSTGRES_DB || !POSTGRES_HOST) {
-    throw new Error("Database environment variables are missing.");
-  }
-
-  return `postgres://${POSTGRES_USER}:${POSTGRES_PASSWORD}@${POSTGRES_HOST}:${
-    POSTGRES_PORT || 5432
-  }/${POSTGRES_DB}`;
-}
+const db = pgp(connectionConfig());
+const omdbCache = createOmdbCache(db);
+const movieProvider = createMovieProvider({ cache: omdbCache });
+const sessionStore = createSessionStore(db);
+const mailer = createMailer();
+const reviewEvents = liveReviews.createReviewEvents(db);
+
+// Unrefreshed OMDb cache rows are dropped after 30 days
+const OMDB_CACHE_MAX_AGE = 1000 * 60 * 60 * 24 * 30;
+
+// Checks the schema is current and tidies up stored data. The schema itself
+// is managed by `npm run migrate`; resolves to the migrations still pending,
+// which the server refuses to start with, and rejects if the database can't
+// be reached or checked. Only the tidying up is allowed to fail.
+async function initializeDatabase() {
+  const connection = await db.connect();
+  connection.done();
+  console.log("Database connection successful");
 
-const db = pgp(dbConfig);
+  const pending = await pendingMigrations(db);
+  if (pending.length) return pending;
 
-// Initialize Database Tables
-async function initializeDatabase() {
   try {
-    await db.connect();
-    console.log("Database connection successful");
-
-    await db.none(`
-      CREATE TABLE IF NOT EXISTS users (
-        user_id SERIAL PRIMARY KEY,
-        username VARCHAR(50) NOT NULL UNIQUE,
-        password VARCHAR(255) NOT NULL
-      )
-    `);
-
-    await db.none(`
-      CREATE TABLE IF NOT EXISTS movies (
-        movie_id SERIAL PRIMARY KEY,
-        title VARCHAR(100) NOT NULL UNIQUE,
-        release_year INT
-      )
-    `);
-
-    await db.none(`
-      CREATE TABLE IF NOT EXISTS reviews (
-        review_id SERIAL PRIMARY KEY,
-        user_id INT NOT NULL,
-        movie_id INT NOT NULL,
-        rating INT CHECK (rating BETWEEN 1 AND 10),
-        review_text CHAR(200),
-        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE
-      )
-    `);
-
-    await db.none(`
-      CREATE TABLE IF NOT EXISTS user_list (
-        list_id SERIAL PRIMARY KEY,
-        user_id INT NOT NULL,
-        movie_id INT NOT NULL,
-        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE,
-        UNIQUE (user_id, movie_id)
-      )
-    `);
-
-    console.log("All tables initialized successfully");
+    const pruned = await omdbCache.prune(OMDB_CACHE_MAX_AGE);
+    if (pruned.rowCount) {
+      console.log(`Pruned ${pruned.rowCount} old OMDb cache entries`);
+    }
+
+    await backfillMovieIds();
   } catch (error) {
     console.error("Database initialization error:", error.message);
   }
+  return [];
 }
 
-initializeDatabase();
+// Resolve rows created before movies were keyed on imdb_id. Rows that turn
+// out to be the same film are merged into the one that already has the ID.
+async function backfillMovieIds() {
+  if (!movieProvider.configured) return;
+
+  const legacy = await db.any(
+    "SELECT movie_id, title, release_year FROM movies WHERE imdb_id IS NULL"
+  );
+
+  for (const row of legacy) {
+    const movie = await movieProvider
+      .getByTitle(row.title, row.release_year)
+      .catch((err) => {
+        console.error(`Error fetching ${row.title}:`, err.message);
+        return null;
+      });
+    if (!movie) {
+      console.warn(`Could not resolve an IMDb ID for "${row.title}"`);
+      continue;
+    }
+
+    await db.tx(async (t) => {
+      const existing = await t.oneOrNone(
+        "SELECT movie_id FROM movies WHERE imdb_id = $1",
+        [movie.imdbID]
+      );
+
+      if (!existing) {
+        await t.none(
+          `UPDATE movies
+           SET imdb_id = $2, release_year = COALESCE(release_year, $3),
+               poster = COALESCE(poster, $4)
+           WHERE movie_id = $1`,
+          [row.movie_id, movie.imdbID, parseYear(movie.Year), movie.Poster]
+        );
+        return;
+      }
+
+      // A user who reviewed both rows keeps the review on the existing one,
+      // with the other filed as an earlier revision
+      await t.none(
+        `INSERT INTO review_revisions (review_id, rating, review_text, written_at)
+         SELECT k.review_id, d.rating, d.review_text, d.updated_at
+         FROM reviews d
+         JOIN reviews k ON k.user_id = d.user_id AND k.movie_id = $2
+         WHERE d.movie_id = $1`,
+        [row.movie_id, existing.movie_id]
+      );
+      await t.none(
+        `DELETE FROM reviews
+         WHERE movie_id = $1
+           AND user_id IN (SELECT user_id FROM reviews WHERE movie_id = $2)`,
+        [row.movie_id, existing.movie_id]
+      );
+      await t.none("UPDATE reviews SET movie_id = $2 WHERE movie_id = $1", [
+        row.movie_id,
+        existing.movie_id,
+      ]);
+      await t.none(
+        `DELETE FROM user_list
+         WHERE movie_id = $1
+           AND user_id IN (SELECT user_id FROM user_list WHERE movie_id = $2)`,
+        [row.movie_id, existing.movie_id]
+      );
+      await t.none(
+        "UPDATE diary_entries SET movie_id = $2 WHERE movie_id = $1",
+        [row.movie_id, existing.movie_id]
+      );
+      await t.none("UPDATE user_list SET movie_id = $2 WHERE movie_id = $1", [
+        row.movie_id,
+        existing.movie_id,
+      ]);
+      await t.none("DELETE FROM movies WHERE movie_id = $1", [row.movie_id]);
+    });
+
+    console.log(`Migrated "${row.title}" to ${movie.imdbID}`);
+  }
+}
 
 // *****************************************************
 // Express Configuration
@@ -120,11 +288,27 @@ app.set("view engine", "hbs");
 app.set("views", path.join(__dirname, "pages"));
 
 app.use(bodyParser.json());
+// Imports post whole CSV exports, so they get a bigger body limit
+app.use("/import", bodyParser.urlencoded({ extended: true, limit: "2mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Behind a reverse proxy (as on Render), TRUST_PROXY lets req.ip be the
+// client's address rather than the proxy's, which login throttling relies on
+if (process.env.TRUST_PROXY) {
+  const hops = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(hops) ? parseInt(hops, 10) : hops);
+}
+
+// Only development may fall back to a built-in secret; the server won't
+// start in production without SESSION_SECRET
+const SESSION_SECRET =
+  process.env.SESSION_SECRET ||
+  (process.env.NODE_ENV === "production" ? null : "dev-only-session-secret");
+
 app.use(
   session({
-    secret: process.env.SESSION_SECRET || "fallback-secret-key",
+    store: sessionStore,
+    secret: SESSION_SECRET || "unset",
     saveUninitialized: false,
     resave: false,
     cookie: {
@@ -136,34 +320,87 @@ app.use(
   })
 );
 
+// Pages are in the signed-in user's chosen language, or the browser's
+// (see src/i18n.js)
+app.use(i18n.localize);
+
+// Every form post must carry the session's CSRF token (see src/csrf.js)
+app.use(csrfProtection);
+
+// Which links the shared navbar shows
+app.use((req, res, next) => {
+  res.locals.signedIn = !!req.session.user;
+  next();
+});
+
 // *****************************************************
 // Helper Functions
 // *****************************************************
-async function fetchMoviesByTitle(apiKey, title) {
-  try {
-    const response = await axios.get("http://www.omdbapi.com/", {
-      params: { apikey: apiKey, s: title },
-      timeout: 5000,
-    });
+// Forms send a returnTo path to come back to; only follow local paths
+function returnPath(returnTo, fallback) {
+  return typeof returnTo === "string" &&
+    returnTo.startsWith("/") &&
+    !returnTo.startsWith("//")
+    ? returnTo
+    : fallback;
+}
 
-    if (response.data.Response === "False") {
-      return [];
-    }
+// 404 for a form that points at something that isn't there (or isn't the
+// user's), as JSON or as the error page. key names the message in the
+// catalogs (see src/i18n.js).
+function sendNotFound(req, res, key, params) {
+  const message = req.t(key, params);
+  res.status(404);
+  return isJsonRequest(req)
+    ? res.json(errorBody("not_found", message))
+    : res.render("error", { title: req.t("errors.notFound"), message });
+}
 
-    return (response.data.Search || []).slice(0, 10).map((movie) => ({
-      Title: movie.Title,
-      Year: movie.Year,
-      Poster: movie.Poster !== "N/A" ? movie.Poster : null,
-      imdbID: movie.imdbID,
-      url: `https://www.imdb.com/title/${movie.imdbID}`,
-    }));
-  } catch (error) {
-    console.error(`Error fetching ${title}:`, error.message);
-    return [];
-  }
+// The notification producer hook (see src/notifications.js). A failure is
+// logged rather than failing the action that triggered it.
+const notify = (event) =>
+  notifications
+    .notify(db, event)
+    .catch((err) =>
+      console.error(`Error creating ${event.type} notifications:`, err.message)
+    );
+
+// OMDb years look like "1999" or "2008–2013" for series
+function parseYear(year) {
+  const parsed = parseInt(year, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Local movie row for an IMDb ID, created from the movie provider on first use
+async function findOrCreateMovie(imdbID) {
+  const existing = await db.oneOrNone(
+    "SELECT * FROM movies WHERE imdb_id = $1",
+    [imdbID]
+  );
+  if (existing) return existing;
+
+  const movie = await movieProvider.getById(imdbID);
+  // Never store a movie we can't name
+  if (!movie || !movie.imdbID || !(movie.Title || "").trim()) return null;
+
+  const { genres, directors } = stats.movieCredits(movie);
+  return db.one(
+    `INSERT INTO movies (imdb_id, title, release_year, poster, genres, directors)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (imdb_id) DO UPDATE SET imdb_id = EXCLUDED.imdb_id
+     RETURNING *`,
+    [
+      movie.imdbID,
+      movie.Title,
+      parseYear(movie.Year),
+      movie.Poster,
+      genres,
+      directors,
+    ]
+  );
 }
 
-async function fetchPopularMovies(apiKey) {
+async function fetchPopularMovies() {
   // List of popular movie searches to simulate "trending"
   const popularSearches = [
     "Avengers",
@@ -176,8 +413,12 @@ async function fetchPopularMovies(apiKey) {
   const allMovies = [];
 
   for (const search of popularSearches) {
-    const movies = await fetchMoviesByTitle(apiKey, search);
-    allMovies.push(...movies);
+    try {
+      const movies = await movieProvider.search(search);
+      allMovies.push(...movies);
+    } catch (error) {
+      console.error(`Error fetching ${search}:`, error.message);
+    }
   }
 
   // Remove duplicates and return first 50
@@ -189,54 +430,97 @@ async function fetchPopularMovies(apiKey) {
   return uniqueMovies.slice(0, 50);
 }
 
-async function fetchTop10Movies(apiKey) {
-  // Most watched/popular movie titles
-  const top10Titles = [
-    "The Shawshank Redemption",
-    "The Godfather",
-    "The Dark Knight",
-    "Inception",
-    "Interstellar",
-    "Pulp Fiction",
-    "Fight Club",
-    "Forrest Gump",
-    "The Matrix",
-    "Goodfellas",
-  ];
-
-  const movies = [];
-
-  for (const title of top10Titles) {
-    try {
-      const response = await axios.get("http://www.omdbapi.com/", {
-        params: { apikey: apiKey, t: title },
-        timeout: 5000,
-      });
-
-      if (response.data.Response !== "False") {
-        movies.push({
-          Title: response.data.Title,
-          Year: response.data.Year,
-          Poster: response.data.Poster !== "N/A" ? response.data.Poster : null,
-          imdbID: response.data.imdbID,
-          imdbRating: response.data.imdbRating,
-          url: `https://www.imdb.com/title/${response.data.imdbID}`,
-        });
-      }
-    } catch (error) {
-      console.error(`Error fetching ${title}:`, error.message);
-    }
-  }
-
-  return movies;
+// Renders /profile for its owner, or /users/:username for anyone else the
+// owner's visibility setting lets in. Owner controls only show on /profile.
+async function renderProfile(req, res, owner) {
+  const isOwn = req.session.user?.user_id === owner.user_id;
+  const profilePath = isOwn
+    ? "/profile"
+    : `/users/${encodeURIComponent(owner.username)}`;
+  const watchlistPage = parsePage(req.query.watchlist_page);
+  const reviewsPage = parsePage(req.query.reviews_page);
+  const [profile, counts, userLists, profileStats] = await Promise.all([
+    loadProfile(db, owner.user_id, {
+      sort: req.query.sort,
+      watchlistPage,
+      reviewsPage,
+      includeHidden: isOwn,
+    }),
+    followCounts(db, owner.user_id),
+    lists
+      .listsForUser(db, owner.user_id)
+      .then((all) => all.filter((list) => isOwn || list.is_public)),
+    // The stats section is only on the user's own profile
+    isOwn
+      ? stats.loadProfileStats(db, owner.user_id, { locale: req.locale })
+      : null,
+  ]);
+
+  res.render("profile", {
+    username: req.session.user?.username,
+    owner,
+    isOwn,
+    isModerator: isOwn && moderation.hasRole(owner.role, "moderator"),
+    profilePath,
+    // Only public profiles have a review feed
+    feedPath:
+      owner.profile_visibility === "public"
+        ? `/users/${encodeURIComponent(owner.username)}/reviews`
+        : null,
+    feedTitle: req.t("profile.feedTitle", { username: owner.username }),
+    // Owner actions come back to the same pages and sort
+    returnTo: req.originalUrl,
+    counts,
+    lists: userLists,
+    stats: profileStats,
+    currentYear: new Date().getFullYear(),
+    ...profile,
+    watchlist: profile.watchlist.map((entry) => ({
+      ...entry,
+      priorityLabel: req.t(`watchlist.priorities.${entry.priority}`),
+    })),
+    reviewSorts: Object.keys(REVIEW_SORTS).map((value) => ({
+      value,
+      label: req.t(`profile.sorts.${value}`),
+    })),
+    watchlistPager: pager({
+      path: profilePath,
+      query: req.query,
+      param: "watchlist_page",
+      anchor: "watchlist",
+      page: watchlistPage,
+      perPage: WATCHLIST_PAGE_SIZE,
+      total: profile.watchlistTotal,
+    }),
+    reviewsPager: pager({
+      path: profilePath,
+      query: req.query,
+      param: "reviews_page",
+      anchor: "reviews",
+      page: reviewsPage,
+      perPage: REVIEWS_PAGE_SIZE,
+      total: profile.reviewsTotal,
+    }),
+    priorities: Object.keys(PRIORITIES).map((value) => ({
+      value: Number(value),
+      label: req.t(`watchlist.priorities.${value}`),
+    })),
+    visibilities: VISIBILITIES.map((value) => ({
+      value,
+      label: req.t(`profile.visibility.${value}`),
+    })),
+    today: new Date().toISOString().slice(0, 10),
+  });
 }
 
 // *****************************************************
 // Middleware
 // *****************************************************
-const isJsonRequest = (req) =>
-  req.is("application/json") ||
-  req.headers["content-type"] === "application/json";
+// express-session's regenerate, as a promise
+const regenerateSession = (req) =>
+  new Promise((resolve, reject) =>
+    req.session.regenerate((err) => (err ? reject(err) : resolve()))
+  );
 
 const auth = (req, res, next) => {
   if (!req.session.user) {
@@ -245,9 +529,50 @@ const auth = (req, res, next) => {
   next();
 };
 
+// The signed-in user's current role, read fresh so a demotion applies at
+// once rather than at their next sign-in
+async function viewerRole(req) {
+  const row = await db.oneOrNone("SELECT role FROM users WHERE user_id = $1", [
+    req.session.user.user_id,
+  ]);
+  return row ? row.role : "user";
+}
+
+// Lets only users with at least this role through; sets req.role
+const requireRole = (needed) => async (req, res, next) => {
+  try {
+    req.role = await viewerRole(req);
+    if (moderation.hasRole(req.role, needed)) return next();
+    res.status(403).render("error", {
+      title: req.t("errors.notAllowed"),
+      message: req.t("errors.noAccess"),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Puts the signed-in user's unread notification count in every page's
+// context for the navbar badge
+const notificationBadge = async (req, res, next) => {
+  const isPage = req.method === "GET" && !req.path.startsWith("/api/");
+  if (!isPage || !req.session.user) return next();
+  try {
+    res.locals.unreadNotifications = await notifications.unreadCount(
+      db,
+      req.session.user.user_id
+    );
+  } catch (err) {
+    console.error("Error counting notifications:", err.message);
+  }
+  next();
+};
+
 // *****************************************************
 // Public Routes
 // *****************************************************
+app.use(notificationBadge);
+
 app.get("/", (req, res) => res.redirect("/login"));
 
 app.get("/welcome", (req, res) => {
@@ -255,347 +580,2564 @@ app.get("/welcome", (req, res) => {
 });
 
 // Register Routes
+// Sign-up and sign-in answer JSON requests with { message } (plus the field
+// errors), as they always have
+const authJsonErrors = (res, errors) =>
+  res.json({ message: errors[0].message, errors });
+
+const renderAuthForm =
+  (view) =>
+  (req, res, { fieldErrors, values }) =>
+    res.render(view, {
+      message: Object.values(fieldErrors)[0],
+      fieldErrors,
+      form: { username: values.username },
+    });
+
+const registerSchema = {
+  body: {
+    username: { label: "fields.username", required: true, maxLength: 50 },
+    password: { label: "fields.password", required: true, trim: false },
+  },
+};
+
 app.get("/register", (req, res) => {
   res.render("register", { message: null });
 });
 
-app.post("/register", async (req, res) => {
-  try {
-    const { username, password } = req.body;
-
-    if (!username || !password) {
-      const message = "Username and password are required.";
-      return isJsonRequest(req)
-        ? res.status(400).json({ message })
-        : res.render("register", { message });
-    }
-
-    const hash = await bcrypt.hash(password, 10);
-    const newUser = await db.one(
-      "INSERT INTO users (username, password) VALUES ($1, $2) RETURNING user_id, username",
-      [username, hash]
-    );
+app.post(
+  "/register",
+  validate(registerSchema, {
+    render: renderAuthForm("register"),
+    json: authJsonErrors,
+  }),
+  async (req, res) => {
+    try {
+      const { username, password } = req.input;
+
+      const invalid = passwords.validatePassword(password);
+      if (invalid) {
+        if (isJsonRequest(req)) {
+          return res.status(400).json({
+            message: i18n.translate(
+              i18n.DEFAULT_LOCALE,
+              invalid.key,
+              invalid.params
+            ),
+          });
+        }
+        const passwordError = req.t(invalid.key, invalid.params);
+        return res.status(400).render("register", {
+          message: passwordError,
+          fieldErrors: { password: passwordError },
+          form: { username },
+        });
+      }
 
-    console.log(`New user registered: ${username}`);
+      const hash = await bcrypt.hash(password, 10);
+      const newUser = await db.one(
+        "INSERT INTO users (username, password) VALUES ($1, $2) RETURNING user_id, username",
+        [username, hash]
+      );
 
-    // Automatically log in the user after registration
-    req.session.user = newUser;
-    req.session.save();
+      console.log(`New user registered: ${username}`);
 
-    return isJsonRequest(req)
-      ? res.status(200).json({
-          message: "User registered successfully",
-          username: newUser.username,
-        })
-      : res.redirect("/discover");
-  } catch (err) {
-    console.error("Registration failed:", err);
+      // Automatically log in the user after registration
+      await regenerateSession(req);
+      req.session.user = newUser;
+      req.session.save();
 
-    const message =
-      err.code === "23505" || /unique/i.test(err.message)
-        ? "Username already exists. Please choose another."
-        : "Registration failed. Please try again later.";
+      return isJsonRequest(req)
+        ? res.status(200).json({
+            message: "User registered successfully",
+            username: newUser.username,
+          })
+        : res.redirect("/discover");
+    } catch (err) {
+      console.error("Registration failed:", err);
+
+      const taken = err.code === "23505" || /unique/i.test(err.message);
+      const message = taken
+        ? req.t("register.taken")
+        : req.t("register.failed");
 
-    return isJsonRequest(req)
-      ? res.status(err.code === "23505" ? 400 : 500).json({ message })
-      : res.render("register", { message });
+      return isJsonRequest(req)
+        ? res.status(taken ? 400 : 500).json({ message })
+        : res.status(taken ? 400 : 500).render("register", {
+            message,
+            fieldErrors: taken ? { username: message } : {},
+            form: { username: req.input.username },
+          });
+    }
   }
-});
+);
 
 // Login Routes
 app.get("/login", (req, res) => {
   res.render("login", { message: null });
 });
 
-app.post("/login", async (req, res) => {
-  try {
-    const { username, password } = req.body;
+const loginSchema = {
+  body: {
+    username: { label: "fields.username", required: true, maxLength: 255 },
+    password: { label: "fields.password", required: true, trim: false },
+  },
+};
 
-    if (!username || !password) {
-      const message = "Username and password are required.";
-      return isJsonRequest(req)
-        ? res.status(400).json({ message })
-        : res.render("login", { message });
-    }
+app.post(
+  "/login",
+  validate(loginSchema, {
+    render: renderAuthForm("login"),
+    json: authJsonErrors,
+  }),
+  async (req, res) => {
+    try {
+      const { username, password } = req.input;
+
+      const attempt = { username, ip: req.ip };
+      const until = await loginThrottle.lockedUntil(db, attempt);
+      if (until) {
+        const minutes = Math.ceil((new Date(until) - Date.now()) / 60000);
+        const message = req.t("login.locked", { count: minutes });
+        res.set("Retry-After", String(minutes * 60));
+        return isJsonRequest(req)
+          ? res.status(429).json({ message })
+          : res.status(429).render("login", { message });
+      }
 
-    const user = await db.oneOrNone("SELECT * FROM users WHERE username = $1", [
-      username,
-    ]);
+      const user = await db.oneOrNone(
+        `SELECT user_id, username, password, delete_after, suspended_at,
+                language
+         FROM users WHERE username = $1`,
+        [username]
+      );
 
-    if (!user) {
-      const message = "User not found. Please register first.";
-      return isJsonRequest(req)
-        ? res.status(401).json({ message })
-        : res.render("login", { message });
-    }
+      if (!user) {
+        await loginThrottle.recordFailure(db, attempt);
+        const message = req.t("login.unknownUser");
+        return isJsonRequest(req)
+          ? res.status(401).json({ message })
+          : res.render("login", { message });
+      }
 
-    const match = await bcrypt.compare(password, user.password);
+      const match = await bcrypt.compare(password, user.password);
 
-    if (!match) {
-      const message = "Incorrect username or password.";
-      return isJsonRequest(req)
-        ? res.status(401).json({ message })
-        : res.render("login", { message });
-    }
+      if (!match) {
+        await loginThrottle.recordFailure(db, attempt);
+        const message = req.t("login.wrongPassword");
+        return isJsonRequest(req)
+          ? res.status(401).json({ message })
+          : res.render("login", { message });
+      }
+
+      await loginThrottle.clearFailures(db, attempt);
 
-    req.session.user = user;
-    req.session.save();
+      // Only said once the password is right, so it can't be used to probe
+      // which accounts are suspended
+      if (user.suspended_at) {
+        const message = req.t("login.suspended");
+        return isJsonRequest(req)
+          ? res.status(403).json({ message })
+          : res.status(403).render("login", { message });
+      }
 
-    console.log(`User logged in: ${user.username}`);
+      // Signing in during the grace period calls the deletion off
+      const restored =
+        user.delete_after && (await accounts.cancelDeletion(db, user.user_id));
 
-    return isJsonRequest(req)
-      ? res
-          .status(200)
-          .json({ message: "Login successful", username: user.username })
-      : res.redirect("/discover");
-  } catch (error) {
-    console.error("Login error:", error);
-    const message = "Login failed. Please try again.";
+      // A fresh session ID on every sign-in, holding only what routes need
+      await regenerateSession(req);
+      req.session.user = {
+        user_id: user.user_id,
+        username: user.username,
+        language: user.language,
+      };
+      req.session.save();
+
+      console.log(`User logged in: ${user.username}`);
+      if (restored) console.log(`Account deletion cancelled: ${user.username}`);
+
+      return isJsonRequest(req)
+        ? res
+            .status(200)
+            .json({ message: "Login successful", username: user.username })
+        : res.redirect(restored ? "/account?notice=restored" : "/discover");
+    } catch (error) {
+      console.error("Login error:", error);
+      const message = req.t("login.failed");
 
-    return isJsonRequest(req)
-      ? res.status(500).json({ message })
-      : res.render("login", { message });
+      return isJsonRequest(req)
+        ? res.status(500).json({ message })
+        : res.render("login", { message });
+    }
   }
+);
+
+// Password Reset
+// Forgotten passwords are reset through a single-use emailed link
+const resetView = (extra = {}) => ({
+  ttlMinutes: passwords.RESET_TOKEN_TTL_MINUTES,
+  minLength: passwords.MIN_PASSWORD_LENGTH,
+  ...extra,
 });
 
-// *****************************************************
-// Protected Routes (Authentication Required)
-// *****************************************************
-app.use(auth);
+// Links in emails point at APP_URL; without it, at whatever host the
+// request came in on (fine for development)
+const appUrl = (req) =>
+  (process.env.APP_URL || `${req.protocol}://${req.get("host")}`).replace(
+    /\/$/,
+    ""
+  );
 
-// Profile Page
-app.get("/profile", async (req, res) => {
-  try {
-    const userId = req.session.user.user_id;
-    const sort = req.query.sort || "rating_desc";
-
-    const orderBy =
-      sort === "rating_asc"
-        ? "r.rating ASC, m.title ASC"
-        : "r.rating DESC, m.title ASC";
-
-    const sortLabel =
-      sort === "rating_asc" ? "Lowest Rated First" : "Highest Rated First";
-
-    const [watchlist, reviews, topMovies] = await Promise.all([
-      db.any(
-        `
-        SELECT m.title, m.release_year
-        FROM user_list ul
-        JOIN movies m ON ul.movie_id = m.movie_id
-        WHERE ul.user_id = $1
-        ORDER BY m.title ASC
-      `,
-        [userId]
-      ),
+app.get("/password/forgot", (req, res) => {
+  res.render("password", resetView());
+});
 
-      db.any(
-        `
-        SELECT m.title, m.release_year, r.rating, r.review_text
-        FROM reviews r
-        JOIN movies m ON r.movie_id = m.movie_id
-        WHERE r.user_id = $1
-        ORDER BY ${orderBy}
-      `,
-        [userId]
-      ),
+const forgotSchema = {
+  body: {
+    login: { label: "fields.login", required: true, maxLength: 255 },
+  },
+};
 
-      db.any(
-        `
-        SELECT m.title, m.release_year, AVG(r.rating) AS avg_rating, COUNT(*) AS review_count
-        FROM reviews r
-        JOIN movies m ON r.movie_id = m.movie_id
-        WHERE r.user_id = $1
-        GROUP BY m.movie_id, m.title, m.release_year
-        ORDER BY AVG(r.rating) DESC, COUNT(*) DESC, m.title ASC
-        LIMIT 10
-      `,
-        [userId]
-      ),
-    ]);
+app.post(
+  "/password/forgot",
+  validate(forgotSchema, {
+    render: (req, res, { fieldErrors }) =>
+      res.render("password", resetView({ message: fieldErrors.login })),
+  }),
+  async (req, res) => {
+    try {
+      await passwords.requestPasswordReset(db, mailer, {
+        login: req.input.login,
+        baseUrl: appUrl(req),
+        locale: req.locale,
+      });
+      res.render("password", resetView({ sent: true }));
+    } catch (err) {
+      console.error("Error sending password reset:", err.message);
+      res.status(500).render(
+        "password",
+        resetView({
+          message: req.t("password.cantSend"),
+        })
+      );
+    }
+  }
+);
 
-    res.render("profile", {
-      username: req.session.user.username,
-      watchlist,
-      reviews,
-      topMovies,
-      sort,
-      sortLabel,
-    });
+app.get("/password/reset/:token", async (req, res) => {
+  try {
+    const user = await passwords.findResetToken(db, req.params.token);
+    res.render(
+      "password",
+      user
+        ? resetView({ token: req.params.token, resetFor: user.username })
+        : resetView({ invalid: true })
+    );
   } catch (err) {
-    console.error("Error loading profile:", err.message);
-    res.redirect("/discover");
+    console.error("Error checking password reset link:", err.message);
+    res.redirect("/password/forgot");
   }
 });
 
-// Discover Page - Enhanced with Popular Movies and Top 10
-app.get("/discover", async (req, res) => {
-  try {
-    const apiKey = process.env.API_KEY;
-    const searchQuery = req.query.title;
-
-    if (!apiKey) {
-      return res.render("discover", {
-        username: req.session.user?.username,
-        results: [],
-        popularMovies: [],
-        top10Movies: [],
-        message: "OMDB API key not configured.",
-      });
-    }
+// The token is checked again when the form is re-rendered with errors, so
+// an expired link shows as expired rather than as a form that can't work
+async function renderResetForm(req, res, { fieldErrors }) {
+  const { token } = req.params;
+  const user = await passwords.findResetToken(db, token);
+  res.render(
+    "password",
+    user
+      ? resetView({
+          token,
+          resetFor: user.username,
+          message: Object.values(fieldErrors)[0],
+        })
+      : resetView({ invalid: true })
+  );
+}
 
-    let results = [];
-    let popularMovies = [];
-    let top10Movies = [];
-    let message = null;
+const resetSchema = {
+  params: { token: { required: true, pattern: /^[0-9a-f]{64}$/ } },
+  body: {
+    password: { label: "fields.newPassword", required: true, trim: false },
+    confirm_password: {
+      label: "fields.confirmation",
+      required: true,
+      trim: false,
+    },
+  },
+};
 
-    if (searchQuery) {
-      // User searched for something specific
-      const response = await axios.get("http://www.omdbapi.com/", {
-        params: { apikey: apiKey, s: searchQuery },
-      });
-
-      if (response.data.Response === "False") {
-        message = "No movies found for your search.";
-      } else {
-        results = (response.data.Search || []).map((movie) => ({
-          Title: movie.Title,
-          Year: movie.Year,
-          Poster: movie.Poster !== "N/A" ? movie.Poster : null,
-          imdbID: movie.imdbID,
-          url: `https://www.imdb.com/title/${movie.imdbID}`,
-        }));
+app.post(
+  "/password/reset/:token",
+  validate(resetSchema, { render: renderResetForm }),
+  async (req, res, next) => {
+    const { token, password, confirm_password } = req.input;
+    try {
+      const error = passwords.validatePassword(password, confirm_password);
+      if (error) {
+        return await renderResetForm(req, res.status(400), {
+          fieldErrors: { password: req.t(error.key, error.params) },
+        });
       }
-    } else {
-      // Default page load - show popular movies and top 10
-      [popularMovies, top10Movies] = await Promise.all([
-        fetchPopularMovies(apiKey),
-        fetchTop10Movies(apiKey),
-      ]);
+
+      const user = await passwords.resetPassword(db, { token, password });
+      if (!user) return res.render("password", resetView({ invalid: true }));
+
+      await endUserSessions(db, user.user_id);
+      await loginThrottle.clearFailures(db, { username: user.username });
+      console.log(`Password reset: ${user.username}`);
+      res.render("login", {
+        notice: req.t("password.changed"),
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    res.render("discover", {
+// Public Profiles
+// Signed-out visitors can see public profiles; anything else needs the
+// owner's visibility setting to allow the viewer
+async function findProfileOwner(req, res) {
+  const owner = await db.oneOrNone(
+    `SELECT user_id, username, profile_visibility FROM users
+     WHERE username = $1 AND delete_after IS NULL`,
+    [req.params.username]
+  );
+  if (!owner) {
+    res.status(404).render("profile", {
       username: req.session.user?.username,
-      results,
-      popularMovies,
-      top10Movies,
-      message,
-      isSearch: !!searchQuery,
+      message: req.t("profile.noOne"),
     });
-  } catch (err) {
-    console.error("OMDB API Error:", err.message);
-    res.render("discover", {
+    return null;
+  }
+
+  const viewerId = req.session.user?.user_id;
+  const following = await isFollowing(db, {
+    followerId: viewerId,
+    followeeId: owner.user_id,
+  });
+  owner.followedByViewer = following;
+  if (!canViewProfile(owner, viewerId, following)) {
+    res.status(403).render("profile", {
       username: req.session.user?.username,
-      results: [],
-      popularMovies: [],
-      top10Movies: [],
-      message: "Error loading movies. Try again later.",
+      owner,
+      counts: await followCounts(db, owner.user_id),
+      message: req.t(
+        owner.profile_visibility === "followers"
+          ? "profile.followersOnly"
+          : "profile.private",
+        { username: owner.username }
+      ),
     });
+    return null;
   }
-});
+  return owner;
+}
 
-// Add Movie to Watchlist
-app.post("/movies/add", async (req, res) => {
+app.get("/users/:username", async (req, res) => {
   try {
-    const { title, year } = req.body;
-    const userId = req.session.user.user_id;
-
-    const movie = await db.one(
-      `INSERT INTO movies (title, release_year)
-       VALUES ($1, $2)
-       ON CONFLICT (title) DO UPDATE SET release_year = EXCLUDED.release_year
-       RETURNING movie_id`,
-      [title, year]
-    );
-
-    await db.none(
-      `INSERT INTO user_list (user_id, movie_id)
-       VALUES ($1, $2)
-       ON CONFLICT (user_id, movie_id) DO NOTHING`,
-      [userId, movie.movie_id]
-    );
-
-    console.log(`Movie added to user ${userId}: ${title}`);
-    res.redirect("/discover");
+    if (req.session.user?.username === req.params.username) {
+      return res.redirect("/profile");
+    }
+    const owner = await findProfileOwner(req, res);
+    if (owner) {
+      await renderProfile(req, res, owner);
+    }
   } catch (err) {
-    console.error("Error adding movie:", err.message);
+    console.error("Error loading user profile:", err.message);
     res.redirect("/discover");
   }
 });
 
-// Review Routes
-app.get("/reviews/new", (req, res) => {
-  res.render("review", {
-    username: req.session.user?.username,
-    title: req.query.title,
-  });
-});
-
-app.post("/reviews/add", async (req, res) => {
+app.get("/users/:username/:which(followers|following)", async (req, res) => {
   try {
-    const userId = req.session.user.user_id;
-    const { title, rating, review_text } = req.body;
+    const owner = await findProfileOwner(req, res);
+    if (!owner) return;
 
-    let movie = await db.oneOrNone(
-      "SELECT movie_id FROM movies WHERE title = $1",
-      [title]
-    );
-
-    if (!movie) {
-      movie = await db.one(
-        "INSERT INTO movies (title) VALUES ($1) RETURNING movie_id",
-        [title]
-      );
-    }
-
-    await db.none(
-      "INSERT INTO reviews (user_id, movie_id, rating, review_text) VALUES ($1, $2, $3, $4)",
-      [userId, movie.movie_id, rating, review_text]
-    );
-
-    console.log(`Review added for ${title}`);
-    res.redirect("/discover");
+    res.render("follows", {
+      username: req.session.user?.username,
+      owner,
+      which: req.params.which,
+      people: await loadFollows(db, owner.user_id, req.params.which),
+    });
   } catch (err) {
-    console.error("Error adding review:", err.message);
+    console.error("Error loading follows:", err.message);
     res.redirect("/discover");
   }
 });
 
-app.get("/reviews", async (req, res) => {
+// Shared List - readable by anyone with the link while the list is public
+app.get("/shared/lists/:shareToken", async (req, res) => {
   try {
-    const { title } = req.query;
+    const { shareToken } = req.params;
+    const list = /^[0-9a-f]{32}$/.test(shareToken)
+      ? await lists.getSharedList(db, shareToken)
+      : null;
 
-    if (!title) {
-      return res.redirect("/discover");
+    if (!list) {
+      return res.status(404).render("list", {
+        username: req.session.user?.username,
+        message: req.t("list.notShared"),
+      });
     }
 
-    const movie = await db.oneOrNone(
-      "SELECT movie_id FROM movies WHERE title = $1",
-      [title]
+    res.render("list", {
+      username: req.session.user?.username,
+      list,
+      owner: list.owner,
+      entries: await lists.loadEntries(db, list.list_id),
+      isOwner: false,
+    });
+  } catch (err) {
+    console.error("Error loading shared list:", err.message);
+    res.status(500).render("list", {
+      username: req.session.user?.username,
+      message: req.t("list.loadError"),
+    });
+  }
+});
+
+// Review Feeds
+// Atom, RSS 2.0 and JSON Feed versions of a user's or a movie's reviews,
+// readable without signing in. Readers that send back the ETag or
+// Last-Modified they were given get a 304 while nothing has changed.
+const FEED_PATH_FORMATS = Object.keys(syndication.FORMATS).join("|");
+
+function sendFeed(req, res, feed, format) {
+  const { body, type, etag, lastModified } = syndication.renderFeed(
+    feed,
+    format,
+    { baseUrl: appUrl(req) }
+  );
+  res.set({
+    "Content-Type": type,
+    ETag: etag,
+    "Last-Modified": lastModified,
+    "Cache-Control": "public, max-age=300",
+  });
+  if (req.fresh) return res.status(304).end();
+  res.send(body);
+}
+
+const feedFormat = {
+  type: "enum",
+  values: Object.keys(syndication.FORMATS),
+  required: true,
+};
+
+const userFeedSchema = {
+  params: {
+    username: { required: true, maxLength: 50 },
+    format: feedFormat,
+  },
+};
+
+app.get(
+  `/users/:username/reviews.:format(${FEED_PATH_FORMATS})`,
+  validate(userFeedSchema),
+  async (req, res, next) => {
+    try {
+      const { username, format } = req.input;
+      const feed = await syndication.loadUserFeed(db, username, {
+        baseUrl: appUrl(req),
+      });
+      if (!feed) {
+        return sendNotFound(req, res, "errors.noFeed");
+      }
+      sendFeed(req, res, feed, format);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const movieFeedSchema = {
+  params: {
+    imdbID: { label: "fields.imdbId", type: "imdbId", required: true },
+    format: feedFormat,
+  },
+};
+
+app.get(
+  `/movies/:imdbID/reviews.:format(${FEED_PATH_FORMATS})`,
+  validate(movieFeedSchema),
+  async (req, res, next) => {
+    try {
+      const { imdbID, format } = req.input;
+      const feed = await syndication.loadMovieFeed(db, imdbID, {
+        baseUrl: appUrl(req),
+      });
+      if (!feed) {
+        return sendNotFound(req, res, "errors.noMovie", { imdbID });
+      }
+      sendFeed(req, res, feed, format);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// *****************************************************
+// JSON API (session cookie or personal access token)
+// *****************************************************
+app.use(
+  "/api/v1",
+  createApiRouter({ db, movieProvider, findOrCreateMovie, notify })
+);
+
+// *****************************************************
+// Protected Routes (Authentication Required)
+// *****************************************************
+app.use(auth);
+
+// Profile Page
+app.get("/profile", async (req, res) => {
+  try {
+    const owner = await db.one(
+      `SELECT user_id, username, profile_visibility, role
+       FROM users WHERE user_id = $1`,
+      [req.session.user.user_id]
+    );
+    await renderProfile(req, res, owner);
+  } catch (err) {
+    console.error("Error loading profile:", err.message);
+    res.redirect("/discover");
+  }
+});
+
+// Year in Review
+app.get("/profile/year", (req, res) => {
+  res.redirect(`/profile/year/${new Date().getFullYear()}`);
+});
+
+const yearSchema = {
+  params: {
+    year: {
+      label: "fields.year",
+      type: "int",
+      min: 1900,
+      max: 2100,
+      required: true,
+    },
+  },
+};
+
+app.get("/profile/year/:year", validate(yearSchema), async (req, res, next) => {
+  try {
+    const { year } = req.input;
+    const userId = req.session.user.user_id;
+    const [recap, years] = await Promise.all([
+      stats.loadYearInReview(db, userId, year, { locale: req.locale }),
+      stats.activeYears(db, userId),
+    ]);
+    const currentYear = new Date().getFullYear();
+    if (!years.includes(currentYear)) years.unshift(currentYear);
+
+    res.render("year", {
+      username: req.session.user.username,
+      ...recap,
+      hasActivity: recap.totals.watches > 0 || recap.averages.count > 0,
+      years: years.map((value) => ({ value, active: value === year })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Shared by every form that sends the user back where they came from
+const RETURN_TO = { maxLength: 2000 };
+
+const visibilitySchema = {
+  body: {
+    visibility: {
+      label: "fields.visibility",
+      type: "enum",
+      values: VISIBILITIES,
+      required: true,
+    },
+  },
+};
+
+app.post(
+  "/profile/visibility",
+  validate(visibilitySchema),
+  async (req, res, next) => {
+    try {
+      await db.none(
+        "UPDATE users SET profile_visibility = $2 WHERE user_id = $1",
+        [req.session.user.user_id, req.input.visibility]
+      );
+      res.redirect("/profile");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Follow / Unfollow
+const followSchema = {
+  params: { username: { required: true, maxLength: 50 } },
+  body: { returnTo: RETURN_TO },
+};
+
+// notification, if given, is sent to the followee when the action changes
+// anything
+const followAction = (action, notification) => async (req, res, next) => {
+  const { username, returnTo } = req.input;
+  try {
+    const followerId = req.session.user.user_id;
+    const followee = await db.oneOrNone(
+      "SELECT user_id FROM users WHERE username = $1",
+      [username]
+    );
+    if (followee) {
+      const changed = await action(db, {
+        followerId,
+        followeeId: followee.user_id,
+      });
+      if (changed && notification) {
+        await notify({
+          type: notification,
+          actorId: followerId,
+          userId: followee.user_id,
+        });
+      }
+    }
+    res.redirect(
+      returnPath(returnTo, `/users/${encodeURIComponent(username)}`)
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+app.post(
+  "/users/:username/follow",
+  validate(followSchema),
+  followAction(follow, "follow")
+);
+app.post(
+  "/users/:username/unfollow",
+  validate(followSchema),
+  followAction(unfollow)
+);
+
+// Activity Feed
+const FEED_PAGE_SIZE = 20;
+
+app.get("/feed", async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const { items, total } = await loadFeed(db, {
+      userId: req.session.user.user_id,
+      limit: FEED_PAGE_SIZE,
+      offset: (page - 1) * FEED_PAGE_SIZE,
+    });
+
+    res.render("feed", {
+      username: req.session.user.username,
+      items,
+      pager: pager({
+        path: "/feed",
+        query: req.query,
+        page,
+        perPage: FEED_PAGE_SIZE,
+        total,
+      }),
+    });
+  } catch (err) {
+    console.error("Error loading feed:", err.message);
+    res.redirect("/profile");
+  }
+});
+
+// Notifications
+app.get("/notifications", async (req, res) => {
+  try {
+    const userId = req.session.user.user_id;
+    const page = parsePage(req.query.page);
+    const [{ notifications: items, total }, preferences] = await Promise.all([
+      notifications.loadNotifications(db, userId, {
+        page,
+        locale: req.locale,
+      }),
+      notifications.loadPreferences(db, userId, { locale: req.locale }),
+    ]);
+
+    res.render("notifications", {
+      username: req.session.user.username,
+      notifications: items,
+      preferences,
+      saved: req.query.notice === "preferences",
+      returnTo: req.originalUrl,
+      pager: pager({
+        path: "/notifications",
+        query: req.query,
+        page,
+        perPage: notifications.PAGE_SIZE,
+        total,
+      }),
+    });
+  } catch (err) {
+    console.error("Error loading notifications:", err.message);
+    res.redirect("/profile");
+  }
+});
+
+const notificationIdSchema = {
+  params: {
+    notificationId: {
+      label: "fields.notification",
+      type: "id",
+      required: true,
+    },
+  },
+  body: { returnTo: RETURN_TO },
+};
+
+// Opening a notification marks it read and goes to what it is about
+app.get(
+  "/notifications/:notificationId",
+  validate(notificationIdSchema),
+  async (req, res, next) => {
+    try {
+      const notification = await notifications.markRead(db, {
+        userId: req.session.user.user_id,
+        notificationId: req.input.notificationId,
+      });
+      if (!notification) {
+        return sendNotFound(req, res, "errors.noNotification");
+      }
+      res.redirect(notification.href);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/notifications/:notificationId/read",
+  validate(notificationIdSchema),
+  async (req, res, next) => {
+    try {
+      await notifications.markRead(db, {
+        userId: req.session.user.user_id,
+        notificationId: req.input.notificationId,
+      });
+      res.redirect(returnPath(req.input.returnTo, "/notifications"));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/notifications/read-all",
+  validate({ body: { returnTo: RETURN_TO } }),
+  async (req, res, next) => {
+    try {
+      await notifications.markAllRead(db, req.session.user.user_id);
+      res.redirect(returnPath(req.input.returnTo, "/notifications"));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// One checkbox per notification type, checked to keep it
+const notificationPreferencesSchema = {
+  body: {
+    ...Object.fromEntries(
+      Object.keys(notifications.TYPES).map((type) => [
+        type,
+        { type: "boolean" },
+      ])
+    ),
+    digest: { type: "boolean" },
+  },
+};
+
+app.post(
+  "/notifications/preferences",
+  validate(notificationPreferencesSchema),
+  async (req, res, next) => {
+    try {
+      await notifications.savePreferences(db, {
+        userId: req.session.user.user_id,
+        enabled: Object.keys(notifications.TYPES).filter(
+          (type) => req.input[type]
+        ),
+        digest: req.input.digest,
+      });
+      res.redirect("/notifications?notice=preferences#preferences");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Discover Page - Recommendations, Popular Movies and the Leaderboard
+app.get("/discover", async (req, res) => {
+  try {
+    const filters = parseFilters(req.query);
+    const isSearch = !!filters.q || hasFilters(filters);
+
+    if (!movieProvider.configured) {
+      return res.render("discover", {
+        username: req.session.user?.username,
+        results: [],
+        popularMovies: [],
+        top10Movies: [],
+        message: req.t("discover.notConfigured"),
+      });
+    }
+
+    let results = [];
+    let resultsPager = null;
+    let catalogMatches = [];
+    let reviewMatches = [];
+    let noMatches = false;
+    let popularMovies = [];
+    let top10Movies = [];
+    let message = null;
+    let recommended = [];
+    let decades = [];
+    const board = parseView(req.query.top);
+    const userLists = await lists.listsForUser(db, req.session.user.user_id);
+
+    if (isSearch) {
+      // Matches from our own catalog and reviews, plus the provider's search
+      // when the filters are ones its results can be narrowed by. Only the
+      // provider's results are paged; local matches show on the first page.
+      const userId = req.session.user.user_id;
+      const page = parsePage(req.query.page);
+      const searchProvider = filters.q && !hasLocalFilters(filters);
+      let found;
+      [catalogMatches, reviewMatches, found] = await Promise.all([
+        page === 1 ? searchCatalog(db, { userId, filters }) : [],
+        page === 1 ? searchReviews(db, { userId, filters }) : [],
+        searchProvider
+          ? movieProvider.searchPage(filters.q, page)
+          : { movies: [], total: 0 },
+      ]);
+      results = await withAggregates(
+        db,
+        found.movies.filter((movie) => inYearRange(filters, movie.Year))
+      );
+      resultsPager = pager({
+        path: "/discover",
+        query: req.query,
+        page,
+        perPage: SEARCH_PAGE_SIZE,
+        total: found.total,
+      });
+
+      noMatches =
+        page === 1 &&
+        !catalogMatches.length &&
+        !reviewMatches.length &&
+        !results.length;
+    } else {
+      // Default page load - recommendations, popular movies and top 10
+      let picks, popular, leaders;
+      [picks, popular, leaders, decades] = await Promise.all([
+        loadRecommendations(db, req.session.user.user_id),
+        fetchPopularMovies(),
+        loadLeaderboard(db, board),
+        loadDecades(db),
+      ]);
+      recommended = await withAggregates(
+        db,
+        picks.map((pick) => ({
+          imdbID: pick.imdb_id,
+          Title: pick.title,
+          Year: pick.release_year,
+          Poster: pick.poster,
+          reason:
+            pick.source === "popular"
+              ? req.t("discover.reasons.popular")
+              : pick.reason_title
+              ? req.t("discover.reasons.becauseYouRated", {
+                  title: pick.reason_title,
+                })
+              : req.t("discover.reasons.similarRaters"),
+        }))
+      );
+      popularMovies = await withAggregates(db, popular);
+      top10Movies = leaders.map((leader) => ({
+        imdbID: leader.imdb_id,
+        Title: leader.title,
+        Year: leader.release_year,
+        Poster: leader.poster,
+        score: leader.score,
+        community: { mean: leader.mean, count: leader.count },
+      }));
+    }
+
+    res.render("discover", {
+      username: req.session.user?.username,
+      results,
+      resultsPager,
+      catalogMatches,
+      reviewMatches,
+      filters,
+      noMatches,
+      popularMovies,
+      top10Movies,
+      recommended,
+      userLists,
+      board: board.view,
+      decades: decades.map((decade) => `${decade}s`),
+      message,
+      isSearch,
+    });
+  } catch (err) {
+    console.error("Movie provider error:", err.message);
+    res.render("discover", {
+      username: req.session.user?.username,
+      results: [],
+      popularMovies: [],
+      top10Movies: [],
+      message: req.t("discover.loadError"),
+    });
+  }
+});
+
+// Add Movie to Watchlist, or to one of the user's lists when a list is
+// picked as the target
+const addMovieSchema = {
+  body: {
+    imdbID: { label: "fields.movie", type: "imdbId", required: true },
+    target: { label: "fields.target", pattern: /^(watchlist|\d+)$/ },
+    returnTo: RETURN_TO,
+  },
+};
+
+app.post("/movies/add", validate(addMovieSchema), async (req, res, next) => {
+  try {
+    const { imdbID, target, returnTo } = req.input;
+    const userId = req.session.user.user_id;
+
+    const movie = await findOrCreateMovie(imdbID);
+    if (!movie) {
+      return sendNotFound(req, res, "errors.noMovie", { imdbID });
+    }
+
+    if (target && target !== "watchlist") {
+      const list = await lists.getOwnedList(db, {
+        listId: Number(target),
+        userId,
+      });
+      if (!list) return sendNotFound(req, res, "errors.noList");
+      await lists.addEntry(db, {
+        listId: list.list_id,
+        movieId: movie.movie_id,
+      });
+      console.log(`Movie added to list ${list.list_id}: ${movie.title}`);
+      return res.redirect(returnPath(returnTo, "/discover"));
+    }
+
+    await addToWatchlist(db, { userId, movieId: movie.movie_id });
+
+    console.log(`Movie added to user ${userId}: ${movie.title}`);
+    res.redirect(returnPath(returnTo, "/discover"));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Watchlist Management
+// Each action takes the movie's IMDb ID and a returnTo path to go back to
+const watchlistSchema = (body = {}) => ({
+  params: { imdbID: { label: "fields.movie", type: "imdbId", required: true } },
+  body: { returnTo: RETURN_TO, ...body },
+});
+
+const watchlistAction = (action) => async (req, res, next) => {
+  try {
+    const movie = await db.oneOrNone(
+      "SELECT movie_id FROM movies WHERE imdb_id = $1",
+      [req.input.imdbID]
+    );
+
+    if (movie) {
+      await action({
+        userId: req.session.user.user_id,
+        movieId: movie.movie_id,
+        input: req.input,
+      });
+    }
+    res.redirect(returnPath(req.input.returnTo, "/profile"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+const DIRECTION = {
+  label: "fields.direction",
+  type: "enum",
+  values: ["up", "down"],
+  required: true,
+};
+
+app.post(
+  "/watchlist/:imdbID/remove",
+  validate(watchlistSchema()),
+  watchlistAction(({ userId, movieId }) =>
+    removeFromWatchlist(db, { userId, movieId })
+  )
+);
+
+app.post(
+  "/watchlist/:imdbID/priority",
+  validate(
+    watchlistSchema({
+      priority: {
+        label: "fields.priority",
+        type: "enum",
+        values: Object.keys(PRIORITIES),
+        required: true,
+      },
+    })
+  ),
+  watchlistAction(({ userId, movieId, input }) =>
+    setPriority(db, { userId, movieId, priority: input.priority })
+  )
+);
+
+app.post(
+  "/watchlist/:imdbID/move",
+  validate(watchlistSchema({ direction: DIRECTION })),
+  watchlistAction(({ userId, movieId, input }) =>
+    moveEntry(db, { userId, movieId, direction: input.direction })
+  )
+);
+
+// Mark as Watched - logs a diary entry, then offers the review form
+const watchedSchema = {
+  params: { imdbID: { label: "fields.movie", type: "imdbId", required: true } },
+  body: { watched_on: { label: "fields.watchedOn", type: "date" } },
+};
+
+app.post(
+  "/movies/:imdbID/watched",
+  validate(watchedSchema),
+  async (req, res, next) => {
+    try {
+      const userId = req.session.user.user_id;
+      const movie = await findOrCreateMovie(req.input.imdbID);
+      if (!movie) {
+        return sendNotFound(req, res, "errors.noMovie", {
+          imdbID: req.input.imdbID,
+        });
+      }
+
+      const watchedOn =
+        req.input.watched_on || new Date().toISOString().slice(0, 10);
+
+      await logWatch(db, { userId, movieId: movie.movie_id, watchedOn });
+
+      console.log(`User ${userId} watched ${movie.title} on ${watchedOn}`);
+      res.redirect(`/reviews/new?imdbID=${movie.imdb_id}&watched=${watchedOn}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const diaryEntrySchema = {
+  params: {
+    entryId: { label: "fields.diaryEntry", type: "id", required: true },
+  },
+  body: { returnTo: RETURN_TO },
+};
+
+app.post(
+  "/diary/:entryId/delete",
+  validate(diaryEntrySchema),
+  async (req, res, next) => {
+    try {
+      await deleteDiaryEntry(db, {
+        userId: req.session.user.user_id,
+        entryId: req.input.entryId,
+      });
+      res.redirect(returnPath(req.input.returnTo, "/profile#diary"));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Review Routes
+// The form doubles as the edit form when the user already reviewed the movie
+async function renderReviewForm(req, res, movie, extra = {}) {
+  const existing = await db.oneOrNone(
+    `SELECT rating, review_text, contains_spoilers FROM reviews
+     WHERE user_id = $1 AND movie_id = $2`,
+    [req.session.user.user_id, movie.movie_id]
+  );
+
+  res.render("review", {
+    username: req.session.user?.username,
+    title: movie.title,
+    imdbID: movie.imdb_id,
+    existing,
+    form: existing,
+    maxLength: MAX_REVIEW_LENGTH,
+    ...extra,
+  });
+}
+
+const newReviewSchema = {
+  query: {
+    imdbID: { label: "fields.movie", type: "imdbId", required: true },
+    // Set when arriving straight from "Mark as watched"
+    watched: { label: "fields.watchedOn", type: "date" },
+  },
+};
+
+async function showNewReviewForm(req, res, { imdbID, watched }) {
+  try {
+    const movie = await findOrCreateMovie(imdbID);
+    if (!movie) {
+      return res.redirect("/discover");
+    }
+    await renderReviewForm(req, res, movie, { watchedOn: watched });
+  } catch (err) {
+    console.error("Error loading review form:", err.message);
+    res.redirect("/discover");
+  }
+}
+
+app.get(
+  "/reviews/new",
+  validate(newReviewSchema, {
+    // Links rather than forms lead here: send a bad movie ID to Discover and
+    // drop a bad watched date
+    render: (req, res, { fieldErrors, values }) => {
+      if (fieldErrors.imdbID) return res.redirect("/discover");
+      res.status(200);
+      return showNewReviewForm(req, res, { imdbID: values.imdbID });
+    },
+  }),
+  (req, res) => showNewReviewForm(req, res, req.input)
+);
+
+const reviewSchema = {
+  body: {
+    imdbID: { label: "fields.movie", type: "imdbId", required: true },
+    rating: {
+      label: "fields.rating",
+      type: "int",
+      min: 1,
+      max: 10,
+      required: true,
+    },
+    review_text: { label: "fields.review", maxLength: MAX_REVIEW_LENGTH },
+    contains_spoilers: { label: "fields.containsSpoilers", type: "boolean" },
+  },
+};
+
+// Sends the user back to the form with what they typed and what's wrong
+async function renderInvalidReview(req, res, { fieldErrors, values }) {
+  const movie = !fieldErrors.imdbID && (await findOrCreateMovie(values.imdbID));
+  if (!movie) {
+    return sendNotFound(req, res, "errors.movieNotFound");
+  }
+  await renderReviewForm(req, res, movie, { form: values, fieldErrors });
+}
+
+app.post(
+  "/reviews/add",
+  validate(reviewSchema, { render: renderInvalidReview }),
+  async (req, res, next) => {
+    try {
+      const userId = req.session.user.user_id;
+      const { imdbID, rating, review_text, contains_spoilers } = req.input;
+
+      const movie = await findOrCreateMovie(imdbID);
+      if (!movie) {
+        return sendNotFound(req, res, "errors.noMovie", { imdbID });
+      }
+
+      const { review, created } = await saveReview(db, {
+        userId,
+        movieId: movie.movie_id,
+        rating,
+        reviewText: review_text,
+        containsSpoilers: contains_spoilers,
+      });
+      if (created) {
+        await notify({
+          type: "watchlist_review",
+          actorId: userId,
+          reviewId: review.review_id,
+        });
+      }
+
+      console.log(
+        `Review ${created ? "added" : "updated"} for ${movie.title} (${
+          movie.imdb_id
+        })`
+      );
+      res.redirect(`/movies/${movie.imdb_id}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const reviewIdSchema = {
+  params: { reviewId: { label: "fields.review", type: "id", required: true } },
+  body: { returnTo: RETURN_TO },
+};
+
+app.post(
+  "/reviews/:reviewId/delete",
+  validate(reviewIdSchema),
+  async (req, res, next) => {
+    try {
+      const review = await deleteReview(db, {
+        reviewId: req.input.reviewId,
+        userId: req.session.user.user_id,
+      });
+
+      if (review) {
+        console.log(`Review ${review.review_id} deleted`);
+      }
+      res.redirect(returnPath(req.input.returnTo, "/profile"));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const reportSchema = {
+  params: reviewIdSchema.params,
+  body: {
+    reason: {
+      label: "fields.reason",
+      type: "enum",
+      values: moderation.REPORT_REASONS,
+      required: true,
+    },
+    details: { label: "fields.details", maxLength: moderation.MAX_NOTE_LENGTH },
+    returnTo: RETURN_TO,
+  },
+};
+
+// Reporting the same review twice, or your own, quietly does nothing
+app.post(
+  "/reviews/:reviewId/report",
+  validate(reportSchema),
+  async (req, res, next) => {
+    try {
+      const { reviewId, reason, details, returnTo } = req.input;
+      const report = await moderation.reportReview(db, {
+        reviewId,
+        reporterId: req.session.user.user_id,
+        reason,
+        details,
+      });
+      if (report) {
+        console.log(`Review ${reviewId} reported (${reason})`);
+      }
+      res.redirect(returnPath(returnTo, "/discover"));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Votes and comments send the reader back to the review they were on
+const backToReview = (returnTo, reviewId) =>
+  `${returnPath(returnTo, "/discover")}#review-${reviewId}`;
+
+const helpfulSchema = {
+  params: reviewIdSchema.params,
+  body: { helpful: { type: "boolean" }, returnTo: RETURN_TO },
+};
+
+// helpful is on to vote and absent to take the vote back
+app.post(
+  "/reviews/:reviewId/helpful",
+  validate(helpfulSchema),
+  async (req, res, next) => {
+    try {
+      const { reviewId, helpful, returnTo } = req.input;
+      const userId = req.session.user.user_id;
+      const changed = await discussion.setHelpful(db, {
+        reviewId,
+        userId,
+        helpful,
+      });
+      if (changed && helpful) {
+        await notify({ type: "review_helpful", actorId: userId, reviewId });
+      }
+      res.redirect(backToReview(returnTo, reviewId));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const commentSchema = {
+  params: reviewIdSchema.params,
+  body: {
+    body: {
+      label: "fields.comment",
+      required: true,
+      maxLength: discussion.MAX_COMMENT_LENGTH,
+    },
+    parent_id: { label: "fields.reply", type: "id" },
+    returnTo: RETURN_TO,
+  },
+};
+
+app.post(
+  "/reviews/:reviewId/comments",
+  validate(commentSchema),
+  async (req, res, next) => {
+    try {
+      const { reviewId, body, parent_id: parentId, returnTo } = req.input;
+      const userId = req.session.user.user_id;
+      const comment = await discussion.addComment(db, {
+        reviewId,
+        userId,
+        parentId,
+        body,
+      });
+      if (!comment) {
+        return sendNotFound(req, res, "errors.noReviewOrComment");
+      }
+      for (const type of ["review_comment", "comment_reply"]) {
+        await notify({
+          type,
+          actorId: userId,
+          reviewId,
+          commentId: comment.comment_id,
+        });
+      }
+      res.redirect(backToReview(returnTo, reviewId));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const commentIdSchema = {
+  params: {
+    commentId: { label: "fields.comment", type: "id", required: true },
+  },
+  body: { returnTo: RETURN_TO },
+};
+
+// Authors delete their own comments; moderators can delete anyone's
+app.post(
+  "/comments/:commentId/delete",
+  validate(commentIdSchema),
+  async (req, res, next) => {
+    try {
+      const userId = req.session.user.user_id;
+      const isModerator = moderation.hasRole(
+        await viewerRole(req),
+        "moderator"
+      );
+      const comment = await discussion.deleteComment(db, {
+        commentId: req.input.commentId,
+        userId,
+        moderatorId: isModerator ? userId : null,
+      });
+      if (!comment) {
+        return sendNotFound(req, res, "errors.noComment");
+      }
+      res.redirect(backToReview(req.input.returnTo, comment.review_id));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const MOVIE_REVIEWS_PAGE_SIZE = 10;
+
+// A page of a movie's reviews as the viewer sees them on /reviews, with
+// revisions and comment threads attached; reviewId picks out just that
+// review. Hidden reviews are only included for their author. Resolves to
+// { reviews, total }.
+async function loadReviewCards(
+  movieId,
+  { viewerId, isModerator },
+  { sort = "helpful", page = 1, reviewId = null } = {}
+) {
+  const rows = await db.any(
+    `SELECT r.review_id, r.rating, r.review_text, r.contains_spoilers,
+            r.created_at, r.updated_at,
+            r.updated_at > r.created_at AS edited,
+            u.username, r.user_id = $2 AS is_mine,
+            r.hidden_at IS NOT NULL AS hidden,
+            EXISTS (
+              SELECT 1 FROM review_reports p
+              WHERE p.review_id = r.review_id AND p.reporter_id = $2
+                AND p.resolved_at IS NULL
+            ) AS reported,
+            ${discussion.HELPFUL_COUNT} AS helpful_count,
+            EXISTS (
+              SELECT 1 FROM review_votes v
+              WHERE v.review_id = r.review_id AND v.user_id = $2
+            ) AS voted,
+            ${discussion.COMMENT_COUNT} AS comment_count,
+            COUNT(*) OVER() AS total_count
+     FROM reviews r
+     JOIN users u ON r.user_id = u.user_id
+     WHERE r.movie_id = $1 AND (r.hidden_at IS NULL OR r.user_id = $2)
+       AND ($5::int IS NULL OR r.review_id = $5)
+     ORDER BY ${MOVIE_REVIEW_SORTS[sort].orderBy}, r.review_id DESC
+     LIMIT $3 OFFSET $4`,
+    [
+      movieId,
+      viewerId,
+      MOVIE_REVIEWS_PAGE_SIZE,
+      (page - 1) * MOVIE_REVIEWS_PAGE_SIZE,
+      reviewId,
+    ]
+  );
+  const total = rows.length ? Number(rows[0].total_count) : 0;
+  const reviews = rows.map(({ total_count, ...review }) => review);
+
+  const [revisions, threads] = await Promise.all([
+    loadRevisions(
+      db,
+      reviews.filter((r) => r.edited).map((r) => r.review_id)
+    ),
+    discussion.loadThreads(
+      db,
+      reviews.map((r) => r.review_id),
+      { viewerId, isModerator }
+    ),
+  ]);
+  reviews.forEach((r) => {
+    r.revisions = revisions[r.review_id] || [];
+    r.comments = threads[r.review_id] || [];
+  });
+  return { reviews, total };
+}
+
+// What the review-card partial reads through @root, besides csrfToken
+const reviewCardContext = ({ imdbID, isModerator, returnTo, locale }) => ({
+  imdbID,
+  isModerator,
+  returnTo,
+  locale,
+  maxCommentLength: discussion.MAX_COMMENT_LENGTH,
+  reportReasons: moderation.REPORT_REASONS.map((value) => ({
+    value,
+    label: i18n.translate(locale, `moderation.reasons.${value}`),
+  })),
+});
+
+app.get("/reviews", async (req, res) => {
+  try {
+    const { imdbID, title } = req.query;
+    const page = parsePage(req.query.page);
+    const sort = MOVIE_REVIEW_SORTS[req.query.sort]
+      ? req.query.sort
+      : "helpful";
+
+    // Old links identified movies by title; send them through search
+    if (!imdbID) {
+      return res.redirect(
+        title ? `/discover?title=${encodeURIComponent(title)}` : "/discover"
+      );
+    }
+
+    const movie = await db.oneOrNone(
+      "SELECT movie_id, title FROM movies WHERE imdb_id = $1",
+      [imdbID]
     );
 
-    const reviews = movie
-      ? await db.any(
-          `SELECT r.rating, r.review_text, u.username
-           FROM reviews r
-           JOIN users u ON r.user_id = u.user_id
-           WHERE r.movie_id = $1`,
-          [movie.movie_id]
-        )
-      : [];
+    const role = await viewerRole(req);
+    const isModerator = moderation.hasRole(role, "moderator");
+    const viewer = { viewerId: req.session.user.user_id, isModerator };
+    const [{ reviews, total }, aggregates] = await Promise.all([
+      movie
+        ? loadReviewCards(movie.movie_id, viewer, { sort, page })
+        : { reviews: [], total: 0 },
+      loadAggregates(db, [imdbID]),
+    ]);
+
+    res.render("read-review", {
+      ...reviewCardContext({
+        imdbID,
+        isModerator,
+        returnTo: req.originalUrl,
+        locale: req.locale,
+      }),
+      username: req.session.user?.username,
+      title: movie ? movie.title : imdbID,
+      reviews,
+      sort,
+      reviewSorts: Object.keys(MOVIE_REVIEW_SORTS).map((value) => ({
+        label: req.t(`reviews.sorts.${value}`),
+        active: value === sort,
+        href: `/reviews?imdbID=${encodeURIComponent(imdbID)}&sort=${value}`,
+      })),
+      community: aggregates[imdbID] || null,
+      // Only the first page takes in new reviews as they are posted
+      live: !!movie,
+      livePrepend: page === 1,
+      pager: pager({
+        path: "/reviews",
+        query: req.query,
+        page,
+        perPage: MOVIE_REVIEWS_PAGE_SIZE,
+        total,
+      }),
+      message:
+        reviews.length > 0
+          ? null
+          : page > 1
+          ? req.t("reviews.noMore")
+          : req.t("movie.noReviews"),
+    });
+  } catch (err) {
+    console.error("Error fetching reviews:", err.message);
+    res.redirect("/discover");
+  }
+});
+
+// Live Review Updates
+// Server-Sent Events for the reviews page. Every change to one of the
+// movie's reviews (from any app instance, see src/liveReviews.js) sends
+// the viewer that review's card as they would see it, or its removal if
+// they no longer can, followed by the refreshed community ratings.
+const REVIEW_CARD = path.join(__dirname, "partials", "review-card.hbs");
+const COMMUNITY_RATINGS = path.join(
+  __dirname,
+  "partials",
+  "community-ratings.hbs"
+);
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+const liveReviewsSchema = {
+  params: { imdbID: { label: "fields.movie", type: "imdbId", required: true } },
+  query: { returnTo: RETURN_TO },
+};
+
+app.get(
+  "/movies/:imdbID/reviews/events",
+  validate(liveReviewsSchema),
+  async (req, res, next) => {
+    try {
+      const { imdbID } = req.input;
+      const movie = await db.oneOrNone(
+        "SELECT movie_id FROM movies WHERE imdb_id = $1",
+        [imdbID]
+      );
+      if (!movie) {
+        return sendNotFound(req, res, "errors.noMovie", { imdbID });
+      }
+
+      const isModerator = moderation.hasRole(
+        await viewerRole(req),
+        "moderator"
+      );
+      const viewer = { viewerId: req.session.user.user_id, isModerator };
+      const root = {
+        ...reviewCardContext({
+          imdbID,
+          isModerator,
+          returnTo: returnPath(
+            req.input.returnTo,
+            `/reviews?imdbID=${encodeURIComponent(imdbID)}`
+          ),
+          locale: req.locale,
+        }),
+        csrfToken: res.locals.csrfToken,
+      };
+
+      const send = async ({ change, reviewId }) => {
+        const { reviews } =
+          change === "deleted"
+            ? { reviews: [] }
+            : await loadReviewCards(movie.movie_id, viewer, { reviewId });
+        if (reviews.length) {
+          const html = await hbs.render(REVIEW_CARD, reviews[0], {
+            cache: app.enabled("view cache"),
+            data: { root },
+          });
+          res.write(
+            liveReviews.formatEvent("review", { reviewId, change, html })
+          );
+        } else {
+          res.write(liveReviews.formatEvent("remove", { reviewId }));
+        }
+
+        const aggregates = await loadAggregates(db, [imdbID]);
+        const community = aggregates[imdbID] || null;
+        res.write(
+          liveReviews.formatEvent("ratings", {
+            html: await hbs.render(
+              COMMUNITY_RATINGS,
+              { community, locale: req.locale },
+              { cache: app.enabled("view cache") }
+            ),
+          })
+        );
+      };
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stops nginx-style proxies from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      const unsubscribe = reviewEvents.subscribe(movie.movie_id, send);
+      const heartbeat = setInterval(
+        () => res.write(": keep-alive\n\n"),
+        LIVE_HEARTBEAT_MS
+      );
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Movie Detail Page
+app.get("/movies/:imdbID", async (req, res) => {
+  try {
+    const { imdbID } = req.params;
+    const userId = req.session.user.user_id;
+
+    const [details, local] = await Promise.all([
+      movieProvider.getById(imdbID).catch((err) => {
+        console.error(`Error fetching ${imdbID}:`, err.message);
+        return null;
+      }),
+      db.oneOrNone("SELECT * FROM movies WHERE imdb_id = $1", [imdbID]),
+    ]);
+
+    if (!details && !local) {
+      return res.status(404).render("movie", {
+        username: req.session.user?.username,
+        message: req.t("movie.notFound"),
+      });
+    }
+
+    const [reviews, onWatchlist, myReview, viewings, inLists] = local
+      ? await Promise.all([
+          db.any(
+            `SELECT r.review_id, r.rating, r.review_text, r.contains_spoilers,
+                    u.username, r.updated_at > r.created_at AS edited
+             FROM reviews r
+             JOIN users u ON r.user_id = u.user_id
+             WHERE r.movie_id = $1 AND r.hidden_at IS NULL`,
+            [local.movie_id]
+          ),
+          db.oneOrNone(
+            "SELECT 1 FROM user_list WHERE user_id = $1 AND movie_id = $2",
+            [userId, local.movie_id]
+          ),
+          db.oneOrNone(
+            `SELECT review_id, rating, review_text, contains_spoilers,
+                    updated_at, updated_at > created_at AS edited,
+                    hidden_at IS NOT NULL AS hidden
+             FROM reviews
+             WHERE user_id = $1 AND movie_id = $2`,
+            [userId, local.movie_id]
+          ),
+          db.one(
+            `SELECT COUNT(*)::int AS count, MAX(watched_on) AS last_watched
+             FROM diary_entries
+             WHERE user_id = $1 AND movie_id = $2`,
+            [userId, local.movie_id]
+          ),
+          lists.listIdsWithMovie(db, { userId, movieId: local.movie_id }),
+        ])
+      : [[], null, null, { count: 0 }, []];
+
+    const [userLists, aggregates] = await Promise.all([
+      lists.listsForUser(db, userId),
+      loadAggregates(db, [imdbID]),
+    ]);
+
+    res.render("movie", {
+      username: req.session.user?.username,
+      imdbID,
+      title: details ? details.Title : local.title,
+      year: details ? details.Year : local.release_year,
+      poster: details ? details.Poster : local.poster,
+      plot: details ? details.Plot : null,
+      imdbRating: details ? details.imdbRating : null,
+      url: `https://www.imdb.com/title/${imdbID}`,
+      // The feed needs the movie saved locally, as it is once reviewed
+      feedPath: local ? `/movies/${imdbID}/reviews` : null,
+      feedTitle: req.t("movie.feedTitle", {
+        title: details ? details.Title : local.title,
+      }),
+      reviews,
+      onWatchlist: !!onWatchlist,
+      myReview,
+      viewings,
+      community: aggregates[imdbID] || null,
+      memberLists: userLists.filter((list) => inLists.includes(list.list_id)),
+      otherLists: userLists.filter((list) => !inLists.includes(list.list_id)),
+      today: new Date().toISOString().slice(0, 10),
+    });
+  } catch (err) {
+    console.error("Error loading movie:", err.message);
+    res.redirect("/discover");
+  }
+});
+
+// Custom Lists
+const listSchema = {
+  body: {
+    title: {
+      label: "fields.title",
+      required: true,
+      maxLength: lists.MAX_TITLE_LENGTH,
+    },
+    description: {
+      label: "fields.description",
+      maxLength: lists.MAX_DESCRIPTION_LENGTH,
+    },
+    is_public: { type: "boolean" },
+  },
+};
+
+const listForm = (input) => ({
+  title: input.title || "",
+  description: input.description || "",
+  isPublic: input.is_public === true,
+});
+
+const listIdParam = {
+  listId: { label: "fields.list", type: "id", required: true },
+};
+
+const shareUrl = (req, list) =>
+  `${req.protocol}://${req.get("host")}/shared/lists/${list.share_token}`;
+
+// Renders the owner's view of a list, optionally with form errors
+async function renderOwnedList(req, res, list, { fieldErrors, form } = {}) {
+  res.status(fieldErrors ? 400 : 200).render("list", {
+    username: req.session.user.username,
+    list,
+    entries: await lists.loadEntries(db, list.list_id),
+    isOwner: true,
+    shareUrl: shareUrl(req, list),
+    fieldErrors,
+    form: form || {
+      title: list.title,
+      description: list.description,
+      isPublic: list.is_public,
+    },
+  });
+}
+
+app.get("/lists", async (req, res) => {
+  try {
+    res.render("lists", {
+      username: req.session.user.username,
+      lists: await lists.listsForUser(db, req.session.user.user_id),
+      form: {},
+    });
+  } catch (err) {
+    console.error("Error loading lists:", err.message);
+    res.redirect("/profile");
+  }
+});
 
-    res.render("read-review", {
-      username: req.session.user?.username,
-      title,
-      reviews,
-      message:
-        reviews.length === 0
-          ? "No reviews yet — be the first to add one!"
-          : null,
+app.post(
+  "/lists",
+  validate(listSchema, {
+    render: async (req, res, { fieldErrors, values }) =>
+      res.render("lists", {
+        username: req.session.user.username,
+        lists: await lists.listsForUser(db, req.session.user.user_id),
+        fieldErrors,
+        form: listForm(values),
+      }),
+  }),
+  async (req, res, next) => {
+    try {
+      const userId = req.session.user.user_id;
+      const list = await lists.createList(db, {
+        userId,
+        ...listForm(req.input),
+      });
+      console.log(`User ${userId} created list ${list.list_id}`);
+      res.redirect(`/lists/${list.list_id}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.get("/lists/:listId", async (req, res) => {
+  try {
+    const list = await lists.getOwnedList(db, {
+      listId: parseInt(req.params.listId, 10) || 0,
+      userId: req.session.user.user_id,
     });
+    if (!list) {
+      return res.redirect("/lists");
+    }
+    await renderOwnedList(req, res, list);
   } catch (err) {
-    console.error("Error fetching reviews:", err.message);
-    res.redirect("/discover");
+    console.error("Error loading list:", err.message);
+    res.redirect("/lists");
+  }
+});
+
+// Loads the list named in the URL if it's the user's, else answers 404
+async function ownedListOr404(req, res) {
+  const list = await lists.getOwnedList(db, {
+    listId: req.input?.listId ?? (parseInt(req.params.listId, 10) || 0),
+    userId: req.session.user.user_id,
+  });
+  if (!list) sendNotFound(req, res, "errors.noList");
+  return list;
+}
+
+app.post(
+  "/lists/:listId",
+  validate(
+    { params: listIdParam, ...listSchema },
+    {
+      render: async (req, res, { fieldErrors, values }) => {
+        const list = await ownedListOr404(req, res);
+        if (list) {
+          await renderOwnedList(req, res, list, {
+            fieldErrors,
+            form: listForm(values),
+          });
+        }
+      },
+    }
+  ),
+  async (req, res, next) => {
+    try {
+      const { listId } = req.input;
+      const updated = await lists.updateList(db, {
+        listId,
+        userId: req.session.user.user_id,
+        ...listForm(req.input),
+      });
+      if (!updated) return sendNotFound(req, res, "errors.noList");
+      res.redirect(`/lists/${listId}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/lists/:listId/share",
+  validate({ params: listIdParam }),
+  async (req, res, next) => {
+    try {
+      await lists.resetShareToken(db, {
+        listId: req.input.listId,
+        userId: req.session.user.user_id,
+      });
+      res.redirect(`/lists/${req.input.listId}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/lists/:listId/delete",
+  validate({ params: listIdParam }),
+  async (req, res, next) => {
+    try {
+      await lists.deleteList(db, {
+        listId: req.input.listId,
+        userId: req.session.user.user_id,
+      });
+      res.redirect("/lists");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// List entry actions only run once the list is known to be the user's
+const listEntrySchema = (body = {}) => ({
+  params: {
+    ...listIdParam,
+    entryId: { label: "fields.listEntry", type: "id", required: true },
+  },
+  body,
+});
+
+const listEntryAction = (action) => async (req, res, next) => {
+  try {
+    const list = await ownedListOr404(req, res);
+    if (!list) return;
+    await action({ listId: list.list_id, input: req.input });
+    res.redirect(`/lists/${list.list_id}`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+app.post(
+  "/lists/:listId/entries/:entryId/note",
+  validate(
+    listEntrySchema({
+      note: { label: "fields.note", maxLength: lists.MAX_NOTE_LENGTH },
+    })
+  ),
+  listEntryAction(({ listId, input }) =>
+    lists.updateEntryNote(db, {
+      listId,
+      entryId: input.entryId,
+      note: input.note,
+    })
+  )
+);
+
+app.post(
+  "/lists/:listId/entries/:entryId/move",
+  validate(listEntrySchema({ direction: DIRECTION })),
+  listEntryAction(({ listId, input }) =>
+    lists.moveEntry(db, {
+      listId,
+      entryId: input.entryId,
+      direction: input.direction,
+    })
+  )
+);
+
+app.post(
+  "/lists/:listId/entries/:entryId/remove",
+  validate(listEntrySchema()),
+  listEntryAction(({ listId, input }) =>
+    lists.removeEntry(db, { listId, entryId: input.entryId })
+  )
+);
+
+// Letterboxd / IMDb Import
+// Upload -> preview (settle ambiguous and unmatched lines) -> commit
+app.get("/import", (req, res) => {
+  res.render("import", {
+    username: req.session.user.username,
+    maxRows: imports.MAX_ROWS,
+  });
+});
+
+const importSchema = {
+  body: { csv: { label: "fields.csv", required: true, trim: false } },
+};
+
+const importIdParam = {
+  params: { importId: { label: "fields.import", type: "id", required: true } },
+};
+
+const renderImportError = (req, res, { fieldErrors }) =>
+  res.render("import", {
+    username: req.session.user.username,
+    maxRows: imports.MAX_ROWS,
+    error: fieldErrors.csv,
+  });
+
+app.post(
+  "/import",
+  validate(importSchema, { render: renderImportError }),
+  async (req, res) => {
+    const userId = req.session.user.user_id;
+    try {
+      if (!movieProvider.configured) {
+        throw new Error("OMDB API key not configured.");
+      }
+
+      const { importId, error } = await imports.createImport(
+        db,
+        movieProvider,
+        {
+          userId,
+          text: req.input.csv,
+        }
+      );
+      if (error) {
+        return res.status(400).render("import", {
+          username: req.session.user.username,
+          maxRows: imports.MAX_ROWS,
+          error: req.t(error.key, error.params),
+        });
+      }
+
+      console.log(`User ${userId} started import ${importId}`);
+      res.redirect(`/import/${importId}`);
+    } catch (err) {
+      console.error("Error starting import:", err.message);
+      res.status(500).render("import", {
+        username: req.session.user.username,
+        maxRows: imports.MAX_ROWS,
+        error: req.t("import.lookupFailed"),
+      });
+    }
+  }
+);
+
+app.get("/import/:importId", async (req, res) => {
+  try {
+    const imported = await imports.loadImport(db, {
+      importId: parseInt(req.params.importId, 10) || 0,
+      userId: req.session.user.user_id,
+    });
+    if (!imported) return res.redirect("/import");
+
+    res.render("import", {
+      username: req.session.user.username,
+      imported,
+    });
+  } catch (err) {
+    console.error("Error loading import:", err.message);
+    res.redirect("/import");
+  }
+});
+
+app.post(
+  "/import/:importId/resolve",
+  validate(importIdParam),
+  async (req, res, next) => {
+    const { importId } = req.input;
+    try {
+      // Fields are named choice_<row_id>; resolveRows ignores rows that
+      // aren't this import's and choices that weren't offered
+      const choices = {};
+      for (const [name, value] of Object.entries(req.body)) {
+        const match = /^choice_(\d+)$/.exec(name);
+        if (match && typeof value === "string") choices[match[1]] = value;
+      }
+      await imports.resolveRows(db, movieProvider, {
+        importId,
+        userId: req.session.user.user_id,
+        choices,
+      });
+      res.redirect(`/import/${importId}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/import/:importId/commit",
+  validate(importIdParam),
+  async (req, res, next) => {
+    const { importId } = req.input;
+    try {
+      const summary = await imports.commitImport(db, {
+        importId,
+        userId: req.session.user.user_id,
+        findOrCreateMovie,
+      });
+      if (summary) {
+        console.log(`Import ${importId} committed:`, JSON.stringify(summary));
+      }
+      res.redirect(`/import/${importId}`);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/import/:importId/discard",
+  validate(importIdParam),
+  async (req, res, next) => {
+    try {
+      await imports.discardImport(db, {
+        importId: req.input.importId,
+        userId: req.session.user.user_id,
+      });
+      res.redirect("/import");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Account Settings
+// Email address, language, password, data export and account deletion.
+// Notices are shown after a redirect, named by ?notice= (see
+// account.notices in the catalogs).
+const ACCOUNT_NOTICES = ["restored", "email", "language", "password"];
+
+async function renderAccount(req, res, extra = {}) {
+  const { email, language } = await db.one(
+    "SELECT email, language FROM users WHERE user_id = $1",
+    [req.session.user.user_id]
+  );
+  res.render("account", {
+    username: req.session.user.username,
+    email,
+    languages: Object.entries(i18n.LANGUAGES).map(([code, name]) => ({
+      code,
+      name,
+      selected: code === language,
+    })),
+    graceDays: accounts.DELETION_GRACE_DAYS,
+    minLength: passwords.MIN_PASSWORD_LENGTH,
+    notice: ACCOUNT_NOTICES.includes(req.query.notice)
+      ? req.t(`account.notices.${req.query.notice}`)
+      : null,
+    ...extra,
+  });
+}
+
+// Checks the password typed into a form against the signed-in user's
+async function confirmPassword(req, password) {
+  const user = await db.one("SELECT password FROM users WHERE user_id = $1", [
+    req.session.user.user_id,
+  ]);
+  return !!password && bcrypt.compare(password, user.password);
+}
+
+app.get("/account", async (req, res) => {
+  try {
+    await renderAccount(req, res);
+  } catch (err) {
+    console.error("Error loading account settings:", err.message);
+    res.redirect("/profile");
+  }
+});
+
+const emailSchema = {
+  body: { email: { label: "fields.email", maxLength: 255 } },
+};
+
+app.post(
+  "/account/email",
+  validate(emailSchema, {
+    render: (req, res, { fieldErrors, values }) =>
+      renderAccount(req, res, {
+        emailError: fieldErrors.email,
+        emailForm: values.email,
+      }),
+  }),
+  async (req, res, next) => {
+    const { email } = req.input;
+    try {
+      const error = email ? passwords.validateEmail(email) : null;
+      if (error) {
+        return await renderAccount(req, res.status(400), {
+          emailError: req.t(error.key, error.params),
+          emailForm: email,
+        });
+      }
+
+      await db.none("UPDATE users SET email = $2 WHERE user_id = $1", [
+        req.session.user.user_id,
+        email,
+      ]);
+      res.redirect("/account?notice=email");
+    } catch (err) {
+      if (err.code !== "23505") return next(err);
+      await renderAccount(req, res.status(400), {
+        emailError: req.t("account.emailTaken"),
+        emailForm: email,
+      }).catch(next);
+    }
+  }
+);
+
+// An empty choice goes back to following the browser's language
+const languageSchema = {
+  body: {
+    language: {
+      label: "fields.language",
+      type: "enum",
+      values: Object.keys(i18n.LANGUAGES),
+    },
+  },
+};
+
+app.post(
+  "/account/language",
+  validate(languageSchema),
+  async (req, res, next) => {
+    try {
+      const { language } = req.input;
+      await db.none("UPDATE users SET language = $2 WHERE user_id = $1", [
+        req.session.user.user_id,
+        language,
+      ]);
+      req.session.user.language = language;
+      res.redirect("/account?notice=language");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const changePasswordSchema = {
+  body: {
+    current_password: {
+      label: "fields.currentPassword",
+      required: true,
+      trim: false,
+    },
+    new_password: { label: "fields.newPassword", required: true, trim: false },
+    confirm_password: {
+      label: "fields.passwordConfirmation",
+      required: true,
+      trim: false,
+    },
+  },
+};
+
+// Other sessions are signed out and API tokens revoked; the session making
+// the change stays signed in
+app.post(
+  "/account/password",
+  validate(changePasswordSchema, {
+    render: (req, res, { fieldErrors }) =>
+      renderAccount(req, res, {
+        passwordError: Object.values(fieldErrors)[0],
+      }),
+  }),
+  async (req, res, next) => {
+    const userId = req.session.user.user_id;
+    try {
+      const {
+        current_password: current,
+        new_password: password,
+        confirm_password: confirmation,
+      } = req.input;
+      const error = !(await confirmPassword(req, current))
+        ? i18n.message("account.wrongPassword")
+        : passwords.validatePassword(password, confirmation);
+      if (error) {
+        return await renderAccount(req, res.status(400), {
+          passwordError: req.t(error.key, error.params),
+        });
+      }
+
+      await passwords.setPassword(db, userId, password);
+      await endUserSessions(db, userId, { except: req.sessionID });
+      console.log(`Password changed: ${req.session.user.username}`);
+      res.redirect("/account?notice=password");
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.get("/account/export.json", async (req, res) => {
+  try {
+    const data = await accounts.loadAccountData(db, req.session.user.user_id);
+    res.attachment(`movie-meter-${data.profile.username}.json`);
+    res.type("json").send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error("Error exporting account data:", err.message);
+    res.redirect("/account");
+  }
+});
+
+app.get("/account/export/:name.csv", async (req, res) => {
+  const { name } = req.params;
+  if (!accounts.CSV_EXPORTS[name]) return res.redirect("/account");
+  try {
+    const data = await accounts.loadAccountData(db, req.session.user.user_id);
+    res.attachment(`movie-meter-${data.profile.username}-${name}.csv`);
+    res.type("csv").send(accounts.exportCsv(data, name));
+  } catch (err) {
+    console.error("Error exporting account data:", err.message);
+    res.redirect("/account");
+  }
+});
+
+const deleteAccountSchema = {
+  body: { password: { label: "fields.password", required: true, trim: false } },
+};
+
+// Needs the password again; the account is then signed out and purged
+// once the grace period is up unless its owner signs back in
+app.post(
+  "/account/delete",
+  validate(deleteAccountSchema, {
+    render: (req, res, { fieldErrors }) =>
+      renderAccount(req, res, { deleteError: fieldErrors.password }),
+  }),
+  async (req, res, next) => {
+    const userId = req.session.user.user_id;
+    try {
+      if (!(await confirmPassword(req, req.input.password))) {
+        return await renderAccount(req, res.status(400), {
+          deleteError: req.t("account.wrongDeletePassword"),
+        });
+      }
+
+      const deleteAfter = await accounts.requestDeletion(db, userId);
+      await endUserSessions(db, userId);
+      console.log(`Account deletion requested: ${req.session.user.username}`);
+      req.session.destroy((err) => {
+        if (err) console.error("Error destroying session:", err);
+      });
+      res.render("logout", { deleteAfter });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Moderation
+// Open reports, hidden reviews, account lookup and the audit log. Actions
+// come back to the page (and account) they were taken from.
+const MODERATION_NOTE = {
+  label: "fields.note",
+  maxLength: moderation.MAX_NOTE_LENGTH,
+};
+
+app.get("/moderation", requireRole("moderator"), async (req, res, next) => {
+  try {
+    const logPage = parsePage(req.query.log_page);
+    const userQuery =
+      typeof req.query.user === "string" ? req.query.user.trim() : "";
+    const actor = { user_id: req.session.user.user_id, role: req.role };
+
+    const [queue, hidden, log, account] = await Promise.all([
+      moderation.loadReportQueue(db),
+      moderation.loadHiddenReviews(db),
+      moderation.loadAuditLog(db, { page: logPage }),
+      userQuery ? moderation.findAccount(db, { username: userQuery }) : null,
+    ]);
+
+    res.render("moderation", {
+      username: req.session.user.username,
+      queue: queue.map((review) => ({
+        ...review,
+        reports: review.reports.map((report) => ({
+          ...report,
+          reasonLabel: req.t(`moderation.reasons.${report.reason}`),
+        })),
+        canSuspend:
+          !review.author_suspended &&
+          moderation.canModerate(actor, {
+            user_id: review.author_id,
+            role: review.author_role,
+          }),
+      })),
+      hidden,
+      userQuery,
+      account: account && {
+        ...account,
+        roleLabel: req.t(`moderation.roles.${account.role}`),
+        canModerate: moderation.canModerate(actor, account),
+      },
+      isAdmin: moderation.hasRole(req.role, "admin"),
+      roles: moderation.ROLES.map((value) => ({
+        value,
+        label: req.t(`moderation.roles.${value}`),
+      })),
+      returnTo: req.originalUrl,
+      actions: log.actions.map((action) => ({
+        ...action,
+        label: req.t(`moderation.actions.${action.action}`),
+        roleLabel: action.role && req.t(`moderation.roles.${action.role}`),
+      })),
+      logPager: pager({
+        path: "/moderation",
+        query: req.query,
+        param: "log_page",
+        anchor: "log",
+        page: logPage,
+        perPage: moderation.LOG_PAGE_SIZE,
+        total: log.total,
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const moderateReviewSchema = {
+  params: reviewIdSchema.params,
+  body: { note: MODERATION_NOTE, returnTo: RETURN_TO },
+};
+
+// Hide, restore and dismiss all take a review and an optional note
+const reviewModeration = (action, done) => [
+  requireRole("moderator"),
+  validate(moderateReviewSchema),
+  async (req, res, next) => {
+    try {
+      const { reviewId, note, returnTo } = req.input;
+      const result = await action(db, {
+        reviewId,
+        moderatorId: req.session.user.user_id,
+        note,
+      });
+      if (result) {
+        console.log(
+          `Review ${reviewId} ${done} by ${req.session.user.username}`
+        );
+      }
+      res.redirect(returnPath(returnTo, "/moderation"));
+    } catch (err) {
+      next(err);
+    }
+  },
+];
+
+app.post(
+  "/moderation/reviews/:reviewId/hide",
+  reviewModeration(moderation.hideReview, "hidden")
+);
+app.post(
+  "/moderation/reviews/:reviewId/restore",
+  reviewModeration(moderation.restoreReview, "restored")
+);
+app.post(
+  "/moderation/reviews/:reviewId/dismiss",
+  reviewModeration(moderation.dismissReports, "reports dismissed")
+);
+
+const moderateUserSchema = (body) => ({
+  params: { userId: { label: "fields.account", type: "id", required: true } },
+  body: { ...body, returnTo: RETURN_TO },
+});
+
+// Loads the account named in the URL if the acting moderator outranks it;
+// otherwise answers 404 or 403 and resolves to null
+async function moderatedAccount(req, res) {
+  const account = await moderation.findAccount(db, {
+    userId: req.input.userId,
+  });
+  if (!account) {
+    sendNotFound(req, res, "errors.noAccount");
+    return null;
+  }
+  const actor = { user_id: req.session.user.user_id, role: req.role };
+  if (!moderation.canModerate(actor, account)) {
+    res.status(403).render("error", {
+      title: req.t("errors.notAllowed"),
+      message: req.t("errors.lowerRoleOnly"),
+    });
+    return null;
+  }
+  return account;
+}
+
+const accountPage = (req, account) =>
+  returnPath(
+    req.input.returnTo,
+    `/moderation?user=${encodeURIComponent(account.username)}`
+  );
+
+// Suspending also signs the account out everywhere
+app.post(
+  "/moderation/users/:userId/suspend",
+  requireRole("moderator"),
+  validate(
+    moderateUserSchema({
+      reason: { ...MODERATION_NOTE, label: "fields.reason", required: true },
+    })
+  ),
+  async (req, res, next) => {
+    try {
+      const account = await moderatedAccount(req, res);
+      if (!account) return;
+
+      const suspended = await moderation.suspendUser(db, {
+        userId: account.user_id,
+        moderatorId: req.session.user.user_id,
+        reason: req.input.reason,
+      });
+      if (suspended) {
+        await endUserSessions(db, account.user_id);
+        console.log(
+          `Account ${account.username} suspended by ${req.session.user.username}`
+        );
+      }
+      res.redirect(accountPage(req, account));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/moderation/users/:userId/unsuspend",
+  requireRole("moderator"),
+  validate(moderateUserSchema({ note: MODERATION_NOTE })),
+  async (req, res, next) => {
+    try {
+      const account = await moderatedAccount(req, res);
+      if (!account) return;
+
+      await moderation.unsuspendUser(db, {
+        userId: account.user_id,
+        moderatorId: req.session.user.user_id,
+        note: req.input.note,
+      });
+      res.redirect(accountPage(req, account));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.post(
+  "/moderation/users/:userId/role",
+  requireRole("admin"),
+  validate(
+    moderateUserSchema({
+      role: {
+        label: "fields.role",
+        type: "enum",
+        values: moderation.ROLES,
+        required: true,
+      },
+      note: MODERATION_NOTE,
+    })
+  ),
+  async (req, res, next) => {
+    try {
+      const account = await moderatedAccount(req, res);
+      if (!account) return;
+
+      const changed = await moderation.setRole(db, {
+        userId: account.user_id,
+        moderatorId: req.session.user.user_id,
+        role: req.input.role,
+        note: req.input.note,
+      });
+      if (changed) {
+        console.log(`Account ${account.username} is now ${req.input.role}`);
+      }
+      res.redirect(accountPage(req, account));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// OMDb cache hit/miss counters since the server started, for moderators
+// and admins
+app.get("/cache/stats", requireRole("moderator"), async (req, res) => {
+  try {
+    res.json(await omdbCache.getStats());
+  } catch (err) {
+    console.error("Error reading cache stats:", err.message);
+    res.status(500).json({ message: "Could not read cache stats." });
   }
 });
 
@@ -609,14 +3151,89 @@ app.get("/logout", (req, res) => {
   res.render("logout");
 });
 
+// Errors passed on by routes. Anything without a 4xx status of its own
+// (body-parser sets one for a malformed body) is a bug or an outage.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    console.error(`Error handling ${req.method} ${req.path}:`, err.message);
+  }
+
+  res.status(status);
+  if (isJsonRequest(req)) {
+    return res.json(
+      status === 500
+        ? errorBody("internal_error", "Something went wrong.")
+        : errorBody("bad_request", "That request couldn't be read.")
+    );
+  }
+  // Errors can come before the locale is known (from the body parser, say)
+  const t = (key) => i18n.translate(req.locale, key);
+  res.render("error", {
+    title: status === 500 ? t("errors.serverTitle") : t("errors.badTitle"),
+    message:
+      status === 500 ? t("errors.serverMessage") : t("errors.badRequest"),
+  });
+});
+
 // *****************************************************
 // Start Server
 // *****************************************************
 if (require.main === module) {
-  const port = process.env.PORT || 3000;
-  app.listen(port, () => {
-    console.log(`Server is listening on port ${port}`);
-    console.log(`Visit http://localhost:${port} to access the application`);
+  const databaseReady = initializeDatabase().catch((err) => {
+    console.error("Not starting: couldn't check the database:", err.message);
+    process.exit(1);
+  });
+
+  databaseReady.then((pending) => {
+    if (pending.length) {
+      console.error(
+        `Not starting: ${pending.length} pending migration(s): ${pending
+          .map(label)
+          .join(", ")}. Run \`npm run migrate\` first.`
+      );
+      process.exit(1);
+    }
+
+    if (!SESSION_SECRET) {
+      console.error("Not starting: set SESSION_SECRET in production.");
+      process.exit(1);
+    }
+
+    const port = process.env.PORT || 3000;
+    const refreshMinutes =
+      parseInt(process.env.RECOMMENDATIONS_REFRESH_MINUTES, 10) || 60;
+    startRecommendationJob(db, { intervalMs: refreshMinutes * 60 * 1000 });
+    accounts.startAccountPurgeJob(db, { intervalMs: 60 * 60 * 1000 });
+    stats.startMovieCreditsJob(db, {
+      movieProvider,
+      intervalMs: 60 * 60 * 1000,
+    });
+    notifications.startDigestJob(db, {
+      mailer,
+      baseUrl: (process.env.APP_URL || `http://localhost:${port}`).replace(
+        /\/$/,
+        ""
+      ),
+      intervalMs: 60 * 60 * 1000,
+    });
+
+    // Hourly: drop expired sessions, lockouts and reset links
+    setInterval(() => {
+      Promise.all([
+        sessionStore.prune(),
+        loginThrottle.pruneThrottles(db),
+        passwords.pruneResetTokens(db),
+      ]).catch((err) =>
+        console.error("Error pruning security records:", err.message)
+      );
+    }, 60 * 60 * 1000).unref();
+
+    app.listen(port, () => {
+      console.log(`Server is listening on port ${port}`);
+      console.log(`Visit http://localhost:${port} to access the application`);
+    });
   });
 }
 
@@ -1,30 +0,0 @@
-CREATE TABLE IF NOT EXISTS users (
-    user_id SERIAL PRIMARY KEY,
-    username VARCHAR(50) NOT NULL UNIQUE,
-    password VARCHAR(255) NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS movies (
-    movie_id SERIAL PRIMARY KEY,
-    title VARCHAR(100) NOT NULL UNIQUE,
-    release_year INT
-);
-
-CREATE TABLE IF NOT EXISTS reviews (
-    review_id SERIAL PRIMARY KEY,
-    user_id INT NOT NULL,
-    movie_id INT NOT NULL,
-    rating INT CHECK (rating BETWEEN 1 AND 10),
-    review_text CHAR(200),
-    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-    FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE
-);
-
-CREATE TABLE IF NOT EXISTS user_list (
-    list_id SERIAL PRIMARY KEY,
-    user_id INT NOT NULL,
-    movie_id INT NOT NULL,
-    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-    FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE,
-    UNIQUE (user_id, movie_id)
-);
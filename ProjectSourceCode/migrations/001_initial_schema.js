@@ -0,0 +1,241 @@
+// The schema as it stood before versioned migrations. Databases created by
+// the old startup code (or init_data/create.sql) already have some or all
+// of it, so every step tolerates what is already there and finishes the
+// older upgrades those databases may not have had yet.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS users (
+        user_id SERIAL PRIMARY KEY,
+        username VARCHAR(50) NOT NULL UNIQUE,
+        password VARCHAR(255) NOT NULL,
+        profile_visibility VARCHAR(10) NOT NULL DEFAULT 'public'
+          CHECK (profile_visibility IN ('public', 'followers', 'private'))
+      )
+    `);
+
+    await t.none(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_visibility VARCHAR(10)
+        NOT NULL DEFAULT 'public'
+        CHECK (profile_visibility IN ('public', 'followers', 'private'))
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS follows (
+        follower_id INT NOT NULL,
+        followee_id INT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (follower_id, followee_id),
+        CHECK (follower_id <> followee_id),
+        FOREIGN KEY (follower_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (followee_id) REFERENCES users(user_id) ON DELETE CASCADE
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS movies (
+        movie_id SERIAL PRIMARY KEY,
+        imdb_id VARCHAR(20) UNIQUE,
+        title VARCHAR(100) NOT NULL,
+        release_year INT,
+        poster TEXT
+      )
+    `);
+
+    // Older databases keyed movies on title; move them over to imdb_id
+    await t.none(`
+      ALTER TABLE movies ADD COLUMN IF NOT EXISTS imdb_id VARCHAR(20);
+      ALTER TABLE movies ADD COLUMN IF NOT EXISTS poster TEXT;
+      ALTER TABLE movies DROP CONSTRAINT IF EXISTS movies_title_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS movies_imdb_id_key ON movies (imdb_id);
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        review_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        movie_id INT NOT NULL,
+        rating INT CHECK (rating BETWEEN 1 AND 10),
+        review_text CHAR(200),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE,
+        UNIQUE (user_id, movie_id)
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS review_revisions (
+        revision_id SERIAL PRIMARY KEY,
+        review_id INT NOT NULL,
+        rating INT CHECK (rating BETWEEN 1 AND 10),
+        review_text TEXT,
+        written_at TIMESTAMPTZ NOT NULL,
+        FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE
+      )
+    `);
+
+    // Older databases allowed several reviews per user and movie. Keep the
+    // newest one and file the others as its earlier revisions.
+    await t.none(`
+      ALTER TABLE reviews ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+      ALTER TABLE reviews ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+    `);
+    await t.none(`
+      INSERT INTO review_revisions (review_id, rating, review_text, written_at)
+      SELECT k.review_id, d.rating, d.review_text, d.updated_at
+      FROM reviews d
+      JOIN reviews k ON k.user_id = d.user_id AND k.movie_id = d.movie_id
+      WHERE d.review_id < k.review_id
+        AND k.review_id = (
+          SELECT MAX(review_id) FROM reviews
+          WHERE user_id = d.user_id AND movie_id = d.movie_id
+        )
+    `);
+    await t.none(`
+      DELETE FROM reviews d
+      USING reviews k
+      WHERE d.user_id = k.user_id AND d.movie_id = k.movie_id
+        AND d.review_id < k.review_id
+    `);
+    await t.none(`
+      CREATE UNIQUE INDEX IF NOT EXISTS reviews_user_id_movie_id_key
+      ON reviews (user_id, movie_id)
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS user_list (
+        list_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        movie_id INT NOT NULL,
+        priority SMALLINT NOT NULL DEFAULT 2 CHECK (priority BETWEEN 1 AND 3),
+        position INT NOT NULL DEFAULT 0,
+        added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE,
+        UNIQUE (user_id, movie_id)
+      )
+    `);
+
+    // Older watchlists had no ordering; number them in the order added
+    const { exists } = await t.one(`
+      SELECT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_list' AND column_name = 'position'
+      ) AS exists
+    `);
+    if (!exists) {
+      await t.none(`
+        ALTER TABLE user_list
+          ADD COLUMN priority SMALLINT NOT NULL DEFAULT 2 CHECK (priority BETWEEN 1 AND 3),
+          ADD COLUMN position INT NOT NULL DEFAULT 0,
+          ADD COLUMN added_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+        UPDATE user_list ul
+        SET position = numbered.n
+        FROM (
+          SELECT list_id, ROW_NUMBER() OVER (
+            PARTITION BY user_id ORDER BY list_id
+          ) AS n
+          FROM user_list
+        ) numbered
+        WHERE ul.list_id = numbered.list_id;
+      `);
+    }
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS diary_entries (
+        entry_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        movie_id INT NOT NULL,
+        watched_on DATE NOT NULL DEFAULT CURRENT_DATE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS custom_lists (
+        list_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        description TEXT,
+        is_public BOOLEAN NOT NULL DEFAULT FALSE,
+        share_token CHAR(32) NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS custom_list_entries (
+        entry_id SERIAL PRIMARY KEY,
+        list_id INT NOT NULL,
+        movie_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        note TEXT,
+        added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        FOREIGN KEY (list_id) REFERENCES custom_lists(list_id) ON DELETE CASCADE,
+        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE,
+        UNIQUE (list_id, movie_id)
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS recommendations (
+        user_id INT NOT NULL,
+        movie_id INT NOT NULL,
+        rank SMALLINT NOT NULL,
+        score REAL NOT NULL,
+        source VARCHAR(10) NOT NULL CHECK (source IN ('similar', 'popular')),
+        reason_movie_id INT,
+        computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, movie_id),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (movie_id) REFERENCES movies(movie_id) ON DELETE CASCADE,
+        FOREIGN KEY (reason_movie_id) REFERENCES movies(movie_id) ON DELETE SET NULL
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        token_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        token_prefix VARCHAR(10) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      )
+    `);
+
+    await t.none(`
+      CREATE TABLE IF NOT EXISTS omdb_cache (
+        cache_key VARCHAR(255) PRIMARY KEY,
+        payload JSONB NOT NULL,
+        fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Full-text search; the expressions must match src/search.js
+    await t.none(`
+      CREATE INDEX IF NOT EXISTS movies_title_search_idx
+        ON movies USING GIN (to_tsvector('english', title));
+      CREATE INDEX IF NOT EXISTS reviews_text_search_idx
+        ON reviews USING GIN (to_tsvector('english', COALESCE(review_text, '')));
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      DROP TABLE IF EXISTS
+        omdb_cache, api_tokens, recommendations, custom_list_entries,
+        custom_lists, diary_entries, user_list, review_revisions, reviews,
+        movies, follows, users
+    `);
+  },
+};
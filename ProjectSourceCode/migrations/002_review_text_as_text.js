@@ -0,0 +1,22 @@
+// review_text was CHAR(200), which pads every review with trailing spaces.
+// Store it as TEXT instead; the 200-character limit is enforced by the app.
+// Rolling back truncates anything longer than 200 characters.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      ALTER TABLE reviews
+        ALTER COLUMN review_text TYPE TEXT USING RTRIM(review_text);
+      UPDATE review_revisions
+        SET review_text = RTRIM(review_text)
+        WHERE review_text <> RTRIM(review_text);
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      ALTER TABLE reviews
+        ALTER COLUMN review_text TYPE CHAR(200) USING LEFT(review_text, 200)
+    `);
+  },
+};
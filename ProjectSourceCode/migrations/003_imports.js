@@ -0,0 +1,45 @@
+// CSV imports from Letterboxd and IMDb. Each uploaded file becomes an
+// imports row with one import_rows row per line, kept until the user
+// commits it (or discards it) so unmatched lines can be resolved first.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      CREATE TABLE imports (
+        import_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        source VARCHAR(30) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        committed_at TIMESTAMPTZ,
+        summary JSONB,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE import_rows (
+        row_id SERIAL PRIMARY KEY,
+        import_id INT NOT NULL,
+        row_number INT NOT NULL,
+        kind VARCHAR(10) NOT NULL
+          CHECK (kind IN ('rating', 'review', 'watchlist')),
+        title VARCHAR(255) NOT NULL,
+        release_year INT,
+        rating SMALLINT CHECK (rating BETWEEN 1 AND 10),
+        review_text TEXT,
+        shortened BOOLEAN NOT NULL DEFAULT FALSE,
+        logged_on DATE,
+        status VARCHAR(10) NOT NULL
+          CHECK (status IN ('matched', 'ambiguous', 'unmatched', 'invalid', 'skipped')),
+        imdb_id VARCHAR(20),
+        candidates JSONB NOT NULL DEFAULT '[]',
+        problem TEXT,
+        FOREIGN KEY (import_id) REFERENCES imports(import_id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX import_rows_import_id_idx ON import_rows (import_id);
+    `);
+  },
+
+  async down(t) {
+    await t.none("DROP TABLE IF EXISTS import_rows, imports");
+  },
+};
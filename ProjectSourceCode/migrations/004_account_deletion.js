@@ -0,0 +1,13 @@
+// Accounts the owner has asked to delete. delete_after is when the purge
+// job may remove the row (and, through the cascades, everything else);
+// signing in before then clears it.
+
+module.exports = {
+  async up(t) {
+    await t.none("ALTER TABLE users ADD COLUMN delete_after TIMESTAMPTZ");
+  },
+
+  async down(t) {
+    await t.none("ALTER TABLE users DROP COLUMN IF EXISTS delete_after");
+  },
+};
@@ -0,0 +1,46 @@
+// Sessions move out of process memory into Postgres, failed sign-ins are
+// counted per username and per IP for lockouts, and users can add an email
+// address to receive single-use password reset links.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      CREATE TABLE sessions (
+        sid VARCHAR(255) PRIMARY KEY,
+        sess JSONB NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+      CREATE INDEX sessions_expires_at_idx ON sessions (expires_at);
+      CREATE INDEX sessions_user_id_idx ON sessions (((sess->'user'->>'user_id')::int));
+
+      CREATE TABLE login_throttles (
+        scope VARCHAR(10) NOT NULL CHECK (scope IN ('username', 'ip')),
+        key VARCHAR(255) NOT NULL,
+        failures INT NOT NULL DEFAULT 0,
+        window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_until TIMESTAMPTZ,
+        PRIMARY KEY (scope, key)
+      );
+
+      ALTER TABLE users ADD COLUMN email VARCHAR(255);
+      CREATE UNIQUE INDEX users_email_key ON users (LOWER(email));
+
+      CREATE TABLE password_reset_tokens (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      DROP TABLE IF EXISTS password_reset_tokens, login_throttles, sessions;
+      DROP INDEX IF EXISTS users_email_key;
+      ALTER TABLE users DROP COLUMN IF EXISTS email;
+    `);
+  },
+};
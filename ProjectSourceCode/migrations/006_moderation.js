@@ -0,0 +1,62 @@
+// Moderation: every user has a role, moderators can hide reviews and
+// suspend accounts, anyone can report a review, and every moderator action
+// is written to moderation_actions. The log keeps its rows when the people
+// or reviews they mention are deleted.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      ALTER TABLE users
+        ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user'
+          CHECK (role IN ('user', 'moderator', 'admin')),
+        ADD COLUMN suspended_at TIMESTAMPTZ,
+        ADD COLUMN suspension_reason TEXT;
+
+      ALTER TABLE reviews
+        ADD COLUMN hidden_at TIMESTAMPTZ,
+        ADD COLUMN hidden_by INT REFERENCES users(user_id) ON DELETE SET NULL;
+
+      CREATE TABLE review_reports (
+        report_id SERIAL PRIMARY KEY,
+        review_id INT NOT NULL,
+        reporter_id INT NOT NULL,
+        reason VARCHAR(20) NOT NULL,
+        details TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        resolved_at TIMESTAMPTZ,
+        resolved_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+        resolution VARCHAR(20) CHECK (resolution IN ('hidden', 'dismissed')),
+        FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+        FOREIGN KEY (reporter_id) REFERENCES users(user_id) ON DELETE CASCADE
+      );
+      -- One open report per person per review
+      CREATE UNIQUE INDEX review_reports_open_key
+        ON review_reports (review_id, reporter_id) WHERE resolved_at IS NULL;
+
+      CREATE TABLE moderation_actions (
+        action_id SERIAL PRIMARY KEY,
+        moderator_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL,
+        user_id INT REFERENCES users(user_id) ON DELETE SET NULL,
+        review_id INT REFERENCES reviews(review_id) ON DELETE SET NULL,
+        note TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE INDEX moderation_actions_created_at_idx
+        ON moderation_actions (created_at DESC);
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      DROP TABLE IF EXISTS moderation_actions, review_reports;
+      ALTER TABLE reviews
+        DROP COLUMN IF EXISTS hidden_by,
+        DROP COLUMN IF EXISTS hidden_at;
+      ALTER TABLE users
+        DROP COLUMN IF EXISTS suspension_reason,
+        DROP COLUMN IF EXISTS suspended_at,
+        DROP COLUMN IF EXISTS role;
+    `);
+  },
+};
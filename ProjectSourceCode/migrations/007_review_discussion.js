@@ -0,0 +1,40 @@
+// Readers can mark a review as helpful (one vote each, never on their own
+// review) and discuss it in threaded comments. A comment's parent_id points
+// at the comment it replies to, or is NULL for a top-level comment.
+// Deleting a comment that has replies keeps its place in the thread with
+// the text removed; closing an account takes its comments, replies and all.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      CREATE TABLE review_votes (
+        review_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (review_id, user_id),
+        FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE review_comments (
+        comment_id SERIAL PRIMARY KEY,
+        review_id INT NOT NULL,
+        user_id INT NOT NULL,
+        parent_id INT,
+        body TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        deleted_at TIMESTAMPTZ,
+        FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_id) REFERENCES review_comments(comment_id)
+          ON DELETE CASCADE
+      );
+      CREATE INDEX review_comments_review_id_idx
+        ON review_comments (review_id, created_at);
+    `);
+  },
+
+  async down(t) {
+    await t.none("DROP TABLE IF EXISTS review_comments, review_votes");
+  },
+};
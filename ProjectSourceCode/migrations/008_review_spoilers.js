@@ -0,0 +1,18 @@
+// Reviews can run long now and be marked as containing spoilers, which
+// keeps the whole review collapsed until a reader opens it. The length
+// limit is still enforced by the app (see MAX_REVIEW_LENGTH).
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      ALTER TABLE reviews
+        ADD COLUMN contains_spoilers BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      ALTER TABLE reviews DROP COLUMN IF EXISTS contains_spoilers;
+    `);
+  },
+};
@@ -0,0 +1,21 @@
+// Genres and directors for each movie, from OMDb, for the profile stats.
+// NULL means they haven't been looked up yet; the app fills them in for
+// existing movies in the background (see startMovieCreditsJob).
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      ALTER TABLE movies
+        ADD COLUMN genres TEXT[],
+        ADD COLUMN directors TEXT[];
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      ALTER TABLE movies
+        DROP COLUMN IF EXISTS directors,
+        DROP COLUMN IF EXISTS genres;
+    `);
+  },
+};
@@ -0,0 +1,53 @@
+// In-app notifications: one row per recipient and event, marked read when
+// they open it. actor_id is whoever caused it; review_id and comment_id
+// point at what it is about, so deleting those takes the notification
+// with them. Users opt out of a type with a notification_opt_outs row, and
+// those who ask for a daily digest get their unread notifications emailed
+// once a day (emailed_at keeps a notification out of the next one).
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      CREATE TABLE notifications (
+        notification_id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        actor_id INT NOT NULL,
+        review_id INT,
+        comment_id INT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        read_at TIMESTAMPTZ,
+        emailed_at TIMESTAMPTZ,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+        FOREIGN KEY (comment_id) REFERENCES review_comments(comment_id)
+          ON DELETE CASCADE
+      );
+      CREATE INDEX notifications_user_id_idx
+        ON notifications (user_id, created_at DESC);
+      CREATE INDEX notifications_unread_idx
+        ON notifications (user_id) WHERE read_at IS NULL;
+
+      CREATE TABLE notification_opt_outs (
+        user_id INT NOT NULL,
+        type VARCHAR(30) NOT NULL,
+        PRIMARY KEY (user_id, type),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      );
+
+      ALTER TABLE users
+        ADD COLUMN notification_digest BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN digest_sent_at TIMESTAMPTZ;
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      DROP TABLE IF EXISTS notification_opt_outs, notifications;
+      ALTER TABLE users
+        DROP COLUMN IF EXISTS notification_digest,
+        DROP COLUMN IF EXISTS digest_sent_at;
+    `);
+  },
+};
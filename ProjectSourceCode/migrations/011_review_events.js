@@ -0,0 +1,42 @@
+// Every insert, change or delete of a review is announced on the
+// review_changes channel with NOTIFY, whichever code path made it, so each
+// app instance can push it to the browsers watching that movie. The
+// payload only names the review; listeners load what they need.
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      CREATE FUNCTION notify_review_change() RETURNS trigger AS $$
+      DECLARE
+        changed reviews;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          changed := OLD;
+        ELSIF TG_OP = 'UPDATE' AND NEW IS NOT DISTINCT FROM OLD THEN
+          RETURN NULL;
+        ELSE
+          changed := NEW;
+        END IF;
+
+        PERFORM pg_notify('review_changes', json_build_object(
+          'op', lower(TG_OP),
+          'movie_id', changed.movie_id,
+          'review_id', changed.review_id
+        )::text);
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER reviews_notify_change
+        AFTER INSERT OR UPDATE OR DELETE ON reviews
+        FOR EACH ROW EXECUTE PROCEDURE notify_review_change();
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      DROP TRIGGER IF EXISTS reviews_notify_change ON reviews;
+      DROP FUNCTION IF EXISTS notify_review_change();
+    `);
+  },
+};
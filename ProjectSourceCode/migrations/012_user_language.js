@@ -0,0 +1,17 @@
+// The language each user picked for the site in account settings. NULL
+// means they haven't picked one, and pages follow the browser's
+// Accept-Language header instead (see src/i18n.js).
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      ALTER TABLE users ADD COLUMN language VARCHAR(10);
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      ALTER TABLE users DROP COLUMN IF EXISTS language;
+    `);
+  },
+};
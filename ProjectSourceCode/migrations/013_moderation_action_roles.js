@@ -0,0 +1,34 @@
+// The role a set_role action gave, kept as a key so the audit log can show
+// it in each reader's language. It used to be written into the note in
+// English ("Moderator: reason"); those notes are split back into the role
+// and whatever reason followed it.
+
+const LABELS = `(VALUES ('user', 'Member'), ('moderator', 'Moderator'),
+                        ('admin', 'Admin')) AS l(role, label)`;
+
+module.exports = {
+  async up(t) {
+    await t.none(`
+      ALTER TABLE moderation_actions ADD COLUMN role VARCHAR(20);
+
+      UPDATE moderation_actions a
+      SET role = l.role,
+          note = NULLIF(substr(a.note, length(l.label) + 3), '')
+      FROM ${LABELS}
+      WHERE a.action = 'set_role'
+        AND (a.note = l.label OR a.note LIKE l.label || ': %');
+    `);
+  },
+
+  async down(t) {
+    await t.none(`
+      UPDATE moderation_actions a
+      SET note = CASE WHEN a.note IS NULL THEN l.label
+                      ELSE l.label || ': ' || a.note END
+      FROM ${LABELS}
+      WHERE a.role = l.role;
+
+      ALTER TABLE moderation_actions DROP COLUMN IF EXISTS role;
+    `);
+  },
+};
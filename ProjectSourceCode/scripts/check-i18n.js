@@ -0,0 +1,18 @@
+// *****************************************************
+// Check Translations Command
+// *****************************************************
+// npm run check-i18n
+//
+// Lists the message keys each catalog in locales/ is missing compared with
+// English, keys no English message matches, and keys the templates or code
+// use that English doesn't define. Exits non-zero if there are any.
+const { checkCatalogs } = require("../src/i18n");
+
+const problems = checkCatalogs();
+if (problems.length) {
+  for (const problem of problems) console.error(problem);
+  console.error(`${problems.length} translation problem(s) found`);
+  process.exitCode = 1;
+} else {
+  console.log("Every catalog has every message");
+}
@@ -0,0 +1,63 @@
+// *****************************************************
+// Migrate Command
+// *****************************************************
+// npm run migrate                   apply every pending migration
+// npm run migrate -- status         list migrations and when each was applied
+// npm run migrate -- rollback [n]   undo the last n migrations (default 1)
+const pgp = require("pg-promise")();
+const { connectionConfig } = require("../src/database");
+const {
+  migrationStatus,
+  migrate,
+  rollback,
+  label,
+} = require("../src/migrations");
+
+const USAGE = "Usage: npm run migrate [-- up | status | rollback [steps]]";
+
+async function printStatus(db) {
+  const status = await migrationStatus(db);
+  for (const migration of status) {
+    const state = migration.missing
+      ? `applied ${migration.appliedAt.toISOString()}, file missing`
+      : migration.appliedAt
+      ? `applied ${migration.appliedAt.toISOString()}`
+      : "pending";
+    console.log(`${label(migration)}  ${state}`);
+  }
+  const pending = status.filter((m) => !m.appliedAt).length;
+  console.log(pending ? `${pending} pending` : "Up to date");
+}
+
+async function main([command = "up", arg]) {
+  const db = pgp(connectionConfig());
+  const log = (line) => console.log(line);
+  try {
+    switch (command) {
+      case "up": {
+        const applied = await migrate(db, { log });
+        if (!applied.length) console.log("Already up to date");
+        break;
+      }
+      case "status":
+        await printStatus(db);
+        break;
+      case "rollback": {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!(steps > 0)) throw new Error(USAGE);
+        const undone = await rollback(db, { steps, log });
+        if (!undone.length) console.log("Nothing to roll back");
+        break;
+      }
+      default:
+        throw new Error(USAGE);
+    }
+  } finally {
+    pgp.end();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error("Migration failed:", err.message);
+  process.exitCode = 1;
+});
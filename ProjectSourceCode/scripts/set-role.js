@@ -0,0 +1,34 @@
+// *****************************************************
+// Set Role Command
+// *****************************************************
+// npm run set-role -- <username> <user|moderator|admin>
+//
+// Gives an account a role from the command line, which is how the first
+// admin is made. Later changes can be made by an admin at /moderation.
+// Changes made here aren't in the moderation audit log.
+const pgp = require("pg-promise")();
+const { connectionConfig } = require("../src/database");
+const { ROLES } = require("../src/moderation");
+
+const USAGE = `Usage: npm run set-role -- <username> <${ROLES.join("|")}>`;
+
+async function main([username, role]) {
+  if (!username || !ROLES.includes(role)) throw new Error(USAGE);
+
+  const db = pgp(connectionConfig());
+  try {
+    const user = await db.oneOrNone(
+      "UPDATE users SET role = $2 WHERE username = $1 RETURNING username",
+      [username, role]
+    );
+    if (!user) throw new Error(`No account is called "${username}"`);
+    console.log(`${user.username} is now ${role}`);
+  } finally {
+    pgp.end();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error("Couldn't set role:", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,393 @@
+// *****************************************************
+// Account Data & Deletion
+// *****************************************************
+// Everything a user can take with them, as one JSON archive or as CSV
+// files, and closing an account. Deletion is deferred: the profile is
+// hidden straight away and the account purged after a grace period unless
+// the owner signs in again. The purge deletes the users row and the
+// ON DELETE CASCADE foreign keys take everything that belongs to it.
+const { formatCsv } = require("./csv");
+const { loadRevisions } = require("./reviews");
+const { PRIORITIES, loadDiary } = require("./watchlist");
+const { loadFollows } = require("./social");
+const { startIntervalJob } = require("./jobs");
+
+const DELETION_GRACE_DAYS = 7;
+
+// The whole archive: profile, reviews with their earlier versions,
+// watchlist, diary, lists, follows, comments, helpful votes,
+// notifications and API tokens (never the password hash or a token's
+// secret)
+async function loadAccountData(db, userId) {
+  return db.task(async (t) => {
+    const profile = await t.one(
+      "SELECT username, profile_visibility FROM users WHERE user_id = $1",
+      [userId]
+    );
+
+    const reviews = await t.any(
+      `SELECT r.review_id, m.imdb_id, m.title, m.release_year, r.rating,
+              r.review_text, r.contains_spoilers, r.created_at, r.updated_at
+       FROM reviews r
+       JOIN movies m ON r.movie_id = m.movie_id
+       WHERE r.user_id = $1
+       ORDER BY r.created_at ASC`,
+      [userId]
+    );
+    const revisions = await loadRevisions(
+      t,
+      reviews.map((review) => review.review_id)
+    );
+
+    const watchlist = await t.any(
+      `SELECT m.imdb_id, m.title, m.release_year, ul.priority, ul.position,
+              ul.added_at
+       FROM user_list ul
+       JOIN movies m ON ul.movie_id = m.movie_id
+       WHERE ul.user_id = $1
+       ORDER BY ul.position ASC`,
+      [userId]
+    );
+
+    const diary = await loadDiary(t, userId);
+
+    const lists = await t.any(
+      `SELECT list_id, title, description, is_public, created_at, updated_at
+       FROM custom_lists
+       WHERE user_id = $1
+       ORDER BY created_at ASC`,
+      [userId]
+    );
+    const entries = lists.length
+      ? await t.any(
+          `SELECT e.list_id, m.imdb_id, m.title, m.release_year, e.note,
+                  e.added_at
+           FROM custom_list_entries e
+           JOIN movies m ON e.movie_id = m.movie_id
+           WHERE e.list_id IN ($1:csv)
+           ORDER BY e.position ASC, e.entry_id ASC`,
+          [lists.map((list) => list.list_id)]
+        )
+      : [];
+
+    // Comments whose text was removed (they stay only to hold their
+    // replies' place) have nothing left to export
+    const comments = await t.any(
+      `SELECT m.imdb_id, m.title, author.username AS review_author,
+              c.parent_id IS NOT NULL AS reply, c.body, c.created_at
+       FROM review_comments c
+       JOIN reviews r ON c.review_id = r.review_id
+       JOIN users author ON r.user_id = author.user_id
+       JOIN movies m ON r.movie_id = m.movie_id
+       WHERE c.user_id = $1 AND c.deleted_at IS NULL
+       ORDER BY c.created_at ASC, c.comment_id ASC`,
+      [userId]
+    );
+
+    const votes = await t.any(
+      `SELECT m.imdb_id, m.title, author.username AS review_author,
+              v.created_at
+       FROM review_votes v
+       JOIN reviews r ON v.review_id = r.review_id
+       JOIN users author ON r.user_id = author.user_id
+       JOIN movies m ON r.movie_id = m.movie_id
+       WHERE v.user_id = $1
+       ORDER BY v.created_at ASC`,
+      [userId]
+    );
+
+    const notifications = await t.any(
+      `SELECT n.type, a.username AS actor, m.imdb_id, m.title, n.created_at,
+              n.read_at
+       FROM notifications n
+       JOIN users a ON n.actor_id = a.user_id
+       LEFT JOIN reviews r ON n.review_id = r.review_id
+       LEFT JOIN movies m ON r.movie_id = m.movie_id
+       WHERE n.user_id = $1
+       ORDER BY n.created_at ASC, n.notification_id ASC`,
+      [userId]
+    );
+
+    const tokens = await t.any(
+      `SELECT name, token_prefix, created_at, last_used_at
+       FROM api_tokens
+       WHERE user_id = $1
+       ORDER BY created_at ASC`,
+      [userId]
+    );
+
+    return {
+      exported_at: new Date(),
+      profile,
+      reviews: reviews.map(({ review_id, ...review }) => ({
+        ...review,
+        revisions: (revisions[review_id] || []).map(
+          ({ review_id: _, ...revision }) => revision
+        ),
+      })),
+      watchlist: watchlist.map((item) => ({
+        ...item,
+        priority: PRIORITIES[item.priority],
+      })),
+      diary: diary.map((entry) => ({
+        imdb_id: entry.imdb_id,
+        title: entry.title,
+        release_year: entry.release_year,
+        watched_on: toDateString(entry.watched_on),
+        rewatch: entry.rewatch,
+      })),
+      lists: lists.map(({ list_id, ...list }) => ({
+        ...list,
+        movies: entries
+          .filter((entry) => entry.list_id === list_id)
+          .map(({ list_id: _, ...entry }) => entry),
+      })),
+      following: await loadFollows(t, userId, "following"),
+      followers: await loadFollows(t, userId, "followers"),
+      comments,
+      helpful_votes: votes,
+      notifications,
+      api_tokens: tokens,
+    };
+  });
+}
+
+// pg reads DATE columns as local midnight; put the calendar date back
+function toDateString(value) {
+  if (!(value instanceof Date)) return value;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+}
+
+// Letterboxd's importer takes one line per viewing. A review's rating and
+// text go on the most recent viewing of that movie; reviewed movies that
+// were never logged get a line without a date.
+function letterboxdRows(data) {
+  const reviews = new Map(data.reviews.map((r) => [r.imdb_id, r]));
+  const rows = [];
+  const placed = new Set();
+
+  for (const entry of data.diary) {
+    const review = placed.has(entry.imdb_id)
+      ? null
+      : reviews.get(entry.imdb_id);
+    placed.add(entry.imdb_id);
+    rows.push([
+      entry.title,
+      entry.release_year,
+      entry.imdb_id,
+      review?.rating,
+      entry.watched_on,
+      entry.rewatch ? "Yes" : "",
+      review?.review_text,
+    ]);
+  }
+  for (const review of data.reviews) {
+    if (placed.has(review.imdb_id)) continue;
+    rows.push([
+      review.title,
+      review.release_year,
+      review.imdb_id,
+      review.rating,
+      null,
+      "",
+      review.review_text,
+    ]);
+  }
+  return rows;
+}
+
+// The CSV files on offer, keyed by the name used in the download URL
+const CSV_EXPORTS = {
+  reviews: {
+    header: [
+      "imdb_id",
+      "title",
+      "release_year",
+      "rating",
+      "review_text",
+      "created_at",
+      "updated_at",
+    ],
+    rows: (data) =>
+      data.reviews.map((r) => [
+        r.imdb_id,
+        r.title,
+        r.release_year,
+        r.rating,
+        r.review_text,
+        r.created_at,
+        r.updated_at,
+      ]),
+  },
+  watchlist: {
+    header: [
+      "imdb_id",
+      "title",
+      "release_year",
+      "priority",
+      "position",
+      "added_at",
+    ],
+    rows: (data) =>
+      data.watchlist.map((item) => [
+        item.imdb_id,
+        item.title,
+        item.release_year,
+        item.priority,
+        item.position,
+        item.added_at,
+      ]),
+  },
+  diary: {
+    header: ["imdb_id", "title", "release_year", "watched_on", "rewatch"],
+    rows: (data) =>
+      data.diary.map((entry) => [
+        entry.imdb_id,
+        entry.title,
+        entry.release_year,
+        entry.watched_on,
+        entry.rewatch,
+      ]),
+  },
+  lists: {
+    header: [
+      "list",
+      "is_public",
+      "imdb_id",
+      "title",
+      "release_year",
+      "note",
+      "added_at",
+    ],
+    rows: (data) =>
+      data.lists.flatMap((list) =>
+        list.movies.map((movie) => [
+          list.title,
+          list.is_public,
+          movie.imdb_id,
+          movie.title,
+          movie.release_year,
+          movie.note,
+          movie.added_at,
+        ])
+      ),
+  },
+  comments: {
+    header: [
+      "imdb_id",
+      "title",
+      "review_author",
+      "reply",
+      "body",
+      "created_at",
+    ],
+    rows: (data) =>
+      data.comments.map((comment) => [
+        comment.imdb_id,
+        comment.title,
+        comment.review_author,
+        comment.reply,
+        comment.body,
+        comment.created_at,
+      ]),
+  },
+  helpful_votes: {
+    header: ["imdb_id", "title", "review_author", "created_at"],
+    rows: (data) =>
+      data.helpful_votes.map((vote) => [
+        vote.imdb_id,
+        vote.title,
+        vote.review_author,
+        vote.created_at,
+      ]),
+  },
+  notifications: {
+    header: ["type", "actor", "imdb_id", "title", "created_at", "read_at"],
+    rows: (data) =>
+      data.notifications.map((notification) => [
+        notification.type,
+        notification.actor,
+        notification.imdb_id,
+        notification.title,
+        notification.created_at,
+        notification.read_at,
+      ]),
+  },
+  letterboxd: {
+    header: [
+      "Title",
+      "Year",
+      "imdbID",
+      "Rating10",
+      "WatchedDate",
+      "Rewatch",
+      "Review",
+    ],
+    rows: letterboxdRows,
+  },
+};
+
+// null for an unknown export name
+function exportCsv(data, name) {
+  const format = CSV_EXPORTS[name];
+  return format ? formatCsv(format.header, format.rows(data)) : null;
+}
+
+// Schedules the purge. API tokens are revoked now rather than at the purge
+// so nothing keeps acting for the account. Resolves to the purge time.
+async function requestDeletion(db, userId) {
+  return db.tx(async (t) => {
+    await t.none("DELETE FROM api_tokens WHERE user_id = $1", [userId]);
+    const { delete_after } = await t.one(
+      `UPDATE users
+       SET delete_after = NOW() + make_interval(days => $2)
+       WHERE user_id = $1
+       RETURNING delete_after`,
+      [userId, DELETION_GRACE_DAYS]
+    );
+    return delete_after;
+  });
+}
+
+// Resolves to true if a pending deletion was called off
+async function cancelDeletion(db, userId) {
+  const result = await db.result(
+    `UPDATE users SET delete_after = NULL
+     WHERE user_id = $1 AND delete_after IS NOT NULL`,
+    [userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Resolves to the number of accounts removed
+async function purgeDeletedAccounts(db) {
+  const result = await db.result(
+    "DELETE FROM users WHERE delete_after <= NOW()"
+  );
+  return result.rowCount;
+}
+
+function startAccountPurgeJob(db, { intervalMs }) {
+  return startIntervalJob(async () => {
+    try {
+      const purged = await purgeDeletedAccounts(db);
+      if (purged) console.log(`Deleted accounts purged: ${purged}`);
+    } catch (err) {
+      console.error("Error purging deleted accounts:", err.message);
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  CSV_EXPORTS,
+  loadAccountData,
+  exportCsv,
+  requestDeletion,
+  cancelDeletion,
+  purgeDeletedAccounts,
+  startAccountPurgeJob,
+};
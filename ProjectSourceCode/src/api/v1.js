@@ -0,0 +1,539 @@
+// *****************************************************
+// JSON API v1
+// *****************************************************
+// Mounted at /api/v1. Requests authenticate with either the normal session
+// cookie or a personal access token sent as "Authorization: Bearer mm_...".
+// Errors always look like { error: { code, message, details? } } and list
+// endpoints return { data, pagination }.
+const express = require("express");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const path = require("path");
+const {
+  MAX_REVIEW_LENGTH,
+  saveReview,
+  updateReview,
+  deleteReview,
+} = require("../reviews");
+const { addToWatchlist, removeFromWatchlist } = require("../watchlist");
+const loginThrottle = require("../loginThrottle");
+const { SEARCH_PAGE_SIZE } = require("../providers");
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+function sendError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details) error.details = details;
+  return res.status(status).json({ error });
+}
+
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const perPage = Math.min(
+    Math.max(parseInt(query.per_page, 10) || DEFAULT_PER_PAGE, 1),
+    MAX_PER_PAGE
+  );
+  return { page, perPage, offset: (page - 1) * perPage };
+}
+
+// Rows from queries that select COUNT(*) OVER() AS total_count
+function paginated(rows, { page, perPage }, total) {
+  const totalCount =
+    total !== undefined ? total : rows.length ? Number(rows[0].total_count) : 0;
+  return {
+    data: rows.map(({ total_count, ...row }) => row),
+    pagination: {
+      page,
+      per_page: perPage,
+      total: totalCount,
+      total_pages: Math.ceil(totalCount / perPage),
+    },
+  };
+}
+
+// The provider serves search results SEARCH_PAGE_SIZE at a time, so a page
+// of the API's size is put together from the provider pages it overlaps.
+// Pages past total are empty (OMDb would repeat its last page).
+// Resolves to { movies, total }.
+async function searchMovies(movieProvider, query, { offset, perPage }) {
+  const first = Math.floor(offset / SEARCH_PAGE_SIZE) + 1;
+  const last = Math.floor((offset + perPage - 1) / SEARCH_PAGE_SIZE) + 1;
+  const movies = [];
+  let total = 0;
+  for (let page = first; page <= last; page++) {
+    const result = await movieProvider.searchPage(query, page);
+    movies.push(...result.movies);
+    total = result.total;
+    if (page * SEARCH_PAGE_SIZE >= total) break;
+  }
+  if (offset >= total) return { movies: [], total };
+  const start = offset - (first - 1) * SEARCH_PAGE_SIZE;
+  return { movies: movies.slice(start, start + perPage), total };
+}
+
+function toApiReview(review) {
+  return {
+    review_id: review.review_id,
+    rating: review.rating,
+    review_text: review.review_text,
+    contains_spoilers: review.contains_spoilers,
+    created_at: review.created_at,
+    updated_at: review.updated_at,
+  };
+}
+
+// Returns a list of field errors for a review body; partial allows PATCH
+function validateReview(body, { partial = false } = {}) {
+  const errors = [];
+  const { rating, review_text, contains_spoilers } = body;
+
+  if (rating !== undefined || !partial) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 10) {
+      errors.push({
+        field: "rating",
+        message: "must be an integer from 1 to 10",
+      });
+    }
+  }
+
+  if (review_text !== undefined && review_text !== null) {
+    if (typeof review_text !== "string") {
+      errors.push({ field: "review_text", message: "must be a string" });
+    } else if (review_text.length > MAX_REVIEW_LENGTH) {
+      errors.push({
+        field: "review_text",
+        message: `must be at most ${MAX_REVIEW_LENGTH} characters`,
+      });
+    }
+  }
+
+  if (
+    contains_spoilers !== undefined &&
+    typeof contains_spoilers !== "boolean"
+  ) {
+    errors.push({ field: "contains_spoilers", message: "must be a boolean" });
+  }
+
+  return errors;
+}
+
+// notify is the app's notification producer hook
+function createApiRouter({ db, movieProvider, findOrCreateMovie, notify }) {
+  const router = express.Router();
+
+  // Wraps async handlers so rejections reach the error handler below
+  const handle = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+  // Attaches req.apiUser from a bearer token or the session, if present
+  router.use(
+    handle(async (req, res, next) => {
+      const header = req.headers.authorization || "";
+      const match = header.match(/^Bearer\s+(\S+)$/i);
+
+      if (match) {
+        const token = await db.oneOrNone(
+          `UPDATE api_tokens t SET last_used_at = NOW()
+           FROM users u
+           WHERE t.token_hash = $1 AND u.user_id = t.user_id
+             AND u.suspended_at IS NULL
+           RETURNING u.user_id, u.username`,
+          [hashToken(match[1])]
+        );
+
+        if (!token) {
+          return sendError(
+            res,
+            401,
+            "invalid_token",
+            "Access token is invalid."
+          );
+        }
+        req.apiUser = token;
+      } else if (req.session.user) {
+        req.apiUser = {
+          user_id: req.session.user.user_id,
+          username: req.session.user.username,
+        };
+      }
+
+      next();
+    })
+  );
+
+  const requireUser = (req, res, next) => {
+    if (!req.apiUser) {
+      return sendError(
+        res,
+        401,
+        "unauthorized",
+        "Sign in or send a personal access token."
+      );
+    }
+    next();
+  };
+
+  // ----- Documentation -----
+
+  router.get("/openapi.json", (req, res) => {
+    res.sendFile(path.join(__dirname, "openapi.json"));
+  });
+
+  // ----- Tokens -----
+
+  // Creates a token for the session user, or for username/password in the
+  // body so scripts and mobile clients can bootstrap without a browser.
+  router.post(
+    "/tokens",
+    handle(async (req, res) => {
+      let user = req.apiUser;
+      const { username, password, name } = req.body;
+
+      if (!user) {
+        if (!username || !password) {
+          return sendError(
+            res,
+            401,
+            "unauthorized",
+            "Username and password are required."
+          );
+        }
+
+        // Shares the sign-in form's failure counts and lockouts
+        const attempt = { username, ip: req.ip };
+        if (await loginThrottle.lockedUntil(db, attempt)) {
+          return sendError(
+            res,
+            429,
+            "too_many_attempts",
+            "Too many failed sign-in attempts. Try again later."
+          );
+        }
+
+        const found = await db.oneOrNone(
+          `SELECT user_id, username, password FROM users
+           WHERE username = $1 AND delete_after IS NULL`,
+          [username]
+        );
+        if (!found || !(await bcrypt.compare(password, found.password))) {
+          await loginThrottle.recordFailure(db, attempt);
+          return sendError(
+            res,
+            401,
+            "invalid_credentials",
+            "Incorrect username or password."
+          );
+        }
+        await loginThrottle.clearFailures(db, attempt);
+        user = { user_id: found.user_id, username: found.username };
+      }
+
+      const token = `mm_${crypto.randomBytes(24).toString("hex")}`;
+      const created = await db.one(
+        `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash)
+         VALUES ($1, $2, $3, $4)
+         RETURNING token_id, name, token_prefix, created_at`,
+        [user.user_id, name || "API token", token.slice(0, 7), hashToken(token)]
+      );
+
+      // The plain token is only ever shown in this response
+      res.status(201).json({ data: { ...created, token } });
+    })
+  );
+
+  router.get(
+    "/tokens",
+    requireUser,
+    handle(async (req, res) => {
+      const tokens = await db.any(
+        `SELECT token_id, name, token_prefix, created_at, last_used_at
+         FROM api_tokens
+         WHERE user_id = $1
+         ORDER BY created_at DESC`,
+        [req.apiUser.user_id]
+      );
+      res.json({ data: tokens });
+    })
+  );
+
+  router.delete(
+    "/tokens/:tokenId",
+    requireUser,
+    handle(async (req, res) => {
+      const result = await db.result(
+        "DELETE FROM api_tokens WHERE token_id = $1 AND user_id = $2",
+        [parseInt(req.params.tokenId, 10) || 0, req.apiUser.user_id]
+      );
+      if (!result.rowCount) {
+        return sendError(res, 404, "not_found", "Token not found.");
+      }
+      res.status(204).end();
+    })
+  );
+
+  // ----- Movies -----
+
+  router.get(
+    "/movies/search",
+    requireUser,
+    handle(async (req, res) => {
+      const query = (req.query.q || "").trim();
+      if (!query) {
+        return sendError(
+          res,
+          400,
+          "invalid_request",
+          "Query parameter q is required.",
+          [{ field: "q", message: "is required" }]
+        );
+      }
+
+      const pagination = parsePagination(req.query);
+      const { movies, total } = await searchMovies(
+        movieProvider,
+        query,
+        pagination
+      );
+      res.json(paginated(movies, pagination, total));
+    })
+  );
+
+  router.get(
+    "/movies/:imdbID",
+    requireUser,
+    handle(async (req, res) => {
+      const movie = await movieProvider.getById(req.params.imdbID);
+      if (!movie) {
+        return sendError(res, 404, "not_found", "Movie not found.");
+      }
+      res.json({ data: movie });
+    })
+  );
+
+  router.get(
+    "/movies/:imdbID/reviews",
+    requireUser,
+    handle(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const reviews = await db.any(
+        `SELECT r.review_id, r.rating, r.review_text, r.contains_spoilers,
+                r.created_at, r.updated_at, u.username,
+                COUNT(*) OVER() AS total_count
+         FROM reviews r
+         JOIN movies m ON r.movie_id = m.movie_id
+         JOIN users u ON r.user_id = u.user_id
+         WHERE m.imdb_id = $1 AND r.hidden_at IS NULL
+         ORDER BY r.review_id DESC
+         LIMIT $2 OFFSET $3`,
+        [req.params.imdbID, pagination.perPage, pagination.offset]
+      );
+      res.json(paginated(reviews, pagination));
+    })
+  );
+
+  // ----- Reviews -----
+
+  router.get(
+    "/me/reviews",
+    requireUser,
+    handle(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const reviews = await db.any(
+        `SELECT r.review_id, m.imdb_id, m.title, m.release_year, r.rating,
+                r.review_text, r.contains_spoilers, r.created_at, r.updated_at,
+                COUNT(*) OVER() AS total_count
+         FROM reviews r
+         JOIN movies m ON r.movie_id = m.movie_id
+         WHERE r.user_id = $1
+         ORDER BY r.review_id DESC
+         LIMIT $2 OFFSET $3`,
+        [req.apiUser.user_id, pagination.perPage, pagination.offset]
+      );
+      res.json(paginated(reviews, pagination));
+    })
+  );
+
+  router.post(
+    "/reviews",
+    requireUser,
+    handle(async (req, res) => {
+      const errors = validateReview(req.body);
+      if (!req.body.imdbID) {
+        errors.push({ field: "imdbID", message: "is required" });
+      }
+      if (errors.length) {
+        return sendError(
+          res,
+          422,
+          "validation_failed",
+          "Review is invalid.",
+          errors
+        );
+      }
+
+      const movie = await findOrCreateMovie(req.body.imdbID);
+      if (!movie) {
+        return sendError(res, 404, "not_found", "Movie not found.");
+      }
+
+      // One review per movie: posting again replaces the earlier one
+      const { review, created } = await saveReview(db, {
+        userId: req.apiUser.user_id,
+        movieId: movie.movie_id,
+        rating: Number(req.body.rating),
+        reviewText: req.body.review_text || null,
+        containsSpoilers: req.body.contains_spoilers,
+      });
+      if (created) {
+        await notify({
+          type: "watchlist_review",
+          actorId: req.apiUser.user_id,
+          reviewId: review.review_id,
+        });
+      }
+
+      res
+        .status(created ? 201 : 200)
+        .json({ data: { ...toApiReview(review), imdb_id: movie.imdb_id } });
+    })
+  );
+
+  router.patch(
+    "/reviews/:reviewId",
+    requireUser,
+    handle(async (req, res) => {
+      const errors = validateReview(req.body, { partial: true });
+      if (errors.length) {
+        return sendError(
+          res,
+          422,
+          "validation_failed",
+          "Review is invalid.",
+          errors
+        );
+      }
+
+      const { rating, review_text, contains_spoilers } = req.body;
+      const review = await updateReview(db, {
+        reviewId: parseInt(req.params.reviewId, 10) || 0,
+        userId: req.apiUser.user_id,
+        changes: {
+          rating: rating !== undefined ? Number(rating) : undefined,
+          reviewText: review_text,
+          containsSpoilers: contains_spoilers,
+        },
+      });
+
+      if (!review) {
+        return sendError(res, 404, "not_found", "Review not found.");
+      }
+      res.json({ data: toApiReview(review) });
+    })
+  );
+
+  router.delete(
+    "/reviews/:reviewId",
+    requireUser,
+    handle(async (req, res) => {
+      const review = await deleteReview(db, {
+        reviewId: parseInt(req.params.reviewId, 10) || 0,
+        userId: req.apiUser.user_id,
+      });
+      if (!review) {
+        return sendError(res, 404, "not_found", "Review not found.");
+      }
+      res.status(204).end();
+    })
+  );
+
+  // ----- Watchlist -----
+
+  router.get(
+    "/me/watchlist",
+    requireUser,
+    handle(async (req, res) => {
+      const pagination = parsePagination(req.query);
+      const movies = await db.any(
+        `SELECT m.imdb_id, m.title, m.release_year, m.poster, ul.priority,
+                ul.added_at, COUNT(*) OVER() AS total_count
+         FROM user_list ul
+         JOIN movies m ON ul.movie_id = m.movie_id
+         WHERE ul.user_id = $1
+         ORDER BY ul.priority ASC, ul.position ASC
+         LIMIT $2 OFFSET $3`,
+        [req.apiUser.user_id, pagination.perPage, pagination.offset]
+      );
+      res.json(paginated(movies, pagination));
+    })
+  );
+
+  router.put(
+    "/me/watchlist/:imdbID",
+    requireUser,
+    handle(async (req, res) => {
+      const movie = await findOrCreateMovie(req.params.imdbID);
+      if (!movie) {
+        return sendError(res, 404, "not_found", "Movie not found.");
+      }
+
+      const added = await addToWatchlist(db, {
+        userId: req.apiUser.user_id,
+        movieId: movie.movie_id,
+      });
+
+      res.status(added ? 201 : 200).json({
+        data: {
+          imdb_id: movie.imdb_id,
+          title: movie.title,
+          release_year: movie.release_year,
+        },
+      });
+    })
+  );
+
+  router.delete(
+    "/me/watchlist/:imdbID",
+    requireUser,
+    handle(async (req, res) => {
+      const movie = await db.oneOrNone(
+        "SELECT movie_id FROM movies WHERE imdb_id = $1",
+        [req.params.imdbID]
+      );
+      const removed =
+        movie &&
+        (await removeFromWatchlist(db, {
+          userId: req.apiUser.user_id,
+          movieId: movie.movie_id,
+        }));
+      if (!removed) {
+        return sendError(
+          res,
+          404,
+          "not_found",
+          "Movie is not on your watchlist."
+        );
+      }
+      res.status(204).end();
+    })
+  );
+
+  // ----- Fallbacks -----
+
+  router.use((req, res) =>
+    sendError(res, 404, "not_found", "No such API endpoint.")
+  );
+
+  // Express only treats four-argument middleware as an error handler
+  router.use((err, req, res, next) => {
+    console.error("API error:", err.message);
+    sendError(res, 500, "internal_error", "Something went wrong.");
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter, searchMovies };
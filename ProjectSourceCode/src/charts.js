@@ -0,0 +1,115 @@
+// *****************************************************
+// SVG Charts
+// *****************************************************
+// Small charts drawn on the server as inline SVG, so they show up without
+// any client-side JavaScript. Each function returns the SVG as a string for
+// a template to output unescaped; every label is escaped here. Colours come
+// from the page's stylesheet through the chart-* classes, and each bar has
+// a <title> so hovering it shows the exact figure.
+const { escapeHtml } = require("./escape");
+
+const WIDTH = 400;
+const FONT_SIZE = 12;
+
+const round = (n) => Math.round(n * 10) / 10;
+
+const shorten = (text, max) =>
+  text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+const svg = (height, label, body) =>
+  `<svg class="chart" viewBox="0 0 ${WIDTH} ${height}" width="100%" role="img" aria-label="${escapeHtml(
+    label
+  )}" preserveAspectRatio="xMidYMid meet"><title>${escapeHtml(
+    label
+  )}</title>${body}</svg>`;
+
+// Vertical bars, one per { label, value, title? }, with the value above
+// each bar and the label below. format(value) formats the figures.
+function columnChart(
+  bars,
+  { label, height = 200, format = String, max: fixedMax } = {}
+) {
+  const top = FONT_SIZE + 8;
+  const bottom = FONT_SIZE + 10;
+  const plot = height - top - bottom;
+  const max = fixedMax || Math.max(1, ...bars.map((bar) => bar.value));
+  const slot = WIDTH / Math.max(bars.length, 1);
+  const barWidth = slot * 0.7;
+
+  const body = bars
+    .map((bar, i) => {
+      const barHeight = (Math.max(bar.value, 0) / max) * plot;
+      const x = round(i * slot + (slot - barWidth) / 2);
+      const y = round(top + plot - barHeight);
+      const center = round(i * slot + slot / 2);
+      const title = escapeHtml(
+        bar.title || `${bar.label}: ${format(bar.value)}`
+      );
+      return (
+        `<g><title>${title}</title>` +
+        `<rect class="chart-bar" x="${x}" y="${y}" width="${round(
+          barWidth
+        )}" height="${round(barHeight)}" rx="2" />` +
+        (bar.value
+          ? `<text class="chart-value" x="${center}" y="${round(
+              y - 4
+            )}" text-anchor="middle">${escapeHtml(format(bar.value))}</text>`
+          : "") +
+        `<text class="chart-label" x="${center}" y="${
+          height - 4
+        }" text-anchor="middle">${escapeHtml(bar.label)}</text></g>`
+      );
+    })
+    .join("");
+
+  return svg(
+    height,
+    label,
+    `<line class="chart-axis" x1="0" x2="${WIDTH}" y1="${top + plot}" y2="${
+      top + plot
+    }" />${body}`
+  );
+}
+
+// Horizontal bars, one row per { label, value, title? }, with the label on
+// the left and the value at the end of the bar. max fixes the scale (10
+// for ratings, say); otherwise the longest bar fills the width.
+function barChart(rows, { label, format = String, max: fixedMax } = {}) {
+  const rowHeight = 28;
+  const labelWidth = 140;
+  const valueWidth = 40;
+  const track = WIDTH - labelWidth - valueWidth;
+  const max = fixedMax || Math.max(1, ...rows.map((row) => row.value));
+  const height = rows.length * rowHeight;
+
+  const body = rows
+    .map((row, i) => {
+      const y = i * rowHeight;
+      const barWidth = round((Math.max(row.value, 0) / max) * track);
+      const middle = y + rowHeight / 2 + FONT_SIZE / 3;
+      const title = escapeHtml(
+        row.title || `${row.label}: ${format(row.value)}`
+      );
+      return (
+        `<g><title>${title}</title>` +
+        `<text class="chart-label" x="${
+          labelWidth - 10
+        }" y="${middle}" text-anchor="end">${escapeHtml(
+          shorten(row.label, 20)
+        )}</text>` +
+        `<rect class="chart-bar${
+          row.secondary ? " secondary" : ""
+        }" x="${labelWidth}" y="${y + 5}" width="${barWidth}" height="${
+          rowHeight - 10
+        }" rx="2" />` +
+        `<text class="chart-value" x="${
+          labelWidth + barWidth + 6
+        }" y="${middle}">${escapeHtml(format(row.value))}</text></g>`
+      );
+    })
+    .join("");
+
+  return svg(height, label, body);
+}
+
+module.exports = { columnChart, barChart };
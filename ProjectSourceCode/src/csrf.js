@@ -0,0 +1,67 @@
+// *****************************************************
+// CSRF Protection
+// *****************************************************
+// Synchronizer tokens: each session gets a random token, every form sends
+// it back as _csrf, and state-changing requests without a match are
+// refused. Two kinds of request are exempt because another site can't
+// forge them: JSON bodies (a cross-site page can't send one without a
+// CORS preflight, which this app never allows) and API calls carrying a
+// bearer token instead of the session cookie.
+const crypto = require("crypto");
+const { isJsonRequest, errorBody } = require("./validation");
+const { translate } = require("./i18n");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// The session's token, created on first use
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== "string" || typeof actual !== "string") {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function csrfProtection(req, res, next) {
+  // Templates read the token as csrfToken; it's only created when a page
+  // is rendered, and never for one rendered after sign-out
+  Object.defineProperty(res.locals, "csrfToken", {
+    get: () => (req.session ? csrfToken(req) : null),
+    enumerable: true,
+    configurable: true,
+  });
+
+  if (
+    SAFE_METHODS.includes(req.method) ||
+    isJsonRequest(req) ||
+    /^Bearer\s/i.test(req.headers.authorization || "")
+  ) {
+    return next();
+  }
+
+  const sent = req.body?._csrf || req.headers["x-csrf-token"];
+  if (tokensMatch(req.session.csrfToken, sent)) return next();
+
+  console.warn(
+    `Rejected ${req.method} ${req.path}: missing or stale CSRF token`
+  );
+  res.status(403);
+  return isJsonRequest(req) || req.path.startsWith("/api/")
+    ? res.json(
+        errorBody("invalid_csrf_token", "Missing or invalid CSRF token.")
+      )
+    : res.render("error", {
+        title: translate(req.locale, "errors.expiredTitle"),
+        message: translate(req.locale, "errors.expiredMessage"),
+      });
+}
+
+module.exports = { csrfToken, csrfProtection };
@@ -0,0 +1,68 @@
+// *****************************************************
+// CSV
+// *****************************************************
+// Reading and writing the comma-separated files used by imports and data
+// exports. Only the RFC 4180 subset the common exporters produce.
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, doubled quotes
+// and line breaks. Blank lines are dropped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (input[i + 1] === '"') field += input[i++];
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Spreadsheets run a cell that starts with one of these as a formula (a
+// leading tab or carriage return included), so text someone else could
+// have written (a review, a list note) is never opened as one
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quotes a field only when it has to: commas, quotes, line breaks, or
+// leading/trailing spaces a spreadsheet would otherwise trim. Text that
+// looks like a formula gets a leading ' so it is shown as typed.
+function formatField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// header is a list of column names; rows are arrays in the same order.
+// Lines end in CRLF, as the RFC asks.
+function formatCsv(header, rows) {
+  return [header, ...rows]
+    .map((row) => row.map(formatField).join(","))
+    .map((line) => `${line}\r\n`)
+    .join("");
+}
+
+module.exports = { parseCsv, formatCsv };
@@ -0,0 +1,32 @@
+// *****************************************************
+// Database Connection
+// *****************************************************
+// Connection settings shared by the app and `npm run migrate`. DATABASE_URL
+// wins when set; otherwise the POSTGRES_* variables from .env are used.
+
+function buildConnectionString(env) {
+  const {
+    POSTGRES_USER,
+    POSTGRES_PASSWORD,
+    POSTGRES_DB,
+    POSTGRES_HOST,
+    POSTGRES_PORT,
+  } = env;
+
+  if (!POSTGRES_USER || !POSTGRES_PASSWORD || !POSTGRES_DB || !POSTGRES_HOST) {
+    throw new Error("Database environment variables are missing.");
+  }
+
+  return `postgres://${POSTGRES_USER}:${POSTGRES_PASSWORD}@${POSTGRES_HOST}:${
+    POSTGRES_PORT || 5432
+  }/${POSTGRES_DB}`;
+}
+
+function connectionConfig(env = process.env) {
+  return {
+    connectionString: env.DATABASE_URL || buildConnectionString(env),
+    ssl: env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+  };
+}
+
+module.exports = { connectionConfig };
@@ -0,0 +1,160 @@
+// *****************************************************
+// Helpful Votes & Comment Threads
+// *****************************************************
+// Readers mark other people's reviews as helpful and reply to them in
+// threaded comments. Neither is possible on a review a moderator has
+// hidden. Threads are stored flat (each comment names its parent) and
+// assembled here; replies nested deeper than MAX_THREAD_DEPTH are shown at
+// that depth so long back-and-forths don't march off the page.
+const { VISIBLE_REVIEW, logAction } = require("./moderation");
+
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_THREAD_DEPTH = 4;
+
+// Per-review counts as SQL expressions over reviews r
+const HELPFUL_COUNT = `(SELECT COUNT(*)::int FROM review_votes v
+  WHERE v.review_id = r.review_id)`;
+const COMMENT_COUNT = `(SELECT COUNT(*)::int FROM review_comments c
+  WHERE c.review_id = r.review_id AND c.deleted_at IS NULL)`;
+
+// Adds or takes back the user's vote. Resolves to true if anything changed;
+// votes on your own review or a hidden one are ignored.
+async function setHelpful(db, { reviewId, userId, helpful }) {
+  const result = helpful
+    ? await db.result(
+        `INSERT INTO review_votes (review_id, user_id)
+         SELECT r.review_id, $2 FROM reviews r
+         WHERE r.review_id = $1 AND r.user_id <> $2 AND ${VISIBLE_REVIEW}
+         ON CONFLICT DO NOTHING`,
+        [reviewId, userId]
+      )
+    : await db.result(
+        "DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2",
+        [reviewId, userId]
+      );
+  return result.rowCount > 0;
+}
+
+// Resolves to the new comment, or null if the review is hidden or gone, or
+// the comment being replied to isn't on the same review (or was deleted)
+function addComment(db, { reviewId, userId, parentId, body }) {
+  return db.oneOrNone(
+    `INSERT INTO review_comments (review_id, user_id, parent_id, body)
+     SELECT r.review_id, $2, $3, $4 FROM reviews r
+     WHERE r.review_id = $1 AND ${VISIBLE_REVIEW}
+       AND ($3::int IS NULL OR EXISTS (
+         SELECT 1 FROM review_comments p
+         WHERE p.comment_id = $3 AND p.review_id = r.review_id
+           AND p.deleted_at IS NULL
+       ))
+     RETURNING *`,
+    [reviewId, userId, parentId || null, body]
+  );
+}
+
+// Deletes the author's own comment, or anyone's when moderatorId is given
+// (which is logged). A comment with replies keeps its place in the thread
+// without its text. Resolves to the comment, or null if it wasn't allowed.
+function deleteComment(db, { commentId, userId, moderatorId }) {
+  return db.tx(async (t) => {
+    const comment = await t.oneOrNone(
+      `SELECT c.*, EXISTS (
+         SELECT 1 FROM review_comments reply WHERE reply.parent_id = c.comment_id
+       ) AS has_replies
+       FROM review_comments c
+       WHERE c.comment_id = $1 AND c.deleted_at IS NULL
+         AND (c.user_id = $2 OR $3::int IS NOT NULL)
+       FOR UPDATE OF c`,
+      [commentId, userId, moderatorId || null]
+    );
+    if (!comment) return null;
+
+    if (comment.has_replies) {
+      await t.none(
+        `UPDATE review_comments SET body = NULL, deleted_at = NOW()
+         WHERE comment_id = $1`,
+        [commentId]
+      );
+    } else {
+      await t.none("DELETE FROM review_comments WHERE comment_id = $1", [
+        commentId,
+      ]);
+    }
+
+    if (moderatorId && comment.user_id !== moderatorId) {
+      await logAction(t, {
+        moderatorId,
+        action: "delete_comment",
+        userId: comment.user_id,
+        reviewId: comment.review_id,
+        note: comment.body,
+      });
+    }
+    return comment;
+  });
+}
+
+// Nests comments (oldest first) under their parents. Returns the top-level
+// comments; each has replies and a depth starting at 0.
+function buildThreads(comments) {
+  const byId = new Map();
+  const roots = [];
+  for (const comment of comments) {
+    const node = { ...comment, replies: [], depth: 0 };
+    byId.set(comment.comment_id, node);
+
+    let parent = byId.get(comment.parent_id);
+    while (parent && parent.depth >= MAX_THREAD_DEPTH) {
+      parent = byId.get(parent.parent_id);
+    }
+    if (parent) {
+      node.depth = parent.depth + 1;
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+// Comment threads for the given reviews, keyed by review_id. canDelete is
+// set on the viewer's own comments, or on all of them for a moderator.
+async function loadThreads(db, reviewIds, { viewerId, isModerator } = {}) {
+  const byReview = {};
+  if (!reviewIds.length) return byReview;
+
+  const comments = await db.any(
+    `SELECT c.comment_id, c.review_id, c.parent_id, c.user_id, c.created_at,
+            c.body, c.deleted_at IS NOT NULL AS deleted, u.username
+     FROM review_comments c
+     JOIN users u ON u.user_id = c.user_id
+     WHERE c.review_id IN ($1:csv)
+     ORDER BY c.created_at ASC, c.comment_id ASC`,
+    [reviewIds]
+  );
+
+  const grouped = {};
+  for (const comment of comments) {
+    comment.canDelete =
+      !comment.deleted && (isModerator || comment.user_id === viewerId);
+    (grouped[comment.review_id] = grouped[comment.review_id] || []).push(
+      comment
+    );
+  }
+  for (const [reviewId, list] of Object.entries(grouped)) {
+    byReview[reviewId] = buildThreads(list);
+  }
+  return byReview;
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  MAX_THREAD_DEPTH,
+  HELPFUL_COUNT,
+  COMMENT_COUNT,
+  setHelpful,
+  addComment,
+  deleteComment,
+  buildThreads,
+  loadThreads,
+};
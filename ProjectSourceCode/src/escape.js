@@ -0,0 +1,18 @@
+// *****************************************************
+// HTML Escaping
+// *****************************************************
+// The one escaper behind every piece of HTML, SVG and feed XML the app
+// builds as a string and a template then outputs unescaped ({{{…}}}):
+// review markup, search highlights, charts and syndication feeds. It
+// covers text and quoted attribute values alike; &#x27; is understood by
+// XML as well as HTML, so feeds need no variant of their own.
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;");
+
+module.exports = { escapeHtml };
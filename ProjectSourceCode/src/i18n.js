@@ -0,0 +1,252 @@
+// *****************************************************
+// Internationalization
+// *****************************************************
+// Pages take their words from message catalogs, one per language in
+// locales/<locale>.json, looked up by dotted key ("nav.signOut"). Messages
+// can name {parameters}, and a message that depends on a number is an
+// object of plural forms ("one", "other", and "few", "many"… for languages
+// that have them) picked with Intl.PluralRules using the count parameter.
+//
+// English is the reference catalog: a key another catalog lacks falls back
+// to English, and `npm run check-i18n` (see checkCatalogs) lists the keys a
+// catalog is missing or a template uses without defining.
+//
+// Modules that don't know who is reading (validation, imports) describe
+// what went wrong as message(key, params) and leave the wording to the
+// caller's translate() or req.t.
+//
+// A request's locale is the language the signed-in user chose in account
+// settings, or else the best match for the browser's Accept-Language
+// header, or else English.
+const fs = require("fs");
+const path = require("path");
+
+const LOCALES_DIR = path.join(__dirname, "..", "locales");
+const DEFAULT_LOCALE = "en";
+
+// Every language with a catalog, named in itself for the language picker
+const LANGUAGES = { en: "English", es: "Español" };
+
+const PLURAL_FORMS = ["zero", "one", "two", "few", "many", "other"];
+
+const isPlural = (message) =>
+  message !== null &&
+  typeof message === "object" &&
+  "other" in message &&
+  Object.keys(message).every((form) => PLURAL_FORMS.includes(form));
+
+// A nested catalog as { "dotted.key": message }
+function flatten(catalog, prefix = "") {
+  const messages = {};
+  for (const [name, message] of Object.entries(catalog)) {
+    const key = prefix + name;
+    if (typeof message === "string" || isPlural(message)) {
+      messages[key] = message;
+    } else {
+      Object.assign(messages, flatten(message, `${key}.`));
+    }
+  }
+  return messages;
+}
+
+function loadCatalogs(dir = LOCALES_DIR) {
+  const catalogs = {};
+  for (const locale of Object.keys(LANGUAGES)) {
+    const file = path.join(dir, `${locale}.json`);
+    catalogs[locale] = flatten(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+const supported = (locale) =>
+  typeof locale === "string" && Object.hasOwn(LANGUAGES, locale);
+
+const orDefault = (locale) => (supported(locale) ? locale : DEFAULT_LOCALE);
+
+// Intl formatters are slow to build, so each is made once per locale and
+// set of options
+const formatters = new Map();
+function formatter(Type, locale, options = {}) {
+  const key = `${Type.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Type(locale, options));
+  return formatters.get(key);
+}
+
+function formatNumber(locale, value, options) {
+  if (value === null || value === undefined || value === "") return "";
+  return formatter(Intl.NumberFormat, orDefault(locale), options).format(
+    Number(value)
+  );
+}
+
+// A short date, e.g. "Oct 19, 2026" or "19 oct 2026"
+function formatDate(locale, value) {
+  if (!value) return "";
+  return formatter(Intl.DateTimeFormat, orDefault(locale), {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  }).format(new Date(value));
+}
+
+// The short name of a month given as "YYYY-MM", e.g. "Feb" or "feb"
+function formatMonth(locale, month) {
+  return formatter(Intl.DateTimeFormat, orDefault(locale), {
+    month: "short",
+    timeZone: "UTC",
+  }).format(new Date(`${month}-01T00:00:00Z`));
+}
+
+// Fills in {name} placeholders. {count} is formatted as a number for the
+// locale; other values (years, IDs) go in as they are, and unknown names
+// are left alone.
+const interpolate = (text, locale, params) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.hasOwn(params, name)) return placeholder;
+    const value = params[name];
+    return name === "count" && typeof value === "number"
+      ? formatNumber(locale, value)
+      : String(value ?? "");
+  });
+
+// The message for key in locale, with params filled in. Falls back to
+// English, then to the key itself so a missing message is easy to spot.
+function translate(locale, key, params = {}) {
+  const resolved = orDefault(locale);
+  let message = catalogs[resolved][key];
+  if (message === undefined) message = catalogs[DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+  if (isPlural(message)) {
+    const form = formatter(Intl.PluralRules, resolved).select(
+      Number(params.count)
+    );
+    message = message[form] ?? message.other;
+  }
+  return interpolate(message, resolved, params);
+}
+
+// A message for the caller to put in the reader's language
+const message = (key, params = {}) => ({ key, params });
+
+// The language tags of an Accept-Language header, most preferred first
+function parseAcceptLanguage(header) {
+  if (typeof header !== "string") return [];
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((param) => param.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+// The request's locale, from the user's saved choice, else the first
+// Accept-Language tag whose language has a catalog ("es-MX" gets "es")
+function detectLocale({ preferred, acceptLanguage } = {}) {
+  if (supported(preferred)) return preferred;
+  for (const tag of parseAcceptLanguage(acceptLanguage)) {
+    const language = tag.split("-")[0];
+    if (supported(language)) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Sets req.locale and req.t for routes, and locale for templates
+function localize(req, res, next) {
+  const locale = detectLocale({
+    preferred: req.session && req.session.user && req.session.user.language,
+    acceptLanguage: req.get("Accept-Language"),
+  });
+  req.locale = locale;
+  req.t = (key, params) => translate(locale, key, params);
+  res.locals.locale = locale;
+  res.vary("Accept-Language");
+  next();
+}
+
+// Where message keys are used: templates as {{t "…"}} or (t "…"), and
+// code as t("…"), translate(locale, "…") or message("…"), or as the dotted
+// label of a validated field or problem of an import line. Keys built at
+// run time (notification types, say) aren't seen.
+const TEMPLATE_KEY = /[{(]t\s+"([\w.-]+)"/g;
+const CODE_KEY = /\b(?:t|translate|message)\((?:\w+, )?"([\w.-]+)"/g;
+const FIELD_KEY = /\b(?:label|problem): "([\w-]+\.[\w.-]+)"/g;
+const SOURCES = [
+  { dir: "layouts", ext: ".hbs", patterns: [TEMPLATE_KEY] },
+  { dir: "pages", ext: ".hbs", patterns: [TEMPLATE_KEY] },
+  { dir: "partials", ext: ".hbs", patterns: [TEMPLATE_KEY] },
+  { dir: ".", ext: ".js", patterns: [CODE_KEY, FIELD_KEY] },
+  { dir: "src", ext: ".js", patterns: [CODE_KEY, FIELD_KEY] },
+];
+
+// The keys used in the app, each with the files that use it
+function usedKeys(appDir = path.join(__dirname, "..")) {
+  const used = new Map();
+  for (const { dir, ext, patterns } of SOURCES) {
+    const full = path.join(appDir, dir);
+    for (const name of fs.readdirSync(full)) {
+      if (!name.endsWith(ext)) continue;
+      const source = fs.readFileSync(path.join(full, name), "utf8");
+      for (const pattern of patterns) {
+        for (const [, key] of source.matchAll(pattern)) {
+          const file = path.join(dir, name);
+          if (!used.has(key)) used.set(key, new Set());
+          used.get(key).add(file);
+        }
+      }
+    }
+  }
+  return used;
+}
+
+// Problems with the catalogs: keys English has that another catalog lacks
+// (or has with different plural forms), keys a catalog has that English
+// doesn't, and keys the app uses that English doesn't define. Returns a
+// list of messages; empty means all is well.
+function checkCatalogs({ catalogs: all = catalogs, used = usedKeys() } = {}) {
+  const reference = all[DEFAULT_LOCALE];
+  const problems = [];
+  for (const [locale, messages] of Object.entries(all)) {
+    if (locale === DEFAULT_LOCALE) continue;
+    for (const key of Object.keys(reference)) {
+      if (!(key in messages)) {
+        problems.push(`${locale}: missing "${key}"`);
+      } else if (isPlural(reference[key]) !== isPlural(messages[key])) {
+        problems.push(`${locale}: "${key}" should be plural only if en is`);
+      }
+    }
+    for (const key of Object.keys(messages)) {
+      if (!(key in reference)) problems.push(`${locale}: unknown "${key}"`);
+    }
+  }
+  for (const [key, files] of used) {
+    if (!(key in reference)) {
+      problems.push(`en: missing "${key}" (used in ${[...files].join(", ")})`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LANGUAGES,
+  catalogs,
+  loadCatalogs,
+  translate,
+  message,
+  formatNumber,
+  formatDate,
+  formatMonth,
+  parseAcceptLanguage,
+  detectLocale,
+  localize,
+  usedKeys,
+  checkCatalogs,
+};
@@ -0,0 +1,507 @@
+// *****************************************************
+// Letterboxd & IMDb Imports
+// *****************************************************
+// Brings ratings, reviews and watchlists over from CSV exports. An upload
+// is parsed and every line resolved to a movie through the metadata
+// provider, then stored as a pending import so the user can preview it and
+// settle ambiguous or unmatched lines before committing. Committing is
+// idempotent: a line that matches what the user already has changes
+// nothing, so importing the same file twice doesn't duplicate anything.
+const { MAX_REVIEW_LENGTH, saveReview } = require("./reviews");
+const { addToWatchlist } = require("./watchlist");
+const { parseCsv } = require("./csv");
+const { message } = require("./i18n");
+
+const MAX_ROWS = 500;
+// Lines resolved against the provider at once
+const LOOKUP_BATCH = 5;
+const MAX_CANDIDATES = 5;
+// Uncommitted imports older than this are cleared out on the next upload
+const PENDING_TTL_HOURS = 24;
+
+const has = (header, ...columns) => columns.every((c) => header.includes(c));
+
+// Known exports, most specific first. kind says what each line becomes;
+// label is the catalog key of the export's name.
+const FORMATS = {
+  imdb_ratings: {
+    label: "import.formats.imdbRatings",
+    kind: "rating",
+    detect: (header) => has(header, "Const", "Your Rating"),
+  },
+  letterboxd_reviews: {
+    label: "import.formats.letterboxdReviews",
+    kind: "review",
+    detect: (header) => has(header, "Name", "Year", "Review"),
+  },
+  letterboxd_ratings: {
+    label: "import.formats.letterboxdRatings",
+    kind: "rating",
+    detect: (header) => has(header, "Name", "Year", "Rating"),
+  },
+  letterboxd_watchlist: {
+    label: "import.formats.letterboxdWatchlist",
+    kind: "watchlist",
+    detect: (header) => has(header, "Name", "Year", "Letterboxd URI"),
+  },
+};
+
+// Letterboxd rates 0.5–5 stars in halves; ours is 1–10
+function letterboxdRating(value) {
+  const stars = parseFloat(value);
+  if (!(stars >= 0.5 && stars <= 5)) return null;
+  return Math.round(stars * 2);
+}
+
+function imdbRating(value) {
+  const rating = parseInt(value, 10);
+  return rating >= 1 && rating <= 10 ? rating : null;
+}
+
+const parseDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : null;
+
+const parseYearColumn = (value) => parseInt(value, 10) || null;
+
+// Letterboxd review text carries a little HTML
+const plainText = (html) =>
+  html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .trim();
+
+// One CSV record (keyed by column) as an import row, or { problem } where
+// problem is the catalog key saying what's wrong with the line. Problems
+// are stored as keys so the preview shows them in the reader's language.
+function toImportRow(format, record) {
+  const { kind } = FORMATS[format];
+
+  if (format === "imdb_ratings") {
+    const imdbId = (record.Const || "").trim();
+    const rating = imdbRating(record["Your Rating"]);
+    if (!/^tt\d+$/.test(imdbId))
+      return { problem: "import.problems.missingImdbId" };
+    if (!rating) return { problem: "import.problems.missingRating" };
+    return {
+      kind,
+      title: record.Title || imdbId,
+      year: parseYearColumn(record.Year),
+      imdbId,
+      rating,
+      loggedOn: parseDate(record["Date Rated"]),
+    };
+  }
+
+  const title = (record.Name || "").trim();
+  if (!title) return { problem: "import.problems.missingTitle" };
+  const row = {
+    kind,
+    title,
+    year: parseYearColumn(record.Year),
+    loggedOn: parseDate(record["Watched Date"]) || parseDate(record.Date),
+  };
+  if (kind === "watchlist") return row;
+
+  row.rating = letterboxdRating(record.Rating);
+  const text = plainText(record.Review || "");
+  if (text.length > MAX_REVIEW_LENGTH) {
+    row.reviewText = `${text.slice(0, MAX_REVIEW_LENGTH - 1).trimEnd()}…`;
+    row.shortened = true;
+  } else {
+    row.reviewText = text || null;
+  }
+  if (kind === "rating" && !row.rating)
+    return { problem: "import.problems.missingRating" };
+  if (!row.rating && !row.reviewText) {
+    return { problem: "import.problems.noRatingOrReview" };
+  }
+  return row;
+}
+
+// Parses an export into { format, rows } or { error }, error being a
+// message(). Lines that can't be used come back as rows with a problem so
+// the preview can list them.
+function parseExport(text) {
+  const [header, ...records] = parseCsv(text || "");
+  const format =
+    header &&
+    Object.keys(FORMATS).find((key) =>
+      FORMATS[key].detect(header.map((column) => column.trim()))
+    );
+  if (!format) {
+    return { error: message("import.errors.unknownFormat") };
+  }
+  if (!records.length) return { error: message("import.errors.noRows") };
+  if (records.length > MAX_ROWS) {
+    return { error: message("import.errors.tooManyRows", { count: MAX_ROWS }) };
+  }
+
+  const columns = header.map((column) => column.trim());
+  const rows = records.map((values, i) => {
+    const record = {};
+    columns.forEach((column, j) => (record[column] = (values[j] || "").trim()));
+    const row = toImportRow(format, record);
+    return {
+      rowNumber: i + 2,
+      title: record.Name || record.Title || "(untitled)",
+      kind: FORMATS[format].kind,
+      ...row,
+    };
+  });
+  return { format, rows };
+}
+
+// Titles compared loosely: case, accents, punctuation and "&" vs "and"
+const normalizeTitle = (title) =>
+  String(title)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const candidate = (movie) => ({
+  imdbID: movie.imdbID,
+  Title: movie.Title,
+  Year: movie.Year,
+});
+
+// Looks a row up through the provider. Resolves to
+// { status: "matched", imdbId } or { status, candidates } for ambiguous
+// and unmatched rows.
+async function resolveRow(provider, row) {
+  const matched = (movie) => ({
+    status: "matched",
+    imdbId: movie.imdbID,
+    candidates: [],
+  });
+  const unmatched = { status: "unmatched", candidates: [] };
+
+  try {
+    if (row.imdbId) {
+      const movie = await provider.getById(row.imdbId);
+      return movie ? matched(movie) : unmatched;
+    }
+
+    const title = normalizeTitle(row.title);
+    const sameTitle = (movie) => normalizeTitle(movie.Title) === title;
+    const sameYear = (movie) =>
+      !row.year || parseInt(movie.Year, 10) === row.year;
+
+    const results = await provider.search(row.title);
+    const exact = results.filter((m) => sameTitle(m) && sameYear(m));
+    if (exact.length === 1) return matched(exact[0]);
+    if (exact.length > 1) {
+      return { status: "ambiguous", candidates: exact.map(candidate) };
+    }
+
+    const byTitle = await provider.getByTitle(row.title, row.year);
+    if (byTitle && sameYear(byTitle)) return matched(byTitle);
+
+    const close = [byTitle, ...results]
+      .filter((movie) => movie && (sameTitle(movie) || sameYear(movie)))
+      .filter(
+        (movie, i, all) => all.findIndex((m) => m.imdbID === movie.imdbID) === i
+      )
+      .slice(0, MAX_CANDIDATES);
+    return close.length
+      ? { status: "ambiguous", candidates: close.map(candidate) }
+      : unmatched;
+  } catch (err) {
+    console.error(`Error resolving import row "${row.title}":`, err.message);
+    return unmatched;
+  }
+}
+
+// Parses, resolves and stores an upload. Resolves to { importId } or
+// { error } (a message()) when the file can't be used.
+async function createImport(db, provider, { userId, text }) {
+  const parsed = parseExport(text);
+  if (parsed.error) return parsed;
+
+  const resolved = [];
+  for (let i = 0; i < parsed.rows.length; i += LOOKUP_BATCH) {
+    const batch = parsed.rows.slice(i, i + LOOKUP_BATCH);
+    resolved.push(
+      ...(await Promise.all(
+        batch.map(async (row) =>
+          row.problem
+            ? { ...row, status: "invalid", candidates: [] }
+            : { ...row, ...(await resolveRow(provider, row)) }
+        )
+      ))
+    );
+  }
+
+  const { helpers } = db.$config.pgp;
+  const importId = await db.tx(async (t) => {
+    await t.none(
+      `DELETE FROM imports
+       WHERE user_id = $1 AND committed_at IS NULL
+         AND created_at < NOW() - $2 * INTERVAL '1 hour'`,
+      [userId, PENDING_TTL_HOURS]
+    );
+    const { import_id } = await t.one(
+      "INSERT INTO imports (user_id, source) VALUES ($1, $2) RETURNING import_id",
+      [userId, parsed.format]
+    );
+    await t.none(
+      helpers.insert(
+        resolved.map((row) => ({
+          import_id,
+          row_number: row.rowNumber,
+          kind: row.kind,
+          title: row.title.slice(0, 255),
+          release_year: row.year || null,
+          rating: row.rating || null,
+          review_text: row.reviewText || null,
+          shortened: !!row.shortened,
+          logged_on: row.loggedOn || null,
+          status: row.status,
+          imdb_id: row.imdbId || null,
+          candidates: row.candidates,
+          problem: row.problem || null,
+        })),
+        [
+          "import_id",
+          "row_number",
+          "kind",
+          "title",
+          "release_year",
+          "rating",
+          "review_text",
+          "shortened",
+          "logged_on",
+          "status",
+          "imdb_id",
+          { name: "candidates", mod: ":json" },
+          "problem",
+        ],
+        "import_rows"
+      )
+    );
+    return import_id;
+  });
+
+  return { importId };
+}
+
+// The user's import with its rows grouped by status, or null. label is the
+// catalog key of the export's name.
+async function loadImport(db, { importId, userId }) {
+  const imported = await db.oneOrNone(
+    "SELECT * FROM imports WHERE import_id = $1 AND user_id = $2",
+    [importId, userId]
+  );
+  if (!imported) return null;
+
+  const rows = await db.any(
+    "SELECT * FROM import_rows WHERE import_id = $1 ORDER BY row_number",
+    [importId]
+  );
+  const groups = {
+    matched: [],
+    ambiguous: [],
+    unmatched: [],
+    invalid: [],
+    skipped: [],
+  };
+  rows.forEach((row) => groups[row.status].push(row));
+
+  return {
+    ...imported,
+    label: FORMATS[imported.source]?.label || imported.source,
+    rows: groups,
+    // Lines the preview form can still settle
+    unresolved:
+      groups.ambiguous.length + groups.unmatched.length + groups.skipped.length,
+  };
+}
+
+const IMDB_ID = /tt\d{5,}/;
+
+// Applies the preview form's choices: choices maps row_id to a candidate's
+// IMDb ID, an IMDb ID or URL typed for an unmatched row, or "skip".
+async function resolveRows(db, provider, { importId, userId, choices }) {
+  const rows = await db.any(
+    `SELECT ir.row_id, ir.status, ir.candidates
+     FROM import_rows ir
+     JOIN imports i ON i.import_id = ir.import_id
+     WHERE ir.import_id = $1 AND i.user_id = $2 AND i.committed_at IS NULL
+       AND ir.status IN ('ambiguous', 'unmatched', 'skipped')`,
+    [importId, userId]
+  );
+
+  for (const row of rows) {
+    // An unmatched row posts both its text box and its skip box; a typed
+    // ID wins
+    const choice =
+      []
+        .concat(choices[row.row_id] || [])
+        .map((value) => String(value).trim())
+        .find(Boolean) || "";
+    if (!choice) continue;
+
+    let update = null;
+    if (choice === "skip") {
+      update = { status: "skipped", imdbId: null, problem: null };
+    } else if (row.candidates.some((c) => c.imdbID === choice)) {
+      update = { status: "matched", imdbId: choice, problem: null };
+    } else if (IMDB_ID.test(choice)) {
+      const imdbId = IMDB_ID.exec(choice)[0];
+      const movie = await provider.getById(imdbId).catch(() => null);
+      // An unmatched row keeps the ID that was tried, for the problem text
+      update = movie
+        ? { status: "matched", imdbId, problem: null }
+        : {
+            status: "unmatched",
+            imdbId,
+            problem: "import.problems.notFound",
+          };
+    }
+    if (!update) continue;
+
+    await db.none(
+      `UPDATE import_rows SET status = $2, imdb_id = $3, problem = $4
+       WHERE row_id = $1`,
+      [row.row_id, update.status, update.imdbId, update.problem]
+    );
+  }
+}
+
+// Saves one imported rating/review unless the user's current review
+// already says the same. Returns which summary count it adds to.
+async function importReview(t, { userId, movieId, rating, reviewText }) {
+  const existing = await t.oneOrNone(
+    "SELECT rating, review_text FROM reviews WHERE user_id = $1 AND movie_id = $2",
+    [userId, movieId]
+  );
+  // A bare rating keeps the text of a review the user already wrote
+  const text = reviewText || existing?.review_text || null;
+  const score = rating || existing?.rating;
+  if (!score) return "skipped";
+  if (existing && existing.rating === score && existing.review_text === text) {
+    return "unchanged";
+  }
+
+  const { created } = await saveReview(t, {
+    userId,
+    movieId,
+    rating: score,
+    reviewText: text,
+  });
+  return created ? "reviewsAdded" : "reviewsUpdated";
+}
+
+// Writes the matched rows to the user's reviews and watchlist. Resolves to
+// the summary, or null if the import doesn't exist or was already
+// committed. findOrCreateMovie(imdbID) comes from the app.
+async function commitImport(db, { importId, userId, findOrCreateMovie }) {
+  const imported = await loadImport(db, { importId, userId });
+  if (!imported || imported.committed_at) return null;
+
+  // Several lines for one movie (rewatches, say): the latest wins, but a
+  // later line without text keeps an earlier one's
+  const entries = new Map();
+  const lines = [...imported.rows.matched].sort(
+    (a, b) =>
+      (a.logged_on || 0) - (b.logged_on || 0) || a.row_number - b.row_number
+  );
+  for (const row of lines) {
+    const key = `${row.kind === "watchlist" ? "watchlist" : "review"}:${
+      row.imdb_id
+    }`;
+    const previous = entries.get(key) || {};
+    entries.set(key, {
+      kind: row.kind,
+      imdbId: row.imdb_id,
+      rating: row.rating || previous.rating,
+      reviewText: row.review_text || previous.reviewText,
+    });
+  }
+
+  // Movie lookups may go out to the provider, so do them before the
+  // transaction
+  const movies = new Map();
+  for (const { imdbId } of entries.values()) {
+    if (!movies.has(imdbId))
+      movies.set(imdbId, await findOrCreateMovie(imdbId));
+  }
+
+  return db.tx(async (t) => {
+    const pending = await t.oneOrNone(
+      `SELECT import_id FROM imports
+       WHERE import_id = $1 AND committed_at IS NULL
+       FOR UPDATE`,
+      [importId]
+    );
+    if (!pending) return null;
+
+    const summary = {
+      reviewsAdded: 0,
+      reviewsUpdated: 0,
+      unchanged: 0,
+      watchlistAdded: 0,
+      alreadyOnWatchlist: 0,
+      skipped:
+        imported.rows.ambiguous.length +
+        imported.rows.unmatched.length +
+        imported.rows.invalid.length +
+        imported.rows.skipped.length,
+    };
+
+    for (const entry of entries.values()) {
+      const movie = movies.get(entry.imdbId);
+      if (!movie) {
+        summary.skipped++;
+      } else if (entry.kind === "watchlist") {
+        const added = await addToWatchlist(t, {
+          userId,
+          movieId: movie.movie_id,
+        });
+        summary[added ? "watchlistAdded" : "alreadyOnWatchlist"]++;
+      } else {
+        const outcome = await importReview(t, {
+          userId,
+          movieId: movie.movie_id,
+          rating: entry.rating,
+          reviewText: entry.reviewText,
+        });
+        summary[outcome]++;
+      }
+    }
+
+    await t.none(
+      "UPDATE imports SET committed_at = NOW(), summary = $2:json WHERE import_id = $1",
+      [importId, summary]
+    );
+    return summary;
+  });
+}
+
+function discardImport(db, { importId, userId }) {
+  return db.result(
+    `DELETE FROM imports
+     WHERE import_id = $1 AND user_id = $2 AND committed_at IS NULL`,
+    [importId, userId]
+  );
+}
+
+module.exports = {
+  MAX_ROWS,
+  letterboxdRating,
+  parseExport,
+  resolveRow,
+  createImport,
+  loadImport,
+  resolveRows,
+  commitImport,
+  discardImport,
+};
@@ -0,0 +1,31 @@
+// *****************************************************
+// Background Jobs
+// *****************************************************
+// Runs a task once at startup and then every `intervalMs`. A run that is
+// still going when the next one is due is not started again, so a slow
+// database can't pile runs up. The timer is unref'd so it never keeps the
+// process alive on its own. Tasks log their own results and errors; a
+// rejection that gets past the task is logged here rather than left
+// unhandled.
+
+function startIntervalJob(fn, intervalMs) {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (err) {
+      console.error("Error in background job:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return { stop: () => clearInterval(timer), run };
+}
+
+module.exports = { startIntervalJob };
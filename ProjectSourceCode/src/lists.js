@@ -0,0 +1,196 @@
+// *****************************************************
+// Custom List Storage
+// *****************************************************
+// Users can keep any number of named lists besides their watchlist. Each
+// list has ordered entries with an optional note, and a random share token
+// that makes it readable by anyone once the owner marks it public.
+const crypto = require("crypto");
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 500;
+
+const newShareToken = () => crypto.randomBytes(16).toString("hex");
+
+function listsForUser(db, userId) {
+  return db.any(
+    `SELECT l.*, COUNT(e.entry_id)::int AS entry_count
+     FROM custom_lists l
+     LEFT JOIN custom_list_entries e ON e.list_id = l.list_id
+     WHERE l.user_id = $1
+     GROUP BY l.list_id
+     ORDER BY l.updated_at DESC`,
+    [userId]
+  );
+}
+
+// IDs of the user's lists that contain the movie
+async function listIdsWithMovie(db, { userId, movieId }) {
+  const rows = await db.any(
+    `SELECT l.list_id
+     FROM custom_lists l
+     JOIN custom_list_entries e ON e.list_id = l.list_id
+     WHERE l.user_id = $1 AND e.movie_id = $2`,
+    [userId, movieId]
+  );
+  return rows.map((row) => row.list_id);
+}
+
+function createList(db, { userId, title, description, isPublic }) {
+  return db.one(
+    `INSERT INTO custom_lists (user_id, title, description, is_public, share_token)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, title.trim(), description || null, !!isPublic, newShareToken()]
+  );
+}
+
+// The list if it belongs to the user, otherwise null
+function getOwnedList(db, { listId, userId }) {
+  return db.oneOrNone(
+    "SELECT * FROM custom_lists WHERE list_id = $1 AND user_id = $2",
+    [listId, userId]
+  );
+}
+
+// A public list by share token, with its owner's username
+function getSharedList(db, shareToken) {
+  return db.oneOrNone(
+    `SELECT l.*, u.username AS owner
+     FROM custom_lists l
+     JOIN users u ON l.user_id = u.user_id
+     WHERE l.share_token = $1 AND l.is_public`,
+    [shareToken]
+  );
+}
+
+function updateList(db, { listId, userId, title, description, isPublic }) {
+  return db.oneOrNone(
+    `UPDATE custom_lists
+     SET title = $3, description = $4, is_public = $5, updated_at = NOW()
+     WHERE list_id = $1 AND user_id = $2
+     RETURNING *`,
+    [listId, userId, title.trim(), description || null, !!isPublic]
+  );
+}
+
+// Invalidates the old share link
+function resetShareToken(db, { listId, userId }) {
+  return db.oneOrNone(
+    `UPDATE custom_lists SET share_token = $3, updated_at = NOW()
+     WHERE list_id = $1 AND user_id = $2
+     RETURNING *`,
+    [listId, userId, newShareToken()]
+  );
+}
+
+async function deleteList(db, { listId, userId }) {
+  const result = await db.result(
+    "DELETE FROM custom_lists WHERE list_id = $1 AND user_id = $2",
+    [listId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+function loadEntries(db, listId) {
+  return db.any(
+    `SELECT e.entry_id, e.note, e.added_at, m.imdb_id, m.title,
+            m.release_year, m.poster
+     FROM custom_list_entries e
+     JOIN movies m ON e.movie_id = m.movie_id
+     WHERE e.list_id = $1
+     ORDER BY e.position ASC, e.entry_id ASC`,
+    [listId]
+  );
+}
+
+// The caller must already have checked that the user owns the list.
+// Resolves to true if the movie was added, false if it was already there.
+function addEntry(db, { listId, movieId, note }) {
+  return db.tx(async (t) => {
+    const added = await t.oneOrNone(
+      `INSERT INTO custom_list_entries (list_id, movie_id, position, note)
+       SELECT $1, $2, COALESCE(MAX(position), 0) + 1, $3
+       FROM custom_list_entries WHERE list_id = $1
+       ON CONFLICT (list_id, movie_id) DO NOTHING
+       RETURNING entry_id`,
+      [listId, movieId, note ? note.slice(0, MAX_NOTE_LENGTH) : null]
+    );
+    await t.none(
+      "UPDATE custom_lists SET updated_at = NOW() WHERE list_id = $1",
+      [listId]
+    );
+    return !!added;
+  });
+}
+
+async function updateEntryNote(db, { listId, entryId, note }) {
+  const result = await db.result(
+    `UPDATE custom_list_entries SET note = $3
+     WHERE entry_id = $2 AND list_id = $1`,
+    [listId, entryId, note ? note.slice(0, MAX_NOTE_LENGTH) : null]
+  );
+  return result.rowCount > 0;
+}
+
+// Swaps the entry with the one above or below it
+function moveEntry(db, { listId, entryId, direction }) {
+  return db.tx(async (t) => {
+    const entry = await t.oneOrNone(
+      `SELECT entry_id, position FROM custom_list_entries
+       WHERE entry_id = $2 AND list_id = $1
+       FOR UPDATE`,
+      [listId, entryId]
+    );
+    if (!entry) return false;
+
+    const neighbour = await t.oneOrNone(
+      direction === "up"
+        ? `SELECT entry_id, position FROM custom_list_entries
+           WHERE list_id = $1 AND position < $2
+           ORDER BY position DESC LIMIT 1`
+        : `SELECT entry_id, position FROM custom_list_entries
+           WHERE list_id = $1 AND position > $2
+           ORDER BY position ASC LIMIT 1`,
+      [listId, entry.position]
+    );
+    if (!neighbour) return false;
+
+    await t.none(
+      "UPDATE custom_list_entries SET position = $2 WHERE entry_id = $1",
+      [entry.entry_id, neighbour.position]
+    );
+    await t.none(
+      "UPDATE custom_list_entries SET position = $2 WHERE entry_id = $1",
+      [neighbour.entry_id, entry.position]
+    );
+    return true;
+  });
+}
+
+async function removeEntry(db, { listId, entryId }) {
+  const result = await db.result(
+    "DELETE FROM custom_list_entries WHERE entry_id = $2 AND list_id = $1",
+    [listId, entryId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_NOTE_LENGTH,
+  listsForUser,
+  listIdsWithMovie,
+  createList,
+  getOwnedList,
+  getSharedList,
+  updateList,
+  resetShareToken,
+  deleteList,
+  loadEntries,
+  addEntry,
+  updateEntryNote,
+  moveEntry,
+  removeEntry,
+};
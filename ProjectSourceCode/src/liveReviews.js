@@ -0,0 +1,114 @@
+// *****************************************************
+// Live Review Updates
+// *****************************************************
+// A trigger on reviews (migration 011) NOTIFYs review_changes whenever a
+// review is added, edited, hidden, restored or deleted. Each app instance
+// keeps one connection LISTENing on that channel and hands every change to
+// whoever subscribed to the movie, so a browser sees changes made through
+// any instance behind the load balancer. The connection is only opened
+// once someone subscribes, and is re-opened if it drops.
+const CHANNEL = "review_changes";
+const RECONNECT_MS = 5000;
+
+// Parses a NOTIFY payload into { change, movieId, reviewId }, where change
+// is "created", "updated" or "deleted", or null for anything else
+function parseChange(payload) {
+  try {
+    const { op, movie_id: movieId, review_id: reviewId } = JSON.parse(payload);
+    const change = { insert: "created", update: "updated", delete: "deleted" }[
+      op
+    ];
+    if (!change || !Number.isInteger(movieId)) return null;
+    return { change, movieId, reviewId };
+  } catch (err) {
+    return null;
+  }
+}
+
+function createReviewEvents(db, { reconnectMs = RECONNECT_MS } = {}) {
+  const subscribers = new Map();
+  let connection = null;
+  let connecting = null;
+  let retryTimer = null;
+
+  const dispatch = (message) => {
+    const event = parseChange(message.payload);
+    const listeners = event && subscribers.get(event.movieId);
+    if (!listeners) return;
+    for (const listener of listeners) {
+      Promise.resolve(listener(event)).catch((err) =>
+        console.error("Error sending a review update:", err.message)
+      );
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (retryTimer || !subscribers.size) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      listen();
+    }, reconnectMs);
+    retryTimer.unref();
+  };
+
+  function listen() {
+    if (connection || connecting) return connecting;
+    connecting = db
+      .connect({
+        direct: true,
+        onLost: (err) => {
+          console.error("Lost the review updates connection:", err.message);
+          connection = null;
+          scheduleReconnect();
+        },
+      })
+      .then(async (conn) => {
+        conn.client.on("notification", dispatch);
+        await conn.none("LISTEN $1:name", [CHANNEL]);
+        connection = conn;
+      })
+      .catch((err) => {
+        console.error("Error listening for review updates:", err.message);
+        scheduleReconnect();
+      })
+      .finally(() => {
+        connecting = null;
+      });
+    return connecting;
+  }
+
+  // Calls listener(event) for each change to the movie's reviews until the
+  // returned function is called
+  function subscribe(movieId, listener) {
+    if (!subscribers.has(movieId)) subscribers.set(movieId, new Set());
+    subscribers.get(movieId).add(listener);
+    listen();
+
+    return () => {
+      const listeners = subscribers.get(movieId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (!listeners.size) subscribers.delete(movieId);
+    };
+  }
+
+  // Closes the connection (used on shutdown and in tests)
+  function stop() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    subscribers.clear();
+    if (connection) {
+      connection.done();
+      connection = null;
+    }
+  }
+
+  return { subscribe, stop, dispatch };
+}
+
+// One Server-Sent Events message
+function formatEvent(name, data) {
+  return `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { CHANNEL, parseChange, createReviewEvents, formatEvent };
@@ -0,0 +1,89 @@
+// *****************************************************
+// Login Throttling
+// *****************************************************
+// Counts failed sign-ins per username and per client IP within a rolling
+// window and locks that username or IP out for a while once it reaches the
+// limit. The IP limit is higher so a shared address (a campus network, say)
+// isn't locked out by one person's typos, but guessing across many
+// usernames from one address still gets stopped. State lives in Postgres
+// so every app process sees the same counts.
+
+const LIMITS = {
+  username: { maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15 },
+  ip: { maxFailures: 30, windowMinutes: 15, lockoutMinutes: 30 },
+};
+
+// Usernames are matched case-insensitively so "Ann" and "ann" share a count
+const usernameKey = (username) =>
+  username ? username.trim().toLowerCase().slice(0, 255) : null;
+
+// Resolves to the time the lockout ends, or null if sign-in is allowed
+async function lockedUntil(db, { username, ip }) {
+  const row = await db.one(
+    `SELECT MAX(locked_until) AS until
+     FROM login_throttles
+     WHERE locked_until > NOW()
+       AND ((scope = 'username' AND key = $1) OR (scope = 'ip' AND key = $2))`,
+    [usernameKey(username), ip || null]
+  );
+  return row.until;
+}
+
+// A failure past the window starts a new count; reaching the limit locks
+// the key and resets its count for when the lockout ends
+async function recordFailure(db, { username, ip }) {
+  const keys = [
+    ["username", usernameKey(username)],
+    ["ip", ip],
+  ].filter(([, key]) => key);
+
+  for (const [scope, key] of keys) {
+    const { maxFailures, windowMinutes, lockoutMinutes } = LIMITS[scope];
+    await db.none(
+      `INSERT INTO login_throttles AS lt (scope, key, failures)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (scope, key) DO UPDATE SET
+         failures = CASE
+           WHEN lt.window_started_at < NOW() - make_interval(mins => $4) THEN 1
+           ELSE lt.failures + 1
+         END,
+         window_started_at = CASE
+           WHEN lt.window_started_at < NOW() - make_interval(mins => $4) THEN NOW()
+           ELSE lt.window_started_at
+         END;
+
+       UPDATE login_throttles
+       SET locked_until = NOW() + make_interval(mins => $5),
+           failures = 0,
+           window_started_at = NOW()
+       WHERE scope = $1 AND key = $2 AND failures >= $3`,
+      [scope, key, maxFailures, windowMinutes, lockoutMinutes]
+    );
+  }
+}
+
+// A successful sign-in clears the username's count; the IP's count stands
+// so one good password can't reset a guessing run
+function clearFailures(db, { username }) {
+  return db.none(
+    "DELETE FROM login_throttles WHERE scope = 'username' AND key = $1",
+    [usernameKey(username)]
+  );
+}
+
+// Drops counts whose window and lockout have both run out
+function pruneThrottles(db) {
+  return db.result(
+    `DELETE FROM login_throttles
+     WHERE window_started_at < NOW() - INTERVAL '1 day'
+       AND (locked_until IS NULL OR locked_until < NOW())`
+  );
+}
+
+module.exports = {
+  LIMITS,
+  lockedUntil,
+  recordFailure,
+  clearFailures,
+  pruneThrottles,
+};
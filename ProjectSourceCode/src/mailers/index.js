@@ -0,0 +1,32 @@
+// *****************************************************
+// Mailers
+// *****************************************************
+// Every mailer exposes the same interface:
+//
+//   send({ to, subject, text })  -> resolves once the message is handed off
+//
+// MAILER picks the implementation. The outbox mailer is the default and
+// only writes messages to disk, which is all development needs; a real
+// delivery service plugs in as another case below.
+const path = require("path");
+const { createOutboxMailer } = require("./outbox");
+
+const DEFAULT_OUTBOX = path.join(__dirname, "..", "..", "outbox");
+const DEFAULT_FROM = "Movie Meter <no-reply@moviemeter.local>";
+
+function createMailer({ env = process.env } = {}) {
+  const name = env.MAILER || "outbox";
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  switch (name) {
+    case "outbox":
+      return createOutboxMailer({
+        dir: env.MAIL_OUTBOX || DEFAULT_OUTBOX,
+        from,
+      });
+    default:
+      throw new Error(`Unknown MAILER "${name}"`);
+  }
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,38 @@
+// *****************************************************
+// Outbox Mailer
+// *****************************************************
+// Writes each message to its own .eml file in a local directory instead of
+// sending it, so password reset links can be opened in development.
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+function createOutboxMailer({ dir, from }) {
+  async function send({ to, subject, text }) {
+    const date = new Date();
+    const file = path.join(
+      dir,
+      `${date.toISOString().replace(/[:.]/g, "-")}-${crypto
+        .randomBytes(3)
+        .toString("hex")}.eml`
+    );
+    const message = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${date.toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      text,
+    ].join("\r\n");
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, message);
+    console.log(`Mail for ${to} written to ${file}`);
+    return { file };
+  }
+
+  return { name: "outbox", send };
+}
+
+module.exports = { createOutboxMailer };
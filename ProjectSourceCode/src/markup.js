@@ -0,0 +1,251 @@
+// *****************************************************
+// Review Markup
+// *****************************************************
+// Reviews are written in a small Markdown-like subset:
+//
+//   a blank line        starts a new paragraph (single line breaks are kept)
+//   > quoted text       a block quote, one "> " per line; quotes nest up
+//                       to MAX_QUOTE_DEPTH levels
+//   *text* or _text_    emphasis
+//   **text**            strong emphasis
+//   [text](https://…)   a link; only http and https addresses are allowed
+//   ||text||            a spoiler, hidden until the reader clicks it
+//   \*                  a literal *, _, |, [, ], > or \
+//
+// renderMarkup() is the sanitizer: everything the author typed is escaped,
+// and the only markup on the page is what it writes out for the constructs
+// above, with no author-controlled attributes except a checked link
+// address. Anything it doesn't recognise shows up as plain text. Pages hide
+// spoilers with CSS; places without our stylesheet (feed readers) pass
+// hideSpoilers to have them left out of the HTML instead.
+// plainExcerpt() is the short, markup-free version for list views, with
+// spoilers left out. Both take the reader's locale for the words they add
+// (a spoiler's tooltip and placeholder).
+
+const { DEFAULT_LOCALE, translate } = require("./i18n");
+const { escapeHtml } = require("./escape");
+
+const EXCERPT_LENGTH = 200;
+// Deeper ">" markers are shown as typed. Each level is parsed and rendered
+// recursively, so without a cap a review of nothing but ">" could exhaust
+// the stack on every page that shows it.
+const MAX_QUOTE_DEPTH = 5;
+
+// Inline constructs, tried at each position in this order. Underscores
+// only count at word boundaries so snake_case stays as typed.
+const INLINE_RULES = [
+  { type: "escape", pattern: /\\([*_|[\]>\\])/y },
+  { type: "spoiler", pattern: /\|\|(?!\s)([\s\S]+?)\|\|/y },
+  { type: "strong", pattern: /\*\*(?!\s)([\s\S]+?)\*\*/y },
+  { type: "em", pattern: /\*(?![\s*])([\s\S]*?[^\s\\])\*/y },
+  {
+    type: "em",
+    pattern: /_(?![\s_])([\s\S]*?[^\s\\])_(?![\p{L}\p{N}])/uy,
+    wordStart: true,
+  },
+  { type: "link", pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/y },
+];
+
+// The address if it is an absolute http(s) URL, otherwise null
+function safeUrl(address) {
+  try {
+    const url = new URL(address);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Splits inline text into { type, text } and { type, children, href? }
+// nodes. Links can't contain links.
+function parseInline(text, { inLink = false } = {}) {
+  const nodes = [];
+  let plain = "";
+  let i = 0;
+
+  const flush = () => {
+    if (plain) nodes.push({ type: "text", text: plain });
+    plain = "";
+  };
+
+  while (i < text.length) {
+    const atWordStart = i === 0 || !/[\p{L}\p{N}]/u.test(text[i - 1]);
+    let matched = null;
+    for (const rule of INLINE_RULES) {
+      if (rule.type === "link" && inLink) continue;
+      if (rule.wordStart && !atWordStart) continue;
+      rule.pattern.lastIndex = i;
+      const match = rule.pattern.exec(text);
+      if (match) {
+        matched = { rule, match };
+        break;
+      }
+    }
+
+    if (!matched) {
+      plain += text[i++];
+      continue;
+    }
+
+    const { rule, match } = matched;
+    if (rule.type === "escape") {
+      plain += match[1];
+    } else if (rule.type === "link" && !safeUrl(match[2])) {
+      // Not an address we link to; keep the text and move past the bracket
+      plain += text[i];
+      i++;
+      continue;
+    } else {
+      flush();
+      const node = {
+        type: rule.type,
+        children: parseInline(match[1], {
+          inLink: inLink || rule.type === "link",
+        }),
+      };
+      if (rule.type === "link") node.href = safeUrl(match[2]);
+      nodes.push(node);
+    }
+    i += match[0].length;
+  }
+  flush();
+  return nodes;
+}
+
+// Splits the text into paragraph and quote blocks. Quotes hold blocks of
+// their own, so a quote can have several paragraphs.
+function parseBlocks(text, depth = 0) {
+  const blocks = [];
+  for (const chunk of text.split(/\n[ \t]*\n/)) {
+    const lines = chunk.split("\n");
+    let run = null;
+    for (const line of lines) {
+      const quoted = depth < MAX_QUOTE_DEPTH && /^[ \t]*>/.test(line);
+      const content = quoted ? line.replace(/^[ \t]*> ?/, "") : line;
+      if (!run || run.quoted !== quoted) {
+        run = { quoted, lines: [] };
+        blocks.push(run);
+      }
+      run.lines.push(content);
+    }
+    run = null;
+  }
+
+  return blocks
+    .map(({ quoted, lines }) => {
+      const content = lines.join("\n");
+      if (quoted) {
+        return { type: "quote", children: parseBlocks(content, depth + 1) };
+      }
+      const trimmed = content.trim();
+      return trimmed ? { type: "paragraph", text: trimmed } : null;
+    })
+    .filter((block) => block && (block.text || block.children.length));
+}
+
+function renderInline(nodes, options) {
+  return nodes
+    .map((node) => {
+      if (node.type === "spoiler" && options.hideSpoilers) {
+        return `<span class="spoiler">${escapeHtml(
+          translate(options.locale, "review.spoiler.placeholder")
+        )}</span>`;
+      }
+      const inner = node.children && renderInline(node.children, options);
+      switch (node.type) {
+        case "text":
+          return escapeHtml(node.text).replace(/\n/g, "<br>\n");
+        case "strong":
+          return `<strong>${inner}</strong>`;
+        case "em":
+          return `<em>${inner}</em>`;
+        case "spoiler":
+          return `<span class="spoiler" tabindex="0" title="${escapeHtml(
+            translate(options.locale, "review.spoiler.title")
+          )}">${inner}</span>`;
+        case "link":
+          return `<a href="${escapeHtml(
+            node.href
+          )}" rel="nofollow ugc noopener" target="_blank">${inner}</a>`;
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+function renderBlocks(blocks, options) {
+  return blocks
+    .map((block) =>
+      block.type === "quote"
+        ? `<blockquote>${renderBlocks(block.children, options)}</blockquote>`
+        : `<p>${renderInline(parseInline(block.text), options)}</p>`
+    )
+    .join("\n");
+}
+
+// Safe HTML for a review's text. With hideSpoilers, each spoiler is
+// replaced by a placeholder.
+function renderMarkup(
+  text,
+  { hideSpoilers = false, locale = DEFAULT_LOCALE } = {}
+) {
+  if (!text) return "";
+  return renderBlocks(parseBlocks(String(text).replace(/\r\n?/g, "\n")), {
+    hideSpoilers,
+    locale,
+  });
+}
+
+function plainInline(nodes, placeholder) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.text;
+      if (node.type === "spoiler") return placeholder;
+      return plainInline(node.children, placeholder);
+    })
+    .join("");
+}
+
+function plainBlocks(blocks, placeholder) {
+  return blocks
+    .map((block) =>
+      block.type === "quote"
+        ? plainBlocks(block.children, placeholder)
+        : plainInline(parseInline(block.text), placeholder)
+    )
+    .join(" ");
+}
+
+// The text without markup or spoilers, on one line and cut at a word
+// boundary to at most maxLength characters
+function plainExcerpt(
+  text,
+  maxLength = EXCERPT_LENGTH,
+  { locale = DEFAULT_LOCALE } = {}
+) {
+  if (!text) return "";
+  const plain = plainBlocks(
+    parseBlocks(String(text).replace(/\r\n?/g, "\n")),
+    translate(locale, "review.spoiler.placeholder")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+  if (plain.length <= maxLength) return plain;
+
+  const cut = plain.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(
+    /[\s.,;:!?-]+$/,
+    ""
+  )}…`;
+}
+
+module.exports = {
+  EXCERPT_LENGTH,
+  safeUrl,
+  renderMarkup,
+  plainExcerpt,
+};
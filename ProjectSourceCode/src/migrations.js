@@ -0,0 +1,172 @@
+// *****************************************************
+// Schema Migrations
+// *****************************************************
+// Versioned schema changes live in ProjectSourceCode/migrations as numbered
+// modules, e.g. 002_review_text_as_text.js, each exporting up(t) and
+// down(t). Both run inside a transaction. The schema_migrations table
+// records which versions have been applied.
+//
+// `npm run migrate` applies, lists and rolls back migrations (see
+// scripts/migrate.js); the app itself only checks that none are pending.
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Held while migrating so two runners can't apply the same version
+const LOCK_KEY = 160160;
+
+// Every migration on disk, oldest first
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== "function" || typeof down !== "function") {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+const label = ({ version, name }) =>
+  `${String(version).padStart(3, "0")}_${name}`;
+
+function ensureTable(db) {
+  return db.none(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+// Applied versions, oldest first. A database that has never been migrated
+// has no schema_migrations table and so nothing applied.
+async function loadApplied(db) {
+  const { exists } = await db.one(
+    "SELECT to_regclass('schema_migrations') IS NOT NULL AS exists"
+  );
+  if (!exists) return [];
+  return db.any(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+}
+
+// Every known migration with its applied_at (null when pending), plus
+// applied versions whose files are gone, flagged as missing
+async function migrationStatus(db, migrations = loadMigrations()) {
+  const applied = await loadApplied(db);
+  const appliedAt = new Map(applied.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((m) => m.version));
+
+  return [
+    ...migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: appliedAt.get(m.version)?.applied_at || null,
+      missing: false,
+    })),
+    ...applied
+      .filter((row) => !known.has(row.version))
+      .map((row) => ({
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+        missing: true,
+      })),
+  ].sort((a, b) => a.version - b.version);
+}
+
+async function pendingMigrations(db, migrations = loadMigrations()) {
+  const status = await migrationStatus(db, migrations);
+  return status.filter((m) => !m.appliedAt);
+}
+
+// Runs fn with the migration lock held on a single connection
+function withLock(db, fn) {
+  return db.task(async (t) => {
+    await t.one("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    try {
+      return await fn(t);
+    } finally {
+      await t.one("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+    }
+  });
+}
+
+// Applies every pending migration in order, each in its own transaction.
+// Returns the labels of those applied.
+function migrate(db, { migrations = loadMigrations(), log = () => {} } = {}) {
+  return withLock(db, async (t) => {
+    await ensureTable(t);
+    const applied = new Set((await loadApplied(t)).map((row) => row.version));
+    const done = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      await t.tx(async (tx) => {
+        await migration.up(tx);
+        await tx.none(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+          [migration.version, migration.name]
+        );
+      });
+      done.push(label(migration));
+      log(`Applied ${label(migration)}`);
+    }
+    return done;
+  });
+}
+
+// Undoes the most recently applied migrations, newest first. Returns the
+// labels of those rolled back.
+function rollback(
+  db,
+  { steps = 1, migrations = loadMigrations(), log = () => {} } = {}
+) {
+  return withLock(db, async (t) => {
+    const applied = (await loadApplied(t)).reverse().slice(0, steps);
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const done = [];
+
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(
+          `Can't roll back ${label(row)}: its migration file is missing`
+        );
+      }
+      await t.tx(async (tx) => {
+        await migration.down(tx);
+        await tx.none("DELETE FROM schema_migrations WHERE version = $1", [
+          migration.version,
+        ]);
+      });
+      done.push(label(migration));
+      log(`Rolled back ${label(migration)}`);
+    }
+    return done;
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  label,
+  migrationStatus,
+  pendingMigrations,
+  migrate,
+  rollback,
+};
@@ -0,0 +1,317 @@
+// *****************************************************
+// Moderation
+// *****************************************************
+// Roles rank user < moderator < admin. Anyone signed in can report someone
+// else's review; moderators work through the open reports, hide or restore
+// reviews and suspend accounts, and admins can also change roles. Every
+// moderator action goes into moderation_actions along with its note (and,
+// for a role change, the role given, as a key the log page translates).
+//
+// A hidden review stays in the database and stays visible to its author,
+// but everyone else's pages, the rating aggregates, search, the feed and
+// recommendations leave it out (see VISIBLE_REVIEW).
+
+const ROLES = ["user", "moderator", "admin"];
+
+// Roles, reasons and logged actions are labelled by the moderation.roles.*,
+// moderation.reasons.* and moderation.actions.* messages
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "spoilers",
+  "off_topic",
+  "other",
+];
+
+const MAX_NOTE_LENGTH = 500;
+const REPORT_QUEUE_SIZE = 50;
+const LOG_PAGE_SIZE = 25;
+
+// SQL condition for reviews (aliased r) that everyone may see
+const VISIBLE_REVIEW = "r.hidden_at IS NULL";
+
+// Whether a role is at least the one needed
+const hasRole = (role, needed) => ROLES.indexOf(role) >= ROLES.indexOf(needed);
+
+// Moderators act on plain members only; admins on anyone but themselves
+const canModerate = (actor, target) =>
+  actor.user_id !== target.user_id &&
+  ROLES.indexOf(actor.role) > ROLES.indexOf(target.role);
+
+function logAction(t, { moderatorId, action, userId, reviewId, note, role }) {
+  return t.none(
+    `INSERT INTO moderation_actions
+       (moderator_id, action, user_id, review_id, note, role)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      moderatorId,
+      action,
+      userId || null,
+      reviewId || null,
+      note || null,
+      role || null,
+    ]
+  );
+}
+
+// Resolves to the new report, or null when the review is the reporter's
+// own, already hidden or already reported by them
+function reportReview(db, { reviewId, reporterId, reason, details }) {
+  return db.oneOrNone(
+    `INSERT INTO review_reports (review_id, reporter_id, reason, details)
+     SELECT r.review_id, $2, $3, $4
+     FROM reviews r
+     WHERE r.review_id = $1 AND r.user_id <> $2 AND ${VISIBLE_REVIEW}
+     ON CONFLICT (review_id, reporter_id) WHERE resolved_at IS NULL DO NOTHING
+     RETURNING *`,
+    [reviewId, reporterId, reason, details || null]
+  );
+}
+
+// Reviews with open reports, most reported first, each with its reports
+async function loadReportQueue(db) {
+  const reviews = await db.any(
+    `SELECT r.review_id, r.rating, r.review_text, r.contains_spoilers,
+            r.updated_at, u.user_id AS author_id, u.username AS author, u.role AS author_role,
+            u.suspended_at IS NOT NULL AS author_suspended,
+            m.imdb_id, m.title,
+            COUNT(*)::int AS report_count, MIN(p.created_at) AS first_reported
+     FROM review_reports p
+     JOIN reviews r ON r.review_id = p.review_id
+     JOIN users u ON u.user_id = r.user_id
+     JOIN movies m ON m.movie_id = r.movie_id
+     WHERE p.resolved_at IS NULL
+     GROUP BY r.review_id, u.user_id, m.movie_id
+     ORDER BY report_count DESC, first_reported ASC
+     LIMIT $1`,
+    [REPORT_QUEUE_SIZE]
+  );
+  if (!reviews.length) return reviews;
+
+  const reports = await db.any(
+    `SELECT p.review_id, p.reason, p.details, p.created_at, u.username
+     FROM review_reports p
+     JOIN users u ON u.user_id = p.reporter_id
+     WHERE p.resolved_at IS NULL AND p.review_id IN ($1:csv)
+     ORDER BY p.created_at ASC`,
+    [reviews.map((review) => review.review_id)]
+  );
+  return reviews.map((review) => ({
+    ...review,
+    reports: reports.filter((report) => report.review_id === review.review_id),
+  }));
+}
+
+// Hidden reviews, most recently hidden first, so they can be restored
+function loadHiddenReviews(db, { limit = 20 } = {}) {
+  return db.any(
+    `SELECT r.review_id, r.rating, r.review_text, r.contains_spoilers,
+            r.hidden_at,
+            u.username AS author, m.imdb_id, m.title, h.username AS hidden_by
+     FROM reviews r
+     JOIN users u ON u.user_id = r.user_id
+     JOIN movies m ON m.movie_id = r.movie_id
+     LEFT JOIN users h ON h.user_id = r.hidden_by
+     WHERE r.hidden_at IS NOT NULL
+     ORDER BY r.hidden_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+}
+
+// Closes the review's open reports as "hidden" or "dismissed"
+function resolveReports(t, { reviewId, moderatorId, resolution }) {
+  return t.result(
+    `UPDATE review_reports
+     SET resolved_at = NOW(), resolved_by = $2, resolution = $3
+     WHERE review_id = $1 AND resolved_at IS NULL`,
+    [reviewId, moderatorId, resolution]
+  );
+}
+
+// Hides a review and closes its reports. Resolves to the review, or null
+// if it doesn't exist or is already hidden.
+function hideReview(db, { reviewId, moderatorId, note }) {
+  return db.tx(async (t) => {
+    const review = await t.oneOrNone(
+      `UPDATE reviews SET hidden_at = NOW(), hidden_by = $2
+       WHERE review_id = $1 AND hidden_at IS NULL
+       RETURNING review_id, user_id`,
+      [reviewId, moderatorId]
+    );
+    if (!review) return null;
+
+    await resolveReports(t, { reviewId, moderatorId, resolution: "hidden" });
+    await logAction(t, {
+      moderatorId,
+      action: "hide_review",
+      userId: review.user_id,
+      reviewId,
+      note,
+    });
+    return review;
+  });
+}
+
+// Resolves to the review, or null if it doesn't exist or isn't hidden
+function restoreReview(db, { reviewId, moderatorId, note }) {
+  return db.tx(async (t) => {
+    const review = await t.oneOrNone(
+      `UPDATE reviews SET hidden_at = NULL, hidden_by = NULL
+       WHERE review_id = $1 AND hidden_at IS NOT NULL
+       RETURNING review_id, user_id`,
+      [reviewId]
+    );
+    if (!review) return null;
+
+    await logAction(t, {
+      moderatorId,
+      action: "restore_review",
+      userId: review.user_id,
+      reviewId,
+      note,
+    });
+    return review;
+  });
+}
+
+// Leaves the review up and closes its reports. Resolves to the number of
+// reports closed.
+function dismissReports(db, { reviewId, moderatorId, note }) {
+  return db.tx(async (t) => {
+    const { rowCount } = await resolveReports(t, {
+      reviewId,
+      moderatorId,
+      resolution: "dismissed",
+    });
+    if (rowCount) {
+      await logAction(t, {
+        moderatorId,
+        action: "dismiss_reports",
+        reviewId,
+        note,
+      });
+    }
+    return rowCount;
+  });
+}
+
+// The account as moderation sees it, or null
+function findAccount(db, { userId, username }) {
+  return db.oneOrNone(
+    `SELECT user_id, username, role, suspended_at, suspension_reason,
+            (SELECT COUNT(*)::int FROM reviews r WHERE r.user_id = u.user_id)
+              AS review_count,
+            (SELECT COUNT(*)::int FROM reviews r
+             WHERE r.user_id = u.user_id AND r.hidden_at IS NOT NULL)
+              AS hidden_count
+     FROM users u
+     WHERE u.user_id = $1 OR u.username = $2`,
+    [userId || null, username || null]
+  );
+}
+
+// Suspended accounts can't sign in or use API tokens. Ending their open
+// sessions is left to the caller. Resolves to true if the account was
+// suspended by this call.
+function suspendUser(db, { userId, moderatorId, reason }) {
+  return db.tx(async (t) => {
+    const result = await t.result(
+      `UPDATE users SET suspended_at = NOW(), suspension_reason = $2
+       WHERE user_id = $1 AND suspended_at IS NULL`,
+      [userId, reason || null]
+    );
+    if (!result.rowCount) return false;
+
+    await logAction(t, {
+      moderatorId,
+      action: "suspend_user",
+      userId,
+      note: reason,
+    });
+    return true;
+  });
+}
+
+function unsuspendUser(db, { userId, moderatorId, note }) {
+  return db.tx(async (t) => {
+    const result = await t.result(
+      `UPDATE users SET suspended_at = NULL, suspension_reason = NULL
+       WHERE user_id = $1 AND suspended_at IS NOT NULL`,
+      [userId]
+    );
+    if (!result.rowCount) return false;
+
+    await logAction(t, {
+      moderatorId,
+      action: "unsuspend_user",
+      userId,
+      note,
+    });
+    return true;
+  });
+}
+
+function setRole(db, { userId, moderatorId, role, note }) {
+  return db.tx(async (t) => {
+    const result = await t.result(
+      "UPDATE users SET role = $2 WHERE user_id = $1 AND role <> $2",
+      [userId, role]
+    );
+    if (!result.rowCount) return false;
+
+    await logAction(t, {
+      moderatorId,
+      action: "set_role",
+      userId,
+      role,
+      note,
+    });
+    return true;
+  });
+}
+
+// One page of the audit log, newest first. Resolves to { actions, total }.
+async function loadAuditLog(db, { page = 1 } = {}) {
+  const rows = await db.any(
+    `SELECT a.action_id, a.action, a.role, a.note, a.created_at, a.review_id,
+            mu.username AS moderator, u.username AS target,
+            m.imdb_id, m.title,
+            COUNT(*) OVER() AS total_count
+     FROM moderation_actions a
+     LEFT JOIN users mu ON mu.user_id = a.moderator_id
+     LEFT JOIN users u ON u.user_id = a.user_id
+     LEFT JOIN reviews r ON r.review_id = a.review_id
+     LEFT JOIN movies m ON m.movie_id = r.movie_id
+     ORDER BY a.created_at DESC, a.action_id DESC
+     LIMIT $1 OFFSET $2`,
+    [LOG_PAGE_SIZE, (page - 1) * LOG_PAGE_SIZE]
+  );
+  return {
+    actions: rows.map(({ total_count, ...action }) => action),
+    total: rows.length ? Number(rows[0].total_count) : 0,
+  };
+}
+
+module.exports = {
+  ROLES,
+  REPORT_REASONS,
+  MAX_NOTE_LENGTH,
+  LOG_PAGE_SIZE,
+  VISIBLE_REVIEW,
+  hasRole,
+  logAction,
+  canModerate,
+  reportReview,
+  loadReportQueue,
+  loadHiddenReviews,
+  hideReview,
+  restoreReview,
+  dismissReports,
+  findAccount,
+  suspendUser,
+  unsuspendUser,
+  setRole,
+  loadAuditLog,
+};
@@ -0,0 +1,321 @@
+// *****************************************************
+// Notifications
+// *****************************************************
+// The routes report what happened through notify(); RECIPIENTS says who
+// hears about each type of event. Nobody is told about their own actions
+// or about a type they opted out of, and repeating an action (taking back
+// a helpful vote and casting it again, unfollowing and following again)
+// doesn't notify twice.
+//
+// Users who turn on the daily digest also get their unread notifications
+// by email, at most once a day, through the pluggable mailer.
+//
+// Notification text is worded in the reader's language when it's shown (or
+// emailed), so it follows a change of language setting.
+const { VISIBLE_REVIEW } = require("./moderation");
+const { DEFAULT_LOCALE, translate } = require("./i18n");
+const { startIntervalJob } = require("./jobs");
+
+// Each type with the catalog key of its label on the preferences form
+const TYPES = {
+  watchlist_review: "notifications.types.watchlist_review",
+  review_comment: "notifications.types.review_comment",
+  comment_reply: "notifications.types.comment_reply",
+  review_helpful: "notifications.types.review_helpful",
+  follow: "notifications.types.follow",
+};
+
+const PAGE_SIZE = 30;
+const DIGEST_SIZE = 20;
+
+// For each type, SQL for the recipients' user_ids given the event's
+// $<reviewId>, $<commentId> and $<userId>
+const RECIPIENTS = {
+  watchlist_review: `SELECT w.user_id FROM user_list w
+    JOIN reviews r ON r.movie_id = w.movie_id
+    WHERE r.review_id = $<reviewId> AND ${VISIBLE_REVIEW}`,
+  // Review authors replying in a thread hear about it as comment_reply
+  review_comment: `SELECT r.user_id FROM review_comments c
+    JOIN reviews r ON r.review_id = c.review_id
+    LEFT JOIN review_comments p ON p.comment_id = c.parent_id
+    WHERE c.comment_id = $<commentId>
+      AND (p.user_id IS NULL OR p.user_id <> r.user_id)`,
+  comment_reply: `SELECT p.user_id FROM review_comments c
+    JOIN review_comments p ON p.comment_id = c.parent_id
+    WHERE c.comment_id = $<commentId>`,
+  review_helpful: `SELECT r.user_id FROM reviews r
+    WHERE r.review_id = $<reviewId>`,
+  follow: "SELECT $<userId>::int AS user_id",
+};
+
+// The producer hook. event is { type, actorId } plus what it is about:
+// reviewId (watchlist_review, review_helpful), commentId (review_comment,
+// comment_reply; reviewId too, for the link) or userId, the person followed.
+// Resolves to the number of notifications created.
+async function notify(db, { type, actorId, reviewId, commentId, userId }) {
+  if (!RECIPIENTS[type]) throw new Error(`Unknown notification type: ${type}`);
+  const result = await db.result(
+    `INSERT INTO notifications (user_id, type, actor_id, review_id, comment_id)
+     SELECT DISTINCT recipient.user_id, $<type>, $<actorId>,
+            $<reviewId>::int, $<commentId>::int
+     FROM (${RECIPIENTS[type]}) recipient
+     WHERE recipient.user_id <> $<actorId>
+       AND NOT EXISTS (
+         SELECT 1 FROM notification_opt_outs o
+         WHERE o.user_id = recipient.user_id AND o.type = $<type>
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM notifications n
+         WHERE n.user_id = recipient.user_id AND n.type = $<type>
+           AND n.actor_id = $<actorId>
+           AND n.review_id IS NOT DISTINCT FROM $<reviewId>::int
+           AND n.comment_id IS NOT DISTINCT FROM $<commentId>::int
+       )`,
+    {
+      type,
+      actorId,
+      reviewId: reviewId || null,
+      commentId: commentId || null,
+      userId: userId || null,
+    }
+  );
+  return result.rowCount;
+}
+
+// What a notification says, in locale, and where it links to
+function describe(notification, locale = DEFAULT_LOCALE) {
+  const { type, actor, title, imdb_id, review_id } = notification;
+  if (!TYPES[type]) {
+    return {
+      text: translate(locale, "notifications.text.other", { actor }),
+      href: "/notifications",
+    };
+  }
+  return {
+    text: translate(locale, `notifications.text.${type}`, { actor, title }),
+    href:
+      type === "follow"
+        ? `/users/${encodeURIComponent(actor)}`
+        : `/reviews?imdbID=${encodeURIComponent(imdb_id)}#review-${review_id}`,
+  };
+}
+
+const NOTIFICATION_COLUMNS = `n.notification_id, n.type, n.review_id,
+  n.created_at, n.read_at, a.username AS actor, m.title, m.imdb_id`;
+
+const NOTIFICATION_JOINS = `JOIN users a ON a.user_id = n.actor_id
+  LEFT JOIN reviews r ON r.review_id = n.review_id
+  LEFT JOIN movies m ON m.movie_id = r.movie_id`;
+
+const withText = (rows, locale) =>
+  rows.map((row) => ({ ...row, ...describe(row, locale) }));
+
+async function unreadCount(db, userId) {
+  const row = await db.one(
+    `SELECT COUNT(*)::int AS count FROM notifications
+     WHERE user_id = $1 AND read_at IS NULL`,
+    [userId]
+  );
+  return row.count;
+}
+
+// One page of the user's notifications, newest first. Resolves to
+// { notifications, total }.
+async function loadNotifications(db, userId, { page = 1, locale } = {}) {
+  const rows = await db.any(
+    `SELECT ${NOTIFICATION_COLUMNS}, COUNT(*) OVER() AS total_count
+     FROM notifications n
+     ${NOTIFICATION_JOINS}
+     WHERE n.user_id = $1
+     ORDER BY n.created_at DESC, n.notification_id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, PAGE_SIZE, (page - 1) * PAGE_SIZE]
+  );
+  return {
+    notifications: withText(
+      rows.map(({ total_count, ...row }) => row),
+      locale
+    ),
+    total: rows.length ? Number(rows[0].total_count) : 0,
+  };
+}
+
+// Marks one of the user's notifications read. Resolves to it (with text
+// and href), or null if it isn't theirs.
+async function markRead(db, { userId, notificationId }) {
+  const row = await db.oneOrNone(
+    `WITH marked AS (
+       UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE notification_id = $2 AND user_id = $1
+       RETURNING *
+     )
+     SELECT ${NOTIFICATION_COLUMNS}
+     FROM marked n
+     ${NOTIFICATION_JOINS}`,
+    [userId, notificationId]
+  );
+  return row && withText([row])[0];
+}
+
+// Resolves to the number of notifications marked read
+async function markAllRead(db, userId) {
+  const result = await db.result(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = $1 AND read_at IS NULL`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
+// Resolves to { types: [{ type, label, enabled }], digest, hasEmail }, with
+// labels in locale
+async function loadPreferences(db, userId, { locale } = {}) {
+  const [user, optOuts] = await Promise.all([
+    db.one("SELECT notification_digest, email FROM users WHERE user_id = $1", [
+      userId,
+    ]),
+    db.any("SELECT type FROM notification_opt_outs WHERE user_id = $1", [
+      userId,
+    ]),
+  ]);
+  const off = new Set(optOuts.map((row) => row.type));
+  return {
+    types: Object.entries(TYPES).map(([type, label]) => ({
+      type,
+      label: translate(locale, label),
+      enabled: !off.has(type),
+    })),
+    digest: user.notification_digest,
+    hasEmail: !!user.email,
+  };
+}
+
+// enabled lists the types the user still wants; every other type is
+// switched off
+function savePreferences(db, { userId, enabled, digest }) {
+  const off = Object.keys(TYPES).filter((type) => !enabled.includes(type));
+  return db.tx(async (t) => {
+    await t.none("DELETE FROM notification_opt_outs WHERE user_id = $1", [
+      userId,
+    ]);
+    if (off.length) {
+      await t.none(
+        `INSERT INTO notification_opt_outs (user_id, type)
+         SELECT $1, type FROM UNNEST($2::text[]) AS type`,
+        [userId, off]
+      );
+    }
+    await t.none(
+      "UPDATE users SET notification_digest = $2 WHERE user_id = $1",
+      [userId, !!digest]
+    );
+  });
+}
+
+// Plain-text digest email for a user and their notifications
+function digestEmail({
+  username,
+  notifications,
+  unread,
+  baseUrl,
+  locale = DEFAULT_LOCALE,
+}) {
+  const t = (key, params) => translate(locale, key, params);
+  const lines = notifications.map(
+    (notification) => `- ${notification.text}\n  ${baseUrl}${notification.href}`
+  );
+  const more = unread - notifications.length;
+  return {
+    subject: t("digest.subject", { count: unread }),
+    text: [
+      t("digest.greeting", { username }),
+      "",
+      t("digest.intro"),
+      "",
+      ...lines,
+      ...(more > 0 ? ["", t("digest.more", { count: more })] : []),
+      "",
+      t("digest.seeAll", { url: `${baseUrl}/notifications` }),
+      t("digest.turnOff", { url: `${baseUrl}/notifications#preferences` }),
+    ].join("\n"),
+  };
+}
+
+// Emails everyone who wants a digest, hasn't had one in the last day and
+// has unread notifications not in an earlier one. Resolves to the number
+// of digests sent.
+async function sendDigests(db, mailer, { baseUrl }) {
+  const users = await db.any(
+    `SELECT u.user_id, u.username, u.email, u.language
+     FROM users u
+     WHERE u.notification_digest AND u.email IS NOT NULL
+       AND u.delete_after IS NULL AND u.suspended_at IS NULL
+       AND (u.digest_sent_at IS NULL
+            OR u.digest_sent_at <= NOW() - INTERVAL '1 day')
+       AND EXISTS (
+         SELECT 1 FROM notifications n
+         WHERE n.user_id = u.user_id AND n.read_at IS NULL
+           AND n.emailed_at IS NULL
+       )`
+  );
+
+  let sent = 0;
+  for (const user of users) {
+    const rows = await db.any(
+      `SELECT ${NOTIFICATION_COLUMNS}, COUNT(*) OVER() AS total_count
+       FROM notifications n
+       ${NOTIFICATION_JOINS}
+       WHERE n.user_id = $1 AND n.read_at IS NULL AND n.emailed_at IS NULL
+       ORDER BY n.created_at DESC
+       LIMIT $2`,
+      [user.user_id, DIGEST_SIZE]
+    );
+    if (!rows.length) continue;
+
+    await mailer.send({
+      to: user.email,
+      ...digestEmail({
+        username: user.username,
+        notifications: withText(rows, user.language),
+        unread: Number(rows[0].total_count),
+        baseUrl,
+        locale: user.language || DEFAULT_LOCALE,
+      }),
+    });
+    await db.none(
+      `UPDATE notifications SET emailed_at = NOW()
+       WHERE user_id = $1 AND read_at IS NULL AND emailed_at IS NULL;
+       UPDATE users SET digest_sent_at = NOW() WHERE user_id = $1`,
+      [user.user_id]
+    );
+    sent++;
+  }
+  return sent;
+}
+
+function startDigestJob(db, { mailer, baseUrl, intervalMs }) {
+  return startIntervalJob(async () => {
+    try {
+      const sent = await sendDigests(db, mailer, { baseUrl });
+      if (sent) console.log(`Notification digests sent: ${sent}`);
+    } catch (err) {
+      console.error("Error sending notification digests:", err.message);
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  TYPES,
+  PAGE_SIZE,
+  notify,
+  describe,
+  unreadCount,
+  loadNotifications,
+  markRead,
+  markAllRead,
+  loadPreferences,
+  savePreferences,
+  digestEmail,
+  sendDigests,
+  startDigestJob,
+};
@@ -0,0 +1,124 @@
+// *****************************************************
+// OMDb Lookup Cache
+// *****************************************************
+// Stores OMDb responses in the omdb_cache table so repeat lookups (the
+// Discover rows especially) don't hit the API on every page view.
+//
+// - Fresh entries (younger than ttl) are served straight from Postgres.
+// - Stale entries (within ttl + staleTtl) are served immediately while a
+//   background refresh updates the row.
+// - Concurrent lookups for the same key share one in-flight request.
+// - If a refresh fails or times out, any stored copy is served instead.
+
+function createOmdbCache(db) {
+  const inFlight = new Map();
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    coalesced: 0,
+    fallbacks: 0,
+    errors: 0,
+  };
+
+  async function read(key) {
+    try {
+      return await db.oneOrNone(
+        "SELECT payload, fetched_at FROM omdb_cache WHERE cache_key = $1",
+        [key]
+      );
+    } catch (err) {
+      console.error(`Cache read failed for ${key}:`, err.message);
+      return null;
+    }
+  }
+
+  async function write(key, payload) {
+    try {
+      await db.none(
+        `INSERT INTO omdb_cache (cache_key, payload, fetched_at)
+         VALUES ($1, $2:json, NOW())
+         ON CONFLICT (cache_key)
+         DO UPDATE SET payload = EXCLUDED.payload, fetched_at = NOW()`,
+        [key, payload]
+      );
+    } catch (err) {
+      console.error(`Cache write failed for ${key}:`, err.message);
+    }
+  }
+
+  // Runs the loader once per key no matter how many callers are waiting
+  function refresh(key, loader) {
+    if (inFlight.has(key)) {
+      stats.coalesced++;
+      return inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      const value = await loader();
+      await write(key, value);
+      return value;
+    })().finally(() => inFlight.delete(key));
+
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  // ttl may be a number of ms or a function of the cached value, so that
+  // e.g. "not found" answers can expire sooner than real results.
+  async function get(key, { ttl, staleTtl = 0 }, loader) {
+    const row = await read(key);
+    let age = Infinity;
+    let freshFor = 0;
+
+    if (row) {
+      age = Date.now() - new Date(row.fetched_at).getTime();
+      freshFor = typeof ttl === "function" ? ttl(row.payload) : ttl;
+    }
+
+    if (age < freshFor) {
+      stats.hits++;
+      return row.payload;
+    }
+
+    if (age < freshFor + staleTtl) {
+      stats.staleHits++;
+      refresh(key, loader).catch((err) =>
+        console.error(`Background refresh failed for ${key}:`, err.message)
+      );
+      return row.payload;
+    }
+
+    stats.misses++;
+    try {
+      return await refresh(key, loader);
+    } catch (err) {
+      if (row) {
+        stats.fallbacks++;
+        console.warn(`Serving stale ${key} after error:`, err.message);
+        return row.payload;
+      }
+      stats.errors++;
+      throw err;
+    }
+  }
+
+  async function getStats() {
+    const { entries } = await db.one(
+      "SELECT COUNT(*)::int AS entries FROM omdb_cache"
+    );
+    return { ...stats, inFlight: inFlight.size, entries };
+  }
+
+  // Drops rows nobody has refreshed in a long time
+  function prune(maxAge) {
+    return db.result(
+      "DELETE FROM omdb_cache WHERE fetched_at < NOW() - $1 * INTERVAL '1 millisecond'",
+      [maxAge]
+    );
+  }
+
+  return { get, getStats, prune };
+}
+
+module.exports = { createOmdbCache };
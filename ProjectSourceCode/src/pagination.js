@@ -0,0 +1,50 @@
+// *****************************************************
+// Page Navigation
+// *****************************************************
+// Offset pagination for the HTML pages. Page links keep the rest of the
+// query string (search terms, filters, sort) and only change their own page
+// parameter, so a page can have more than one paged section.
+
+// A page number from the query string, 1 when missing or invalid
+function parsePage(value) {
+  return Math.max(parseInt(value, 10) || 1, 1);
+}
+
+// Context for the pagination partial, or null when everything fits on a
+// single page. anchor, if given, is appended as a #fragment so the browser
+// returns to the paged section.
+function pager({
+  path,
+  query = {},
+  param = "page",
+  anchor,
+  page,
+  perPage,
+  total,
+}) {
+  const totalPages = Math.ceil(total / perPage);
+  if (totalPages <= 1 && page <= 1) return null;
+
+  const href = (n) => {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(query)) {
+      if (name !== param && typeof value === "string" && value !== "") {
+        params.append(name, value);
+      }
+    }
+    if (n > 1) params.set(param, n);
+    const search = params.toString();
+    return `${path}${search ? `?${search}` : ""}${anchor ? `#${anchor}` : ""}`;
+  };
+
+  return {
+    page,
+    totalPages,
+    pastEnd: page > totalPages,
+    // Past the end, "previous" goes back to the last real page
+    prevHref: page > 1 ? href(Math.min(page - 1, totalPages || 1)) : null,
+    nextHref: page < totalPages ? href(page + 1) : null,
+  };
+}
+
+module.exports = { parsePage, pager };
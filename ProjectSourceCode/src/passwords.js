@@ -0,0 +1,182 @@
+// *****************************************************
+// Passwords & Reset Links
+// *****************************************************
+// Changing a password, and resetting a forgotten one through an emailed
+// link. A link carries a random token of which only the SHA-256 hash is
+// stored; it works once, expires after RESET_TOKEN_TTL_MINUTES, and is
+// void as soon as the password changes by any route.
+//
+// A new password also revokes the account's API tokens: anyone who had
+// the old password could have made one, and it would outlive the change.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { DEFAULT_LOCALE, translate, message } = require("./i18n");
+
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything past 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const MAX_EMAIL_LENGTH = 255;
+const RESET_TOKEN_TTL_MINUTES = 60;
+// One reset email per account per this many minutes, so the form can't be
+// used to flood someone's inbox
+const RESET_EMAIL_COOLDOWN_MINUTES = 5;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Resolves to null for a usable password, else a message() saying why not
+function validatePassword(password, confirmation) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return message("password.errors.tooShort", { count: MIN_PASSWORD_LENGTH });
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return message("password.errors.tooLong");
+  }
+  if (confirmation !== undefined && password !== confirmation) {
+    return message("password.errors.mismatch");
+  }
+  return null;
+}
+
+function validateEmail(email) {
+  if (
+    !email ||
+    email.length > MAX_EMAIL_LENGTH ||
+    !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+  ) {
+    return message("password.errors.invalidEmail");
+  }
+  return null;
+}
+
+// Stores a new password and voids any outstanding reset links and API
+// tokens
+async function setPassword(db, userId, password) {
+  const hash = await bcrypt.hash(password, 10);
+  await db.tx(async (t) => {
+    await t.none("UPDATE users SET password = $2 WHERE user_id = $1", [
+      userId,
+      hash,
+    ]);
+    await t.none("DELETE FROM password_reset_tokens WHERE user_id = $1", [
+      userId,
+    ]);
+    await t.none("DELETE FROM api_tokens WHERE user_id = $1", [userId]);
+  });
+}
+
+// The reset email's { subject, text } in the account owner's language
+function resetEmail({ username, url, locale = DEFAULT_LOCALE }) {
+  const t = (key, params) => translate(locale, key, params);
+  return {
+    subject: t("resetEmail.subject"),
+    text: [
+      t("resetEmail.greeting", { username }),
+      "",
+      t("resetEmail.intro"),
+      t("resetEmail.choose"),
+      "",
+      url,
+      "",
+      t("resetEmail.expires", { count: RESET_TOKEN_TTL_MINUTES }),
+      t("resetEmail.ignore"),
+    ].join("\n"),
+  };
+}
+
+// Emails a reset link to the account with this username or email address,
+// if it has an address on file. Resolves the same way whether or not one
+// was sent, so the form doesn't reveal who has an account. The email is in
+// the language the account picked, else the one the form was shown in.
+async function requestPasswordReset(db, mailer, { login, baseUrl, locale }) {
+  const user = await db.oneOrNone(
+    `SELECT u.user_id, u.username, u.email, u.language
+     FROM users u
+     WHERE (u.username = $1 OR LOWER(u.email) = LOWER($1))
+       AND u.email IS NOT NULL AND u.delete_after IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM password_reset_tokens p
+         WHERE p.user_id = u.user_id
+           AND p.created_at > NOW() - make_interval(mins => $2)
+       )`,
+    [(login || "").trim(), RESET_EMAIL_COOLDOWN_MINUTES]
+  );
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await db.none(
+    `INSERT INTO password_reset_tokens (token_hash, user_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [hashToken(token), user.user_id, RESET_TOKEN_TTL_MINUTES]
+  );
+
+  await mailer.send({
+    to: user.email,
+    ...resetEmail({
+      username: user.username,
+      url: `${baseUrl}/password/reset/${token}`,
+      locale: user.language || locale,
+    }),
+  });
+  console.log(`Password reset link sent for ${user.username}`);
+}
+
+// Resolves to the token's { user_id, username } if it can still be used
+function findResetToken(db, token) {
+  return db.oneOrNone(
+    `SELECT u.user_id, u.username
+     FROM password_reset_tokens p
+     JOIN users u ON u.user_id = p.user_id
+     WHERE p.token_hash = $1 AND p.used_at IS NULL AND p.expires_at > NOW()`,
+    [hashToken(token || "")]
+  );
+}
+
+// Spends the token, sets the new password and revokes the account's API
+// tokens in one go. Resolves to the account's { user_id, username }, or
+// null if the link was already used, has expired or never existed.
+async function resetPassword(db, { token, password }) {
+  const hash = await bcrypt.hash(password, 10);
+  return db.tx(async (t) => {
+    const user = await t.oneOrNone(
+      `UPDATE password_reset_tokens p SET used_at = NOW()
+       FROM users u
+       WHERE p.token_hash = $1 AND p.used_at IS NULL AND p.expires_at > NOW()
+         AND u.user_id = p.user_id
+       RETURNING u.user_id, u.username`,
+      [hashToken(token || "")]
+    );
+    if (!user) return null;
+
+    await t.none("UPDATE users SET password = $2 WHERE user_id = $1", [
+      user.user_id,
+      hash,
+    ]);
+    await t.none(
+      "DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL",
+      [user.user_id]
+    );
+    await t.none("DELETE FROM api_tokens WHERE user_id = $1", [user.user_id]);
+    return user;
+  });
+}
+
+// Drops links a day after they expire
+function pruneResetTokens(db) {
+  return db.result(
+    "DELETE FROM password_reset_tokens WHERE expires_at < NOW() - INTERVAL '1 day'"
+  );
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  RESET_TOKEN_TTL_MINUTES,
+  validatePassword,
+  validateEmail,
+  setPassword,
+  resetEmail,
+  requestPasswordReset,
+  findResetToken,
+  resetPassword,
+  pruneResetTokens,
+};
@@ -0,0 +1,112 @@
+// *****************************************************
+// Profile Queries
+// *****************************************************
+// The same watchlist, review, top-rated and diary queries back both the
+// signed-in user's own /profile and everyone's /users/:username page. Who
+// may see a profile depends on the owner's profile_visibility setting. The
+// watchlist and reviews are paged separately. Reviews hidden by a
+// moderator only show on the owner's own profile.
+const { loadDiary } = require("./watchlist");
+const { VISIBLE_REVIEW } = require("./moderation");
+const { HELPFUL_COUNT, COMMENT_COUNT } = require("./discussion");
+
+// Labels are the profile.visibility.* messages
+const VISIBILITIES = ["public", "followers", "private"];
+
+const WATCHLIST_PAGE_SIZE = 20;
+const REVIEWS_PAGE_SIZE = 10;
+
+// The sort buttons' text is the profile.sorts.* messages
+const REVIEW_SORTS = {
+  rating_desc: { orderBy: "r.rating DESC, m.title ASC" },
+  rating_asc: { orderBy: "r.rating ASC, m.title ASC" },
+  date_desc: { orderBy: "r.updated_at DESC, m.title ASC" },
+  date_asc: { orderBy: "r.updated_at ASC, m.title ASC" },
+  title_asc: { orderBy: "m.title ASC, m.release_year ASC" },
+  year_desc: { orderBy: "m.release_year DESC NULLS LAST, m.title ASC" },
+};
+
+// Whether the viewer (null when signed out) may see the owner's profile.
+// isFollower says whether the viewer follows the owner.
+function canViewProfile(owner, viewerId, isFollower) {
+  if (viewerId && viewerId === owner.user_id) return true;
+  if (owner.profile_visibility === "public") return true;
+  return owner.profile_visibility === "followers" && !!isFollower;
+}
+
+// total_count rides along on each row (COUNT(*) OVER()); pull it off
+const withTotal = (rows) => ({
+  rows: rows.map(({ total_count, ...row }) => row),
+  total: rows.length ? Number(rows[0].total_count) : 0,
+});
+
+async function loadProfile(
+  db,
+  userId,
+  { sort, watchlistPage = 1, reviewsPage = 1, includeHidden = false } = {}
+) {
+  const reviewSort = REVIEW_SORTS[sort] ? sort : "rating_desc";
+  const visible = includeHidden ? "" : `AND ${VISIBLE_REVIEW}`;
+
+  const [watchlist, reviews, topMovies, diary] = await Promise.all([
+    db.any(
+      `SELECT m.imdb_id, m.title, m.release_year, ul.priority,
+              COUNT(*) OVER() AS total_count
+       FROM user_list ul
+       JOIN movies m ON ul.movie_id = m.movie_id
+       WHERE ul.user_id = $1
+       ORDER BY ul.priority ASC, ul.position ASC
+       LIMIT $2 OFFSET $3`,
+      [userId, WATCHLIST_PAGE_SIZE, (watchlistPage - 1) * WATCHLIST_PAGE_SIZE]
+    ),
+
+    db.any(
+      `SELECT r.review_id, m.imdb_id, m.title, m.release_year, r.rating,
+              r.review_text, r.contains_spoilers, r.updated_at,
+              r.updated_at > r.created_at AS edited,
+              r.hidden_at IS NOT NULL AS hidden,
+              ${HELPFUL_COUNT} AS helpful_count, ${COMMENT_COUNT} AS comment_count,
+              COUNT(*) OVER() AS total_count
+       FROM reviews r
+       JOIN movies m ON r.movie_id = m.movie_id
+       WHERE r.user_id = $1 ${visible}
+       ORDER BY ${REVIEW_SORTS[reviewSort].orderBy}, r.review_id ASC
+       LIMIT $2 OFFSET $3`,
+      [userId, REVIEWS_PAGE_SIZE, (reviewsPage - 1) * REVIEWS_PAGE_SIZE]
+    ),
+
+    db.any(
+      `SELECT m.imdb_id, m.title, m.release_year, r.rating, r.updated_at
+       FROM reviews r
+       JOIN movies m ON r.movie_id = m.movie_id
+       WHERE r.user_id = $1 ${visible}
+       ORDER BY r.rating DESC, r.updated_at DESC, m.title ASC
+       LIMIT 10`,
+      [userId]
+    ),
+
+    loadDiary(db, userId),
+  ]);
+
+  const watchlistPaged = withTotal(watchlist);
+  const reviewsPaged = withTotal(reviews);
+
+  return {
+    watchlist: watchlistPaged.rows,
+    watchlistTotal: watchlistPaged.total,
+    reviews: reviewsPaged.rows,
+    reviewsTotal: reviewsPaged.total,
+    topMovies,
+    diary,
+    sort: reviewSort,
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  REVIEW_SORTS,
+  WATCHLIST_PAGE_SIZE,
+  REVIEWS_PAGE_SIZE,
+  canViewProfile,
+  loadProfile,
+};
@@ -0,0 +1,67 @@
+// *****************************************************
+// Fixture Movie Provider
+// *****************************************************
+// Serves movie metadata from a JSON file of OMDb-shaped records, so tests
+// and local development work without network access or an API key.
+const fs = require("fs");
+
+// Same page size as OMDb searches
+const PAGE_SIZE = 10;
+
+function toMovie(record) {
+  return {
+    Title: record.Title,
+    Year: record.Year,
+    Poster: record.Poster || null,
+    Plot: record.Plot || null,
+    Genre: record.Genre || null,
+    Director: record.Director || null,
+    imdbID: record.imdbID,
+    imdbRating: record.imdbRating || null,
+    url: `https://www.imdb.com/title/${record.imdbID}`,
+  };
+}
+
+function createFixtureProvider({ file }) {
+  const records = JSON.parse(fs.readFileSync(file, "utf8"));
+  const normalize = (value) => String(value).trim().toLowerCase();
+
+  async function searchPage(query, page) {
+    const needle = normalize(query);
+    const matches = records.filter((record) =>
+      normalize(record.Title).includes(needle)
+    );
+    const start = (page - 1) * PAGE_SIZE;
+    return {
+      movies: matches.slice(start, start + PAGE_SIZE).map(toMovie),
+      total: matches.length,
+    };
+  }
+
+  return {
+    name: "fixture",
+    configured: true,
+
+    async search(query) {
+      return (await searchPage(query, 1)).movies;
+    },
+
+    searchPage,
+
+    async getById(imdbID) {
+      const record = records.find((r) => r.imdbID === imdbID);
+      return record ? toMovie(record) : null;
+    },
+
+    async getByTitle(title, year) {
+      const record = records.find(
+        (r) =>
+          normalize(r.Title) === normalize(title) &&
+          (!year || parseInt(r.Year, 10) === parseInt(year, 10))
+      );
+      return record ? toMovie(record) : null;
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,38 @@
+// *****************************************************
+// Movie Metadata Providers
+// *****************************************************
+// Every provider exposes the same interface, returning OMDb-shaped movies
+// ({ Title, Year, Poster, Plot, imdbID, imdbRating, url }):
+//
+//   search(query)          -> [movie]  (the first page of matches)
+//   searchPage(query, n)   -> { movies, total }  (page n, SEARCH_PAGE_SIZE each)
+//   getById(imdbID)        -> movie | null
+//   getByTitle(title, yr)  -> movie | null
+//
+// Lookups resolve to [] / null when nothing matches and reject when the
+// source itself fails. MOVIE_PROVIDER picks the implementation.
+const path = require("path");
+const { createOmdbProvider } = require("./omdb");
+const { createFixtureProvider } = require("./fixture");
+
+// OMDb's fixed search page size; the fixture provider pages the same way
+const SEARCH_PAGE_SIZE = 10;
+
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "movies.json");
+
+function createMovieProvider({ cache, env = process.env } = {}) {
+  const name = env.MOVIE_PROVIDER || "omdb";
+
+  switch (name) {
+    case "omdb":
+      return createOmdbProvider({ apiKey: env.API_KEY, cache });
+    case "fixture":
+      return createFixtureProvider({
+        file: env.MOVIE_FIXTURES || DEFAULT_FIXTURES,
+      });
+    default:
+      throw new Error(`Unknown MOVIE_PROVIDER "${name}"`);
+  }
+}
+
+module.exports = { createMovieProvider, SEARCH_PAGE_SIZE };
@@ -0,0 +1,117 @@
+// *****************************************************
+// OMDb Movie Provider
+// *****************************************************
+const axios = require("axios");
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// How long cached OMDb answers stay fresh, per kind of query
+const TTL = {
+  s: DAY / 4, // searches
+  t: DAY, // lookups by title
+  i: DAY * 7, // lookups by IMDb ID
+};
+const NOT_FOUND_TTL = DAY / 24;
+const STALE_TTL = DAY * 3;
+
+// OMDb reports misses with Response "False"; only these errors are real
+// answers worth caching, anything else (bad key, quota) is a failure.
+const MISS_ERRORS = ["Movie not found!", "Too many results."];
+
+const MAX_SEARCH_PAGE = 100;
+
+const present = (value) => (value && value !== "N/A" ? value : null);
+
+function toMovie(data) {
+  return {
+    Title: data.Title,
+    Year: data.Year,
+    Poster: present(data.Poster),
+    Plot: present(data.Plot),
+    Genre: present(data.Genre),
+    Director: present(data.Director),
+    imdbID: data.imdbID,
+    imdbRating: present(data.imdbRating),
+    url: `https://www.imdb.com/title/${data.imdbID}`,
+  };
+}
+
+function createOmdbProvider({ apiKey, cache }) {
+  // Every OMDb request goes through the cache. Throws when OMDb is
+  // unreachable and nothing has been cached for the query yet.
+  async function request(params) {
+    if (!apiKey) {
+      throw new Error("OMDB API key not configured.");
+    }
+
+    const kind = params.i ? "i" : params.s ? "s" : "t";
+    const keyParts = Object.keys(params)
+      .filter((name) => params[name] !== undefined && params[name] !== null)
+      .sort()
+      .map((name) => `${name}=${String(params[name]).trim().toLowerCase()}`);
+
+    return cache.get(
+      `omdb:${keyParts.join("&")}`,
+      {
+        ttl: (data) => (data.Response === "False" ? NOT_FOUND_TTL : TTL[kind]),
+        staleTtl: STALE_TTL,
+      },
+      async () => {
+        const response = await axios.get("http://www.omdbapi.com/", {
+          params: { apikey: apiKey, ...params },
+          timeout: 5000,
+        });
+
+        if (
+          response.data.Response === "False" &&
+          !MISS_ERRORS.includes(response.data.Error)
+        ) {
+          throw new Error(response.data.Error || "OMDb request failed");
+        }
+
+        return response.data;
+      }
+    );
+  }
+
+  // OMDb serves at most MAX_SEARCH_PAGE pages of ten, so the total is capped
+  // to what can actually be paged through. Page 1 is requested without a
+  // page parameter so it shares cache entries with older lookups.
+  async function searchPage(query, page) {
+    const data = await request({
+      s: query,
+      page: page > 1 ? Math.min(page, MAX_SEARCH_PAGE) : undefined,
+    });
+    if (data.Response === "False") return { movies: [], total: 0 };
+    return {
+      movies: (data.Search || []).map(toMovie),
+      total: Math.min(
+        parseInt(data.totalResults, 10) || 0,
+        MAX_SEARCH_PAGE * 10
+      ),
+    };
+  }
+
+  return {
+    name: "omdb",
+    configured: !!apiKey,
+
+    async search(query) {
+      return (await searchPage(query, 1)).movies;
+    },
+
+    searchPage,
+
+    async getById(imdbID) {
+      const data = await request({ i: imdbID });
+      return data.Response === "False" ? null : toMovie(data);
+    },
+
+    async getByTitle(title, year) {
+      const data = await request({ t: title, y: year || undefined });
+      return data.Response === "False" ? null : toMovie(data);
+    },
+  };
+}
+
+module.exports = { createOmdbProvider };
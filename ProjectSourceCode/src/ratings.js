@@ -0,0 +1,137 @@
+// *****************************************************
+// Community Ratings
+// *****************************************************
+// Per-movie aggregates (mean, count and a 1–10 histogram) and the Movie
+// Meter leaderboard. The leaderboard ranks by a Bayesian weighted score:
+// each movie's mean is pulled towards the mean of every rating in the same
+// view by LEADERBOARD_PRIOR phantom votes, so one 10/10 can't top the chart.
+// Reviews hidden by a moderator don't count towards any of it.
+const { VISIBLE_REVIEW } = require("./moderation");
+
+const LEADERBOARD_PRIOR = 3;
+const LEADERBOARD_SIZE = 10;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Builds { mean, count, histogram } from per-rating counts. The histogram
+// always has ten buckets, 1 to 10, with each bar's share of the tallest.
+function summarize(counts) {
+  const buckets = Array.from({ length: 10 }, (_, i) => ({
+    rating: i + 1,
+    count: 0,
+  }));
+  let total = 0;
+  let sum = 0;
+  for (const { rating, n } of counts) {
+    buckets[rating - 1].count += n;
+    total += n;
+    sum += rating * n;
+  }
+  const tallest = Math.max(...buckets.map((bucket) => bucket.count));
+  buckets.forEach((bucket) => {
+    bucket.percent = tallest ? Math.round((bucket.count / tallest) * 100) : 0;
+  });
+
+  return {
+    mean: total ? round1(sum / total) : null,
+    count: total,
+    histogram: buckets,
+  };
+}
+
+// Aggregates for the given IMDb IDs, keyed by IMDb ID. Movies nobody has
+// rated are left out.
+async function loadAggregates(db, imdbIDs) {
+  const byMovie = {};
+  if (!imdbIDs.length) return byMovie;
+
+  const rows = await db.any(
+    `SELECT m.imdb_id, r.rating, COUNT(*)::int AS n
+     FROM reviews r
+     JOIN movies m ON m.movie_id = r.movie_id
+     WHERE m.imdb_id IN ($1:csv) AND ${VISIBLE_REVIEW}
+     GROUP BY m.imdb_id, r.rating`,
+    [imdbIDs]
+  );
+
+  const grouped = {};
+  for (const row of rows) {
+    (grouped[row.imdb_id] = grouped[row.imdb_id] || []).push(row);
+  }
+  for (const [imdbID, counts] of Object.entries(grouped)) {
+    byMovie[imdbID] = summarize(counts);
+  }
+  return byMovie;
+}
+
+// Adds a `community` aggregate to OMDb-shaped movies (keyed by imdbID)
+async function withAggregates(db, movies) {
+  const aggregates = await loadAggregates(
+    db,
+    movies.map((movie) => movie.imdbID)
+  );
+  return movies.map((movie) => ({
+    ...movie,
+    community: aggregates[movie.imdbID] || null,
+  }));
+}
+
+// Parses a leaderboard view: "all", "month", or a decade like "1990s"
+function parseView(view) {
+  if (view === "month") return { view, month: true, decade: null };
+  const decade = /^(\d{3}0)s$/.exec(view || "");
+  if (decade) return { view, month: false, decade: Number(decade[1]) };
+  return { view: "all", month: false, decade: null };
+}
+
+// The top movies for a view from parseView
+async function loadLeaderboard(db, { month, decade }) {
+  const rows = await db.any(
+    `WITH scoped AS (
+       SELECT r.movie_id, r.rating
+       FROM reviews r
+       JOIN movies m ON m.movie_id = r.movie_id
+       WHERE ${VISIBLE_REVIEW}
+         AND (NOT $1 OR r.updated_at >= date_trunc('month', NOW()))
+         AND ($2::int IS NULL OR m.release_year BETWEEN $2 AND $2 + 9)
+     ),
+     prior AS (SELECT AVG(rating)::float AS mean FROM scoped)
+     SELECT m.imdb_id, m.title, m.release_year, m.poster,
+            AVG(s.rating)::float AS mean, COUNT(*)::int AS count,
+            (SUM(s.rating) + $3 * prior.mean) / (COUNT(*) + $3) AS score
+     FROM scoped s
+     JOIN movies m ON m.movie_id = s.movie_id
+     CROSS JOIN prior
+     GROUP BY m.movie_id, prior.mean
+     ORDER BY score DESC, count DESC, m.title ASC
+     LIMIT $4`,
+    [month, decade, LEADERBOARD_PRIOR, LEADERBOARD_SIZE]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    mean: round1(row.mean),
+    score: round1(row.score),
+  }));
+}
+
+// Decades with at least one rated movie, newest first, e.g. [2020, 2010]
+async function loadDecades(db) {
+  const rows = await db.any(
+    `SELECT DISTINCT (m.release_year / 10) * 10 AS decade
+     FROM reviews r
+     JOIN movies m ON m.movie_id = r.movie_id
+     WHERE m.release_year IS NOT NULL AND ${VISIBLE_REVIEW}
+     ORDER BY decade DESC`
+  );
+  return rows.map((row) => row.decade);
+}
+
+module.exports = {
+  summarize,
+  loadAggregates,
+  withAggregates,
+  parseView,
+  loadLeaderboard,
+  loadDecades,
+};
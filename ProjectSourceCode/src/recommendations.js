@@ -0,0 +1,261 @@
+// *****************************************************
+// Recommendations
+// *****************************************************
+// User-based collaborative filtering over the reviews table. Two users are
+// similar when they gave close ratings to the same movies; a movie is
+// recommended when similar users rated it highly. Users with no useful
+// neighbours get community favourites instead. Results are precomputed by a
+// background job into the recommendations table so /discover only reads.
+// Reviews hidden by a moderator are left out.
+const { VISIBLE_REVIEW } = require("./moderation");
+const { startIntervalJob } = require("./jobs");
+
+const HIGH_RATING = 7;
+const MAX_NEIGHBOURS = 20;
+const DEFAULT_LIMIT = 10;
+// Overlaps smaller than this count for proportionally less similarity
+const SIMILARITY_SHRINK = 2;
+// Prior weight, in ratings, for the community favourites average
+const POPULAR_PRIOR = 3;
+
+// Map of user_id -> Map of movie_id -> rating
+function buildIndex(ratings) {
+  const index = new Map();
+  for (const { user_id, movie_id, rating } of ratings) {
+    if (!index.has(user_id)) index.set(user_id, new Map());
+    index.get(user_id).set(movie_id, rating);
+  }
+  return index;
+}
+
+const mean = (ratings) => {
+  let sum = 0;
+  for (const rating of ratings.values()) sum += rating;
+  return sum / ratings.size;
+};
+
+// Agreement on co-rated movies, from -1 (opposite) to 1 (identical),
+// shrunk towards 0 when only a few movies overlap
+function similarity(a, b) {
+  let total = 0;
+  let shared = 0;
+  for (const [movieId, rating] of a) {
+    if (!b.has(movieId)) continue;
+    total += 1 - (2 * Math.abs(rating - b.get(movieId))) / 9;
+    shared += 1;
+  }
+  if (!shared) return 0;
+  return (total / shared) * (shared / (shared + SIMILARITY_SHRINK));
+}
+
+// Community favourites by a damped mean rating, best first
+function rankPopular(index) {
+  const totals = new Map();
+  let sum = 0;
+  let count = 0;
+  for (const ratings of index.values()) {
+    for (const [movieId, rating] of ratings) {
+      const entry = totals.get(movieId) || { sum: 0, count: 0 };
+      entry.sum += rating;
+      entry.count += 1;
+      totals.set(movieId, entry);
+      sum += rating;
+      count += 1;
+    }
+  }
+  const prior = count ? sum / count : 0;
+
+  return [...totals.entries()]
+    .map(([movieId, entry]) => ({
+      movieId,
+      score:
+        (entry.sum + POPULAR_PRIOR * prior) / (entry.count + POPULAR_PRIOR),
+    }))
+    .sort((a, b) => b.score - a.score || a.movieId - b.movieId);
+}
+
+// Picks for one user. exclude is a Set of movie_ids the user already
+// reviewed or saved. Each pick is { movieId, score, source, reasonMovieId }
+// where source is "similar" or "popular".
+function recommendFor(index, userId, { exclude, popular, limit }) {
+  const mine = index.get(userId) || new Map();
+  const skip = (movieId) => mine.has(movieId) || exclude.has(movieId);
+
+  const neighbours = [];
+  if (mine.size) {
+    for (const [otherId, theirs] of index) {
+      if (otherId === userId) continue;
+      const sim = similarity(mine, theirs);
+      if (sim > 0) {
+        neighbours.push({ ratings: theirs, sim, mean: mean(theirs) });
+      }
+    }
+    neighbours.sort((a, b) => b.sim - a.sim);
+    neighbours.length = Math.min(neighbours.length, MAX_NEIGHBOURS);
+  }
+
+  // Weighted deviation from each neighbour's own average, so a harsh
+  // critic's 7 counts for more than a generous one's
+  const candidates = new Map();
+  for (const neighbour of neighbours) {
+    for (const [movieId, rating] of neighbour.ratings) {
+      if (skip(movieId)) continue;
+      const entry = candidates.get(movieId) || {
+        weighted: 0,
+        weights: 0,
+        liked: false,
+        fans: [],
+      };
+      entry.weighted += neighbour.sim * (rating - neighbour.mean);
+      entry.weights += neighbour.sim;
+      if (rating >= HIGH_RATING) {
+        entry.liked = true;
+        entry.fans.push(neighbour);
+      }
+      candidates.set(movieId, entry);
+    }
+  }
+
+  const myMean = mine.size ? mean(mine) : 0;
+  const myFavourites = [...mine.entries()].filter(
+    ([, rating]) => rating >= HIGH_RATING
+  );
+
+  const picks = [...candidates.entries()]
+    .filter(([, entry]) => entry.liked)
+    .map(([movieId, entry]) => ({
+      movieId,
+      score: myMean + entry.weighted / entry.weights,
+      source: "similar",
+      reasonMovieId: explain(myFavourites, entry.fans),
+    }))
+    .filter((pick) => pick.score >= HIGH_RATING - 1)
+    .sort((a, b) => b.score - a.score || a.movieId - b.movieId)
+    .slice(0, limit);
+
+  const chosen = new Set(picks.map((pick) => pick.movieId));
+  for (const { movieId, score } of popular) {
+    if (picks.length >= limit) break;
+    if (skip(movieId) || chosen.has(movieId)) continue;
+    picks.push({ movieId, score, source: "popular", reasonMovieId: null });
+  }
+  return picks;
+}
+
+// The user's favourite that the pick's fans also liked most strongly
+function explain(myFavourites, fans) {
+  let best = null;
+  let bestWeight = 0;
+  for (const [movieId, myRating] of myFavourites) {
+    let weight = 0;
+    for (const fan of fans) {
+      if (fan.ratings.get(movieId) >= HIGH_RATING) weight += fan.sim;
+    }
+    weight *= myRating;
+    if (weight > bestWeight) {
+      best = movieId;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+// Recomputes every user's picks and replaces the stored ones
+async function refreshRecommendations(db, { limit = DEFAULT_LIMIT } = {}) {
+  const [users, ratings, saved] = await Promise.all([
+    db.any("SELECT user_id FROM users"),
+    db.any(
+      `SELECT user_id, movie_id, rating FROM reviews r WHERE ${VISIBLE_REVIEW}`
+    ),
+    db.any("SELECT user_id, movie_id FROM user_list"),
+  ]);
+
+  const index = buildIndex(ratings);
+  const popular = rankPopular(index);
+  const savedBy = new Map();
+  for (const { user_id, movie_id } of saved) {
+    if (!savedBy.has(user_id)) savedBy.set(user_id, new Set());
+    savedBy.get(user_id).add(movie_id);
+  }
+
+  const rows = [];
+  for (const { user_id } of users) {
+    const picks = recommendFor(index, user_id, {
+      exclude: savedBy.get(user_id) || new Set(),
+      popular,
+      limit,
+    });
+    picks.forEach((pick, i) =>
+      rows.push({
+        user_id,
+        movie_id: pick.movieId,
+        rank: i + 1,
+        score: pick.score,
+        source: pick.source,
+        reason_movie_id: pick.reasonMovieId,
+      })
+    );
+  }
+
+  const { helpers } = db.$config.pgp;
+  await db.tx(async (t) => {
+    await t.none("DELETE FROM recommendations");
+    if (rows.length) {
+      await t.none(
+        helpers.insert(
+          rows,
+          ["user_id", "movie_id", "rank", "score", "source", "reason_movie_id"],
+          "recommendations"
+        )
+      );
+    }
+  });
+  return { users: users.length, picks: rows.length };
+}
+
+// Runs refreshRecommendations now and then every intervalMs
+function startRecommendationJob(db, { intervalMs }) {
+  return startIntervalJob(async () => {
+    try {
+      const { users, picks } = await refreshRecommendations(db);
+      console.log(
+        `Recommendations refreshed: ${picks} picks for ${users} users`
+      );
+    } catch (err) {
+      console.error("Error refreshing recommendations:", err.message);
+    }
+  }, intervalMs);
+}
+
+// The user's stored picks, leaving out anything reviewed or saved since
+// the last refresh
+function loadRecommendations(db, userId) {
+  return db.any(
+    `SELECT m.imdb_id, m.title, m.release_year, m.poster, rec.source,
+            reason.title AS reason_title
+     FROM recommendations rec
+     JOIN movies m ON m.movie_id = rec.movie_id
+     LEFT JOIN movies reason ON reason.movie_id = rec.reason_movie_id
+     WHERE rec.user_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM reviews r
+         WHERE r.user_id = rec.user_id AND r.movie_id = rec.movie_id
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM user_list ul
+         WHERE ul.user_id = rec.user_id AND ul.movie_id = rec.movie_id
+       )
+     ORDER BY rec.rank`,
+    [userId]
+  );
+}
+
+module.exports = {
+  buildIndex,
+  similarity,
+  rankPopular,
+  recommendFor,
+  refreshRecommendations,
+  startRecommendationJob,
+  loadRecommendations,
+};
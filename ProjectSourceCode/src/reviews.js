@@ -0,0 +1,145 @@
+// *****************************************************
+// Review Storage
+// *****************************************************
+// Each user has at most one review per movie. Saving again updates it, and
+// the version being replaced is copied to review_revisions first so edits
+// keep their history. Review text is stored as the author wrote it, markup
+// and all (see markup.js); it is only turned into HTML when shown.
+
+const MAX_REVIEW_LENGTH = 10000;
+
+// Orders for a movie's reviews on /reviews, labelled by the reviews.sorts.*
+// messages. "helpful" expects the query to select helpful_count.
+const MOVIE_REVIEW_SORTS = {
+  helpful: { orderBy: "helpful_count DESC, r.updated_at DESC" },
+  newest: { orderBy: "r.updated_at DESC" },
+  highest: { orderBy: "r.rating DESC, r.updated_at DESC" },
+  lowest: { orderBy: "r.rating ASC, r.updated_at DESC" },
+};
+
+async function recordRevision(t, review) {
+  await t.none(
+    `INSERT INTO review_revisions (review_id, rating, review_text, written_at)
+     VALUES ($1, $2, $3, $4)`,
+    [review.review_id, review.rating, review.review_text, review.updated_at]
+  );
+}
+
+// Creates or updates the user's review of a movie. Resolves to
+// { review, created } where created is false for an edit. Leaving out
+// containsSpoilers keeps the review's current setting.
+function saveReview(
+  db,
+  { userId, movieId, rating, reviewText, containsSpoilers }
+) {
+  return db.tx(async (t) => {
+    const existing = await t.oneOrNone(
+      `SELECT * FROM reviews
+       WHERE user_id = $1 AND movie_id = $2
+       FOR UPDATE`,
+      [userId, movieId]
+    );
+
+    if (!existing) {
+      const review = await t.one(
+        `INSERT INTO reviews (user_id, movie_id, rating, review_text,
+                              contains_spoilers)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [userId, movieId, rating, reviewText, Boolean(containsSpoilers)]
+      );
+      return { review, created: true };
+    }
+
+    await recordRevision(t, existing);
+    const review = await t.one(
+      `UPDATE reviews
+       SET rating = $2, review_text = $3, contains_spoilers = $4,
+           updated_at = NOW()
+       WHERE review_id = $1
+       RETURNING *`,
+      [
+        existing.review_id,
+        rating,
+        reviewText,
+        containsSpoilers !== undefined
+          ? containsSpoilers
+          : existing.contains_spoilers,
+      ]
+    );
+    return { review, created: false };
+  });
+}
+
+// Applies a partial change to one of the user's reviews. Resolves to the
+// updated review, or null when it doesn't exist or belongs to someone else.
+function updateReview(db, { reviewId, userId, changes }) {
+  return db.tx(async (t) => {
+    const existing = await t.oneOrNone(
+      `SELECT * FROM reviews
+       WHERE review_id = $1 AND user_id = $2
+       FOR UPDATE`,
+      [reviewId, userId]
+    );
+    if (!existing) return null;
+
+    await recordRevision(t, existing);
+    return t.one(
+      `UPDATE reviews
+       SET rating = $2, review_text = $3, contains_spoilers = $4,
+           updated_at = NOW()
+       WHERE review_id = $1
+       RETURNING *`,
+      [
+        reviewId,
+        changes.rating !== undefined ? changes.rating : existing.rating,
+        changes.reviewText !== undefined
+          ? changes.reviewText
+          : existing.review_text,
+        changes.containsSpoilers !== undefined
+          ? changes.containsSpoilers
+          : existing.contains_spoilers,
+      ]
+    );
+  });
+}
+
+// Resolves to the deleted review, or null if the user doesn't own it
+function deleteReview(db, { reviewId, userId }) {
+  return db.oneOrNone(
+    `DELETE FROM reviews
+     WHERE review_id = $1 AND user_id = $2
+     RETURNING *`,
+    [reviewId, userId]
+  );
+}
+
+// Previous versions of the given reviews, newest first, keyed by review_id
+async function loadRevisions(db, reviewIds) {
+  const byReview = {};
+  if (!reviewIds.length) return byReview;
+
+  const revisions = await db.any(
+    `SELECT review_id, rating, review_text, written_at
+     FROM review_revisions
+     WHERE review_id IN ($1:csv)
+     ORDER BY written_at DESC`,
+    [reviewIds]
+  );
+
+  for (const revision of revisions) {
+    (byReview[revision.review_id] = byReview[revision.review_id] || []).push(
+      revision
+    );
+  }
+  return byReview;
+}
+
+module.exports = {
+  MAX_REVIEW_LENGTH,
+  MOVIE_REVIEW_SORTS,
+  saveReview,
+  updateReview,
+  deleteReview,
+  loadRevisions,
+};
@@ -0,0 +1,178 @@
+// *****************************************************
+// Full-Text Search
+// *****************************************************
+// Postgres full-text search over the local movie catalog (titles) and
+// community review text. Both documents are plain expressions backed by GIN
+// expression indexes (created in migrations/001_initial_schema.js), so the
+// expressions here must match those indexes exactly for the planner to use
+// them. Reviews hidden by a moderator are neither searched nor averaged.
+const { VISIBLE_REVIEW } = require("./moderation");
+const { escapeHtml } = require("./escape");
+
+const MOVIE_DOCUMENT = "to_tsvector('english', m.title)";
+const REVIEW_DOCUMENT = "to_tsvector('english', COALESCE(r.review_text, ''))";
+const QUERY = "websearch_to_tsquery('english', $<q>)";
+
+// Review text for snippets: reviews marked as containing spoilers give
+// none, and ||spoiler|| spans are blanked out of the rest
+const SPOILER_FREE_TEXT = `CASE WHEN r.contains_spoilers THEN ''
+  ELSE regexp_replace(r.review_text, '\\|\\|.+?\\|\\|', '[spoiler]', 'g') END`;
+
+const RESULT_LIMIT = 20;
+
+// ts_headline wraps matches in these; they are swapped for <mark> tags only
+// after the rest of the text has been HTML-escaped
+const MARK_START = "⟦";
+const MARK_END = "⟧";
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=35, MinWords=15, ShortWord=2`;
+
+// Safe HTML for a ts_headline result
+function highlight(headline) {
+  return escapeHtml(headline || "")
+    .split(MARK_START)
+    .join("<mark>")
+    .split(MARK_END)
+    .join("</mark>");
+}
+
+const parseNumber = (value, min, max) => {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+// Normalises the discover search form's query string
+function parseFilters(query) {
+  const filters = {
+    q: (query.title || "").trim().slice(0, 200),
+    yearFrom: parseNumber(query.year_from, 1870, 2100),
+    yearTo: parseNumber(query.year_to, 1870, 2100),
+    minRating: parseNumber(query.min_rating, 1, 10),
+    onWatchlist: query.watchlist === "on",
+    followed: query.followed === "on",
+  };
+  if (filters.yearFrom && filters.yearTo && filters.yearFrom > filters.yearTo) {
+    [filters.yearFrom, filters.yearTo] = [filters.yearTo, filters.yearFrom];
+  }
+  return filters;
+}
+
+// Filters that only our own data can answer; the movie provider's search
+// results can't be narrowed by them
+const hasLocalFilters = (filters) =>
+  !!(filters.minRating || filters.onWatchlist || filters.followed);
+
+const hasFilters = (filters) =>
+  !!(filters.yearFrom || filters.yearTo || hasLocalFilters(filters));
+
+// Whether a provider Year ("1999", "2010–2014") falls in the year filters
+function inYearRange(filters, year) {
+  const start = parseInt(year, 10);
+  if (!start) return !filters.yearFrom && !filters.yearTo;
+  return (
+    (!filters.yearFrom || start >= filters.yearFrom) &&
+    (!filters.yearTo || start <= filters.yearTo)
+  );
+}
+
+// WHERE conditions on movies m shared by both searches. Values are passed
+// as named parameters on the same object as the filters.
+function movieConditions(filters) {
+  const conditions = [];
+  if (filters.yearFrom) conditions.push("m.release_year >= $<yearFrom>");
+  if (filters.yearTo) conditions.push("m.release_year <= $<yearTo>");
+  if (filters.minRating) {
+    conditions.push(`(
+      SELECT AVG(a.rating) FROM reviews a
+      WHERE a.movie_id = m.movie_id AND a.hidden_at IS NULL
+    ) >= $<minRating>`);
+  }
+  if (filters.onWatchlist) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM user_list ul
+      WHERE ul.movie_id = m.movie_id AND ul.user_id = $<userId>
+    )`);
+  }
+  return conditions;
+}
+
+const and = (conditions) =>
+  conditions.map((condition) => `AND ${condition}`).join("\n");
+
+// Movies in the local catalog, best match first. Without a text query the
+// filters alone pick the movies, highest rated first.
+async function searchCatalog(db, { userId, filters }) {
+  const conditions = movieConditions(filters);
+  if (filters.q) {
+    conditions.push(`${MOVIE_DOCUMENT} @@ ${QUERY}`);
+  }
+  if (filters.followed) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM reviews fr
+      JOIN follows f ON f.followee_id = fr.user_id
+      WHERE fr.movie_id = m.movie_id AND f.follower_id = $<userId>
+        AND fr.hidden_at IS NULL
+    )`);
+  }
+  const headline = filters.q
+    ? `ts_headline('english', m.title, ${QUERY}, $<options>)`
+    : "m.title";
+  const rank = filters.q ? `ts_rank_cd(${MOVIE_DOCUMENT}, ${QUERY}) DESC,` : "";
+
+  const rows = await db.any(
+    `SELECT m.imdb_id, m.title, m.release_year, m.poster,
+            agg.mean, agg.count, ${headline} AS headline
+     FROM movies m
+     CROSS JOIN LATERAL (
+       SELECT ROUND(AVG(a.rating), 1)::float AS mean, COUNT(*)::int AS count
+       FROM reviews a WHERE a.movie_id = m.movie_id AND a.hidden_at IS NULL
+     ) agg
+     WHERE m.imdb_id IS NOT NULL
+     ${and(conditions)}
+     ORDER BY ${rank} agg.mean DESC NULLS LAST, m.title ASC
+     LIMIT $<limit>`,
+    { ...filters, userId, options: HEADLINE_OPTIONS, limit: RESULT_LIMIT }
+  );
+
+  return rows.map((row) => ({ ...row, titleHtml: highlight(row.headline) }));
+}
+
+// Reviews whose text matches the query, best match first, with a
+// highlighted snippet. Needs a text query.
+async function searchReviews(db, { userId, filters }) {
+  if (!filters.q) return [];
+
+  const conditions = movieConditions(filters);
+  if (filters.followed) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM follows f
+      WHERE f.follower_id = $<userId> AND f.followee_id = r.user_id
+    )`);
+  }
+
+  const rows = await db.any(
+    `SELECT r.review_id, r.rating, r.updated_at, r.contains_spoilers,
+            u.username, m.imdb_id, m.title, m.release_year,
+            ts_headline('english', ${SPOILER_FREE_TEXT}, ${QUERY}, $<options>)
+              AS headline
+     FROM reviews r
+     JOIN movies m ON m.movie_id = r.movie_id
+     JOIN users u ON u.user_id = r.user_id
+     WHERE ${REVIEW_DOCUMENT} @@ ${QUERY} AND ${VISIBLE_REVIEW}
+     ${and(conditions)}
+     ORDER BY ts_rank_cd(${REVIEW_DOCUMENT}, ${QUERY}) DESC, r.updated_at DESC
+     LIMIT $<limit>`,
+    { ...filters, userId, options: HEADLINE_OPTIONS, limit: RESULT_LIMIT }
+  );
+
+  return rows.map((row) => ({ ...row, snippetHtml: highlight(row.headline) }));
+}
+
+module.exports = {
+  parseFilters,
+  hasFilters,
+  hasLocalFilters,
+  inYearRange,
+  highlight,
+  searchCatalog,
+  searchReviews,
+};
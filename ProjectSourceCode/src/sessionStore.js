@@ -0,0 +1,81 @@
+// *****************************************************
+// Postgres Session Store
+// *****************************************************
+// Keeps express-session data in the sessions table so sign-ins survive
+// restarts and are shared by every process behind the same database.
+// Sessions are stored as JSONB, which also lets us find and end all of a
+// user's sessions (after a password change, say) by the user_id inside.
+const { Store } = require("express-session");
+
+// Used when a session's cookie has no expiry of its own
+const DEFAULT_TTL_MS = 1000 * 60 * 60 * 24;
+
+const expiresAt = (sess) =>
+  sess.cookie?.expires
+    ? new Date(sess.cookie.expires)
+    : new Date(Date.now() + DEFAULT_TTL_MS);
+
+class PgSessionStore extends Store {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  get(sid, callback) {
+    this.db
+      .oneOrNone(
+        "SELECT sess FROM sessions WHERE sid = $1 AND expires_at > NOW()",
+        [sid]
+      )
+      .then((row) => callback(null, row ? row.sess : null), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.db
+      .none(
+        `INSERT INTO sessions (sid, sess, expires_at) VALUES ($1, $2, $3)
+         ON CONFLICT (sid)
+         DO UPDATE SET sess = EXCLUDED.sess, expires_at = EXCLUDED.expires_at`,
+        [sid, sess, expiresAt(sess)]
+      )
+      .then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.db
+      .none("UPDATE sessions SET expires_at = $2 WHERE sid = $1", [
+        sid,
+        expiresAt(sess),
+      ])
+      .then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.db
+      .none("DELETE FROM sessions WHERE sid = $1", [sid])
+      .then(() => callback(null), callback);
+  }
+
+  // Drops expired sessions. Resolves to the pg result.
+  prune() {
+    return this.db.result("DELETE FROM sessions WHERE expires_at <= NOW()");
+  }
+}
+
+function createSessionStore(db) {
+  return new PgSessionStore(db);
+}
+
+// Signs a user out everywhere, optionally keeping the session they're
+// using now. Resolves to the number of sessions ended.
+async function endUserSessions(db, userId, { except } = {}) {
+  const result = await db.result(
+    `DELETE FROM sessions
+     WHERE (sess->'user'->>'user_id')::int = $1
+       AND ($2::text IS NULL OR sid <> $2)`,
+    [userId, except || null]
+  );
+  return result.rowCount;
+}
+
+module.exports = { createSessionStore, endUserSessions };
@@ -0,0 +1,121 @@
+// *****************************************************
+// Follows & Activity Feed
+// *****************************************************
+// follows is a plain follower -> followee edge table. The feed is read-time
+// fan-in: reviews, watchlist additions and public list updates from the
+// people a user follows, merged and sorted by when they happened. Owners
+// with a private profile, a suspended account or one pending deletion are
+// left out of everyone's feed, as are reviews hidden by a moderator.
+const { VISIBLE_REVIEW } = require("./moderation");
+
+// Resolves to true if the follow is new
+async function follow(db, { followerId, followeeId }) {
+  if (followerId === followeeId) return false;
+  const result = await db.result(
+    `INSERT INTO follows (follower_id, followee_id)
+     VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [followerId, followeeId]
+  );
+  return result.rowCount > 0;
+}
+
+async function unfollow(db, { followerId, followeeId }) {
+  const result = await db.result(
+    "DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2",
+    [followerId, followeeId]
+  );
+  return result.rowCount > 0;
+}
+
+async function isFollowing(db, { followerId, followeeId }) {
+  if (!followerId) return false;
+  const row = await db.oneOrNone(
+    "SELECT 1 FROM follows WHERE follower_id = $1 AND followee_id = $2",
+    [followerId, followeeId]
+  );
+  return !!row;
+}
+
+function followCounts(db, userId) {
+  return db.one(
+    `SELECT
+       (SELECT COUNT(*) FROM follows WHERE followee_id = $1)::int AS followers,
+       (SELECT COUNT(*) FROM follows WHERE follower_id = $1)::int AS following`,
+    [userId]
+  );
+}
+
+// Usernames on one side of the user's follow graph, newest first.
+// which is "followers" or "following".
+function loadFollows(db, userId, which) {
+  const [match, other] =
+    which === "followers"
+      ? ["followee_id", "follower_id"]
+      : ["follower_id", "followee_id"];
+  return db.any(
+    `SELECT u.username, f.created_at
+     FROM follows f
+     JOIN users u ON u.user_id = f.${other}
+     WHERE f.${match} = $1
+     ORDER BY f.created_at DESC`,
+    [userId]
+  );
+}
+
+// One page of the user's feed. Resolves to { items, total }.
+async function loadFeed(db, { userId, limit, offset }) {
+  const items = await db.any(
+    `WITH followed AS (
+       SELECT u.user_id, u.username
+       FROM follows f
+       JOIN users u ON u.user_id = f.followee_id
+       WHERE f.follower_id = $1 AND u.profile_visibility <> 'private'
+         AND u.delete_after IS NULL AND u.suspended_at IS NULL
+     )
+     SELECT *, COUNT(*) OVER() AS total_count
+     FROM (
+       SELECT 'review' AS kind, r.updated_at AS happened_at, fu.username,
+              m.imdb_id, m.title, r.rating, r.review_text, r.contains_spoilers,
+              r.updated_at > r.created_at AS edited,
+              NULL AS list_title, NULL AS share_token
+       FROM reviews r
+       JOIN followed fu ON fu.user_id = r.user_id
+       JOIN movies m ON m.movie_id = r.movie_id
+       WHERE ${VISIBLE_REVIEW}
+
+       UNION ALL
+
+       SELECT 'watchlist', ul.added_at, fu.username, m.imdb_id, m.title,
+              NULL, NULL, NULL, NULL, NULL, NULL
+       FROM user_list ul
+       JOIN followed fu ON fu.user_id = ul.user_id
+       JOIN movies m ON m.movie_id = ul.movie_id
+
+       UNION ALL
+
+       SELECT 'list', l.updated_at, fu.username, NULL, NULL, NULL, NULL, NULL,
+              NULL, l.title, l.share_token
+       FROM custom_lists l
+       JOIN followed fu ON fu.user_id = l.user_id
+       WHERE l.is_public
+     ) activity
+     ORDER BY happened_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return {
+    items,
+    total: items.length ? parseInt(items[0].total_count, 10) : 0,
+  };
+}
+
+module.exports = {
+  follow,
+  unfollow,
+  isFollowing,
+  followCounts,
+  loadFollows,
+  loadFeed,
+};
@@ -0,0 +1,414 @@
+// *****************************************************
+// Profile Statistics
+// *****************************************************
+// The numbers behind the stats section of /profile and the year-in-review
+// page, plus the SVG charts drawn from them (see charts.js). The profile
+// covers everything the user has done, with the last twelve months of
+// reviews; a year in review covers one calendar year, going by when each
+// review was written and each diary entry was watched.
+//
+// Genres and directors come from OMDb. New movies get them when they are
+// first saved; startMovieCreditsJob fills them in for older rows, which
+// are left out of those two breakdowns until then (genres is NULL).
+//
+// Chart labels, month names and figures are in the reader's locale.
+const { VISIBLE_REVIEW } = require("./moderation");
+const { columnChart, barChart } = require("./charts");
+const {
+  DEFAULT_LOCALE,
+  translate,
+  formatMonth,
+  formatNumber,
+} = require("./i18n");
+const { startIntervalJob } = require("./jobs");
+
+const RECENT_MONTHS = 12;
+const TOP_GENRES = 8;
+const TOP_DIRECTORS = 5;
+const TOP_OF_YEAR = 5;
+const CREDITS_BATCH_SIZE = 20;
+
+// OMDb lists credits as "Action, Adventure, Sci-Fi"
+const splitCredits = (value) =>
+  value && value !== "N/A"
+    ? value
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+    : [];
+
+// Genres and directors of a movie from the provider, as stored on movies
+const movieCredits = (movie) => ({
+  genres: splitCredits(movie && movie.Genre),
+  directors: splitCredits(movie && movie.Director),
+});
+
+// SQL keeping a date column within scope.year, if there is one
+const inYear = (scope, column) =>
+  scope.year
+    ? `AND ${column} >= make_date($<year>, 1, 1)
+       AND ${column} < make_date($<year> + 1, 1, 1)`
+    : "";
+
+// What gets counted per month: reviews written or movies watched
+const MONTHLY_SOURCES = {
+  reviews: `SELECT r.created_at::date AS happened_on FROM reviews r
+            WHERE r.user_id = $<userId>`,
+  watches: `SELECT d.watched_on AS happened_on FROM diary_entries d
+            WHERE d.user_id = $<userId>`,
+};
+
+// Counts for each of the months from "from" (a YYYY-MM-01 date), oldest
+// first, as { month: "YYYY-MM", count }
+function monthlyCounts(t, { userId, source, from, months }) {
+  return t.any(
+    `SELECT to_char(month, 'YYYY-MM') AS month, COUNT(x.happened_on)::int AS count
+     FROM generate_series(
+       $<from>::date,
+       $<from>::date + make_interval(months => $<months> - 1),
+       INTERVAL '1 month'
+     ) AS month
+     LEFT JOIN (${MONTHLY_SOURCES[source]}) x
+       ON x.happened_on >= month AND x.happened_on < month + INTERVAL '1 month'
+     GROUP BY month
+     ORDER BY month`,
+    { userId, from, months }
+  );
+}
+
+// Number of reviews at each rating, as an array for 1 to 10
+async function ratingDistribution(t, scope) {
+  const rows = await t.any(
+    `SELECT r.rating, COUNT(*)::int AS count
+     FROM reviews r
+     WHERE r.user_id = $<userId> AND r.rating IS NOT NULL
+       ${inYear(scope, "r.created_at")}
+     GROUP BY r.rating`,
+    scope
+  );
+  return Array.from({ length: 10 }, (_, i) => {
+    const row = rows.find((r) => r.rating === i + 1);
+    return { rating: i + 1, count: row ? row.count : 0 };
+  });
+}
+
+// The user's review count and average rating, and everyone else's average
+// for the same movies
+function averages(t, scope) {
+  return t.one(
+    `SELECT COUNT(*)::int AS count, AVG(mine.rating)::float AS mine,
+            (SELECT AVG(r.rating)::float FROM reviews r
+             WHERE r.user_id <> $<userId> AND ${VISIBLE_REVIEW}
+               AND r.movie_id IN (
+                 SELECT mine.movie_id FROM reviews mine
+                 WHERE mine.user_id = $<userId>
+                   ${inYear(scope, "mine.created_at")}
+               )) AS community
+     FROM reviews mine
+     WHERE mine.user_id = $<userId> ${inYear(scope, "mine.created_at")}`,
+    scope
+  );
+}
+
+// Reviewed movies by release decade, with the average rating for each
+function decades(t, scope) {
+  return t.any(
+    `SELECT (m.release_year / 10) * 10 AS decade, COUNT(*)::int AS count,
+            AVG(r.rating)::float AS average
+     FROM reviews r
+     JOIN movies m ON m.movie_id = r.movie_id
+     WHERE r.user_id = $<userId> AND m.release_year IS NOT NULL
+       ${inYear(scope, "r.created_at")}
+     GROUP BY decade
+     ORDER BY decade`,
+    scope
+  );
+}
+
+// Movies the user reviewed or logged, counted once each
+const seenMovies = (scope) => `
+  SELECT r.movie_id FROM reviews r
+  WHERE r.user_id = $<userId> ${inYear(scope, "r.created_at")}
+  UNION
+  SELECT d.movie_id FROM diary_entries d
+  WHERE d.user_id = $<userId> ${inYear(scope, "d.watched_on")}`;
+
+// The genres or directors (column) of the most movies seen, as
+// { name, count }
+function topCredits(t, scope, column, limit) {
+  return t.any(
+    `SELECT credit AS name, COUNT(*)::int AS count
+     FROM (${seenMovies(scope)}) seen
+     JOIN movies m ON m.movie_id = seen.movie_id
+     CROSS JOIN LATERAL unnest(m.$<column:name>) AS credit
+     GROUP BY credit
+     ORDER BY count DESC, credit ASC
+     LIMIT $<limit>`,
+    { ...scope, column, limit }
+  );
+}
+
+// How many of the movies seen have no genres or directors yet
+async function missingCredits(t, scope) {
+  const row = await t.one(
+    `SELECT COUNT(*)::int AS count
+     FROM (${seenMovies(scope)}) seen
+     JOIN movies m ON m.movie_id = seen.movie_id
+     WHERE m.genres IS NULL`,
+    scope
+  );
+  return row.count;
+}
+
+const formatAverage = (locale, value) =>
+  formatNumber(locale, value, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  });
+
+const monthChart = (months, { locale, label, title }) =>
+  columnChart(
+    months.map(({ month, count }) => ({
+      label: formatMonth(locale, month),
+      value: count,
+      title: translate(locale, title, {
+        month: formatMonth(locale, month),
+        year: month.slice(0, 4),
+        count,
+      }),
+    })),
+    { label: translate(locale, label) }
+  );
+
+// SVG for each breakdown present in stats. Charts with nothing to show are
+// left out so the template can say so instead.
+function buildCharts(stats, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, params);
+  const charts = {};
+  if (stats.distribution.some((row) => row.count)) {
+    charts.distribution = columnChart(
+      stats.distribution.map(({ rating, count }) => ({
+        label: String(rating),
+        value: count,
+        title: t("stats.charts.ratedTitle", { rating, count }),
+      })),
+      { label: t("stats.charts.distribution") }
+    );
+  }
+  if (stats.averages.mine !== null) {
+    const rows = [{ label: t("stats.charts.you"), value: stats.averages.mine }];
+    if (stats.averages.community !== null) {
+      rows.push({
+        label: t("stats.charts.others"),
+        value: stats.averages.community,
+        secondary: true,
+      });
+    }
+    charts.averages = barChart(rows, {
+      label: t("stats.charts.averages"),
+      format: (value) => formatAverage(locale, value),
+      max: 10,
+    });
+  }
+  if (stats.monthlyReviews && stats.monthlyReviews.some((m) => m.count)) {
+    charts.monthlyReviews = monthChart(stats.monthlyReviews, {
+      locale,
+      label: "stats.charts.monthlyReviews",
+      title: "stats.charts.monthlyReviewsTitle",
+    });
+  }
+  if (stats.monthlyWatches && stats.monthlyWatches.some((m) => m.count)) {
+    charts.monthlyWatches = monthChart(stats.monthlyWatches, {
+      locale,
+      label: "stats.charts.monthlyWatches",
+      title: "stats.charts.monthlyWatchesTitle",
+    });
+  }
+  if (stats.decades.length) {
+    charts.decades = columnChart(
+      stats.decades.map(({ decade, count, average }) => ({
+        label: t("stats.charts.decade", { decade }),
+        value: count,
+        title:
+          average !== null
+            ? t("stats.charts.decadeAverageTitle", {
+                decade,
+                count,
+                average: formatAverage(locale, average),
+              })
+            : t("stats.charts.decadeTitle", { decade, count }),
+      })),
+      { label: t("stats.charts.decades") }
+    );
+  }
+  if (stats.genres.length) {
+    charts.genres = barChart(
+      stats.genres.map(({ name, count }) => ({ label: name, value: count })),
+      { label: t("stats.charts.genres") }
+    );
+  }
+  if (stats.directors.length) {
+    charts.directors = barChart(
+      stats.directors.map(({ name, count }) => ({ label: name, value: count })),
+      { label: t("stats.charts.directors") }
+    );
+  }
+  return charts;
+}
+
+// First of the month, RECENT_MONTHS - 1 months before this one
+function recentMonthsStart(now = new Date()) {
+  const start = new Date(
+    now.getFullYear(),
+    now.getMonth() - (RECENT_MONTHS - 1),
+    1
+  );
+  return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-01`;
+}
+
+// Everything for the stats section of the user's own profile
+function loadProfileStats(db, userId, { locale } = {}) {
+  const scope = { userId };
+  return db.task(async (t) => {
+    const stats = {
+      distribution: await ratingDistribution(t, scope),
+      averages: await averages(t, scope),
+      monthlyReviews: await monthlyCounts(t, {
+        userId,
+        source: "reviews",
+        from: recentMonthsStart(),
+        months: RECENT_MONTHS,
+      }),
+      decades: await decades(t, scope),
+      genres: await topCredits(t, scope, "genres", TOP_GENRES),
+      directors: await topCredits(t, scope, "directors", TOP_DIRECTORS),
+      missingCredits: await missingCredits(t, scope),
+    };
+    return { ...stats, charts: buildCharts(stats, locale) };
+  });
+}
+
+// One calendar year of the user's watching and reviewing
+function loadYearInReview(db, userId, year, { locale } = {}) {
+  const scope = { userId, year };
+  return db.task(async (t) => {
+    const totals = await t.one(
+      `SELECT COUNT(*)::int AS watches,
+              COUNT(DISTINCT d.movie_id)::int AS movies,
+              MIN(d.watched_on) AS first_watch,
+              MAX(d.watched_on) AS last_watch
+       FROM diary_entries d
+       WHERE d.user_id = $<userId> ${inYear(scope, "d.watched_on")}`,
+      scope
+    );
+    const stats = {
+      year,
+      totals,
+      distribution: await ratingDistribution(t, scope),
+      averages: await averages(t, scope),
+      monthlyWatches: await monthlyCounts(t, {
+        userId,
+        source: "watches",
+        from: `${year}-01-01`,
+        months: 12,
+      }),
+      monthlyReviews: await monthlyCounts(t, {
+        userId,
+        source: "reviews",
+        from: `${year}-01-01`,
+        months: 12,
+      }),
+      decades: await decades(t, scope),
+      genres: await topCredits(t, scope, "genres", TOP_GENRES),
+      directors: await topCredits(t, scope, "directors", TOP_DIRECTORS),
+      missingCredits: await missingCredits(t, scope),
+      topRated: await t.any(
+        `SELECT m.imdb_id, m.title, m.release_year, r.rating, r.created_at
+         FROM reviews r
+         JOIN movies m ON m.movie_id = r.movie_id
+         WHERE r.user_id = $<userId> AND r.rating IS NOT NULL
+           ${inYear(scope, "r.created_at")}
+         ORDER BY r.rating DESC, r.created_at ASC
+         LIMIT $<limit>`,
+        { ...scope, limit: TOP_OF_YEAR }
+      ),
+    };
+
+    const busiest = stats.monthlyWatches.reduce(
+      (best, month) => (month.count > (best ? best.count : 0) ? month : best),
+      null
+    );
+    stats.busiestMonth = busiest && {
+      name: formatMonth(locale, busiest.month),
+      count: busiest.count,
+    };
+    return { ...stats, charts: buildCharts(stats, locale) };
+  });
+}
+
+// Calendar years with any reviews or diary entries, newest first
+async function activeYears(db, userId) {
+  const rows = await db.any(
+    `SELECT EXTRACT(YEAR FROM r.created_at)::int AS year
+     FROM reviews r WHERE r.user_id = $1
+     UNION
+     SELECT EXTRACT(YEAR FROM d.watched_on)::int
+     FROM diary_entries d WHERE d.user_id = $1
+     ORDER BY year DESC`,
+    [userId]
+  );
+  return rows.map((row) => row.year);
+}
+
+// Looks up genres and directors for movies saved before they were stored.
+// A movie the provider doesn't know gets empty lists so it isn't asked
+// about again. Resolves to the number of movies filled in.
+async function fillMovieCredits(db, movieProvider, { limit } = {}) {
+  const movies = await db.any(
+    `SELECT movie_id, imdb_id FROM movies
+     WHERE genres IS NULL AND imdb_id IS NOT NULL
+     ORDER BY movie_id
+     LIMIT $1`,
+    [limit || CREDITS_BATCH_SIZE]
+  );
+
+  let filled = 0;
+  for (const movie of movies) {
+    // A provider error (OMDb down, out of quota) ends the batch; the rest
+    // are tried again next run
+    const details = await movieProvider.getById(movie.imdb_id);
+    const { genres, directors } = movieCredits(details);
+    await db.none(
+      "UPDATE movies SET genres = $2, directors = $3 WHERE movie_id = $1",
+      [movie.movie_id, genres, directors]
+    );
+    filled++;
+  }
+  return filled;
+}
+
+function startMovieCreditsJob(db, { movieProvider, intervalMs }) {
+  return startIntervalJob(async () => {
+    try {
+      const filled = await fillMovieCredits(db, movieProvider);
+      if (filled) console.log(`Movie credits filled in: ${filled}`);
+    } catch (err) {
+      console.error("Error filling in movie credits:", err.message);
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  splitCredits,
+  movieCredits,
+  buildCharts,
+  recentMonthsStart,
+  loadProfileStats,
+  loadYearInReview,
+  activeYears,
+  fillMovieCredits,
+  startMovieCreditsJob,
+};
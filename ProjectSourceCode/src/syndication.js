@@ -0,0 +1,250 @@
+// *****************************************************
+// Review Feeds (Atom, RSS 2.0, JSON Feed)
+// *****************************************************
+// Public feeds of one user's reviews and of one movie's reviews, for feed
+// readers that can't sign in. A user's feed only exists while their profile
+// is public, and a movie's feed only carries reviews by people with public
+// profiles; reviews hidden by a moderator are never included.
+//
+// Whole-review spoilers are replaced by a note and a link, and inline
+// spoilers are left out of the HTML, since feed readers don't run our
+// stylesheet or scripts. Each feed's updated time is its newest review's,
+// which the routes send as Last-Modified alongside an ETag of the body.
+const crypto = require("crypto");
+const { VISIBLE_REVIEW } = require("./moderation");
+const { renderMarkup, plainExcerpt } = require("./markup");
+const { escapeHtml } = require("./escape");
+
+const FEED_SIZE = 20;
+
+const FORMATS = {
+  atom: "application/atom+xml",
+  rss: "application/rss+xml",
+  json: "application/feed+json",
+};
+
+const REVIEW_COLUMNS = `r.review_id, r.rating, r.review_text,
+  r.contains_spoilers, r.created_at, r.updated_at,
+  u.username, m.imdb_id, m.title, m.release_year`;
+
+// Feed entries for reviews; baseUrl makes the links absolute
+function toEntries(reviews, { baseUrl, entryTitle }) {
+  return reviews.map((review) => {
+    const url = `${baseUrl}/reviews?imdbID=${encodeURIComponent(
+      review.imdb_id
+    )}#review-${review.review_id}`;
+    let html;
+    let summary;
+    if (review.contains_spoilers) {
+      summary = "This review contains spoilers.";
+      html = `<p>${summary} <a href="${escapeHtml(
+        url
+      )}">Read it on Movie Meter</a>.</p>`;
+    } else if (review.review_text) {
+      summary = plainExcerpt(review.review_text);
+      html = renderMarkup(review.review_text, { hideSpoilers: true });
+    } else {
+      summary = `Rated ${review.rating}/10.`;
+      html = `<p>${summary}</p>`;
+    }
+    return {
+      id: url,
+      url,
+      title: entryTitle(review),
+      author: review.username,
+      authorUrl: `${baseUrl}/users/${encodeURIComponent(review.username)}`,
+      published: review.created_at,
+      updated: review.updated_at,
+      summary,
+      html,
+    };
+  });
+}
+
+const newest = (entries, fallback) =>
+  entries.reduce(
+    (latest, entry) => (entry.updated > latest ? entry.updated : latest),
+    fallback
+  );
+
+// A user's review feed, or null unless their profile is public. Like a
+// movie's, an empty feed counts as updated at the Unix epoch.
+async function loadUserFeed(db, username, { baseUrl }) {
+  const owner = await db.oneOrNone(
+    `SELECT user_id, username FROM users
+     WHERE username = $1 AND profile_visibility = 'public'
+       AND delete_after IS NULL`,
+    [username]
+  );
+  if (!owner) return null;
+
+  const reviews = await db.any(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM reviews r
+     JOIN users u ON u.user_id = r.user_id
+     JOIN movies m ON m.movie_id = r.movie_id
+     WHERE r.user_id = $1 AND ${VISIBLE_REVIEW}
+     ORDER BY r.updated_at DESC, r.review_id DESC
+     LIMIT $2`,
+    [owner.user_id, FEED_SIZE]
+  );
+  const entries = toEntries(reviews, {
+    baseUrl,
+    entryTitle: (r) =>
+      `${r.title}${r.release_year ? ` (${r.release_year})` : ""}: ${
+        r.rating
+      }/10`,
+  });
+  const path = `/users/${encodeURIComponent(owner.username)}`;
+  return {
+    title: `${owner.username}'s reviews on Movie Meter`,
+    description: `The latest movie reviews by ${owner.username}.`,
+    homeUrl: `${baseUrl}${path}`,
+    selfPath: `${path}/reviews`,
+    updated: newest(entries, new Date(0)),
+    entries,
+  };
+}
+
+// A movie's review feed, or null if the movie isn't in the database. An
+// empty feed counts as updated at the Unix epoch.
+async function loadMovieFeed(db, imdbId, { baseUrl }) {
+  const movie = await db.oneOrNone(
+    "SELECT movie_id, imdb_id, title, release_year FROM movies WHERE imdb_id = $1",
+    [imdbId]
+  );
+  if (!movie) return null;
+
+  const reviews = await db.any(
+    `SELECT ${REVIEW_COLUMNS}
+     FROM reviews r
+     JOIN users u ON u.user_id = r.user_id
+     JOIN movies m ON m.movie_id = r.movie_id
+     WHERE r.movie_id = $1 AND ${VISIBLE_REVIEW}
+       AND u.profile_visibility = 'public' AND u.delete_after IS NULL
+     ORDER BY r.updated_at DESC, r.review_id DESC
+     LIMIT $2`,
+    [movie.movie_id, FEED_SIZE]
+  );
+  const entries = toEntries(reviews, {
+    baseUrl,
+    entryTitle: (r) => `${r.username} rated ${r.title} ${r.rating}/10`,
+  });
+  const name = `${movie.title}${
+    movie.release_year ? ` (${movie.release_year})` : ""
+  }`;
+  const path = `/movies/${encodeURIComponent(movie.imdb_id)}`;
+  return {
+    title: `Reviews of ${name} on Movie Meter`,
+    description: `The latest Movie Meter reviews of ${name}.`,
+    homeUrl: `${baseUrl}${path}`,
+    selfPath: `${path}/reviews`,
+    updated: newest(entries, new Date(0)),
+    entries,
+  };
+}
+
+const iso = (date) => new Date(date).toISOString();
+
+function renderAtom(feed, selfUrl) {
+  const entries = feed.entries.map(
+    (entry) => `  <entry>
+    <title>${escapeHtml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(entry.url)}"/>
+    <id>${escapeHtml(entry.id)}</id>
+    <published>${iso(entry.published)}</published>
+    <updated>${iso(entry.updated)}</updated>
+    <author>
+      <name>${escapeHtml(entry.author)}</name>
+      <uri>${escapeHtml(entry.authorUrl)}</uri>
+    </author>
+    <summary type="text">${escapeHtml(entry.summary)}</summary>
+    <content type="html">${escapeHtml(entry.html)}</content>
+  </entry>
+`
+  );
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeHtml(feed.homeUrl)}"/>
+  <link rel="self" type="${FORMATS.atom}" href="${escapeHtml(selfUrl)}"/>
+  <id>${escapeHtml(selfUrl)}</id>
+  <updated>${iso(feed.updated)}</updated>
+  <generator>Movie Meter</generator>
+${entries.join("")}</feed>
+`;
+}
+
+function renderRss(feed, selfUrl) {
+  const items = feed.entries.map(
+    (entry) => `    <item>
+      <title>${escapeHtml(entry.title)}</title>
+      <link>${escapeHtml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(entry.id)}</guid>
+      <dc:creator>${escapeHtml(entry.author)}</dc:creator>
+      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>
+      <description>${escapeHtml(entry.html)}</description>
+    </item>
+`
+  );
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <atom:link rel="self" type="${FORMATS.rss}" href="${escapeHtml(selfUrl)}"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <generator>Movie Meter</generator>
+${items.join("")}  </channel>
+</rss>
+`;
+}
+
+function renderJsonFeed(feed, selfUrl) {
+  return `${JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.homeUrl,
+      feed_url: selfUrl,
+      items: feed.entries.map((entry) => ({
+        id: entry.id,
+        url: entry.url,
+        title: entry.title,
+        content_html: entry.html,
+        summary: entry.summary,
+        date_published: iso(entry.published),
+        date_modified: iso(entry.updated),
+        authors: [{ name: entry.author, url: entry.authorUrl }],
+      })),
+    },
+    null,
+    2
+  )}\n`;
+}
+
+const RENDERERS = { atom: renderAtom, rss: renderRss, json: renderJsonFeed };
+
+// The feed in one of FORMATS, as { body, type, etag, lastModified } for the
+// response
+function renderFeed(feed, format, { baseUrl }) {
+  const selfUrl = `${baseUrl}${feed.selfPath}.${format}`;
+  const body = RENDERERS[format](feed, selfUrl);
+  return {
+    body,
+    type: `${FORMATS[format]}; charset=utf-8`,
+    etag: `"${crypto.createHash("sha1").update(body).digest("hex")}"`,
+    lastModified: new Date(feed.updated).toUTCString(),
+  };
+}
+
+module.exports = {
+  FEED_SIZE,
+  FORMATS,
+  loadUserFeed,
+  loadMovieFeed,
+  renderFeed,
+};
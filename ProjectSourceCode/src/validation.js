@@ -0,0 +1,207 @@
+// *****************************************************
+// Request Validation
+// *****************************************************
+// Routes declare what they accept as a schema with optional params, query
+// and body sections, each mapping a field name to its rule:
+//
+//   type       "string" (default), "int", "id", "date", "imdbId", "enum"
+//              or "boolean" (a checkbox: present means true)
+//   label      catalog key of the field's name in messages (defaults to
+//              the field name)
+//   required   reject a missing or blank value
+//   min, max   bounds for "int"
+//   maxLength  for "string", counted after trimming
+//   pattern    a RegExp a "string" must match
+//   values     the allowed values for "enum"
+//   trim       false keeps surrounding whitespace (default true)
+//
+// validate(schema) checks a request before the route runs and leaves the
+// cleaned values in req.input; blank optional fields become null. Invalid
+// requests never reach the route. JSON requests get a 400 listing every
+// field error, in English like the rest of the JSON API; HTML forms are
+// re-rendered through the route's render callback so the user sees what
+// to fix in their language, or get the generic error page when there is
+// no form to go back to (a tampered button, say).
+
+const { DEFAULT_LOCALE, translate, message } = require("./i18n");
+
+const IMDB_ID = /^tt\d{7,10}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isJsonRequest = (req) =>
+  req.is("application/json") ||
+  req.headers["content-type"] === "application/json";
+
+// Error body shared with the JSON API: { error: { code, message, details? } }
+function errorBody(code, message, details) {
+  const error = { code, message };
+  if (details) error.details = details;
+  return { error };
+}
+
+// Checks one value against its rule; returns { value } or { error } where
+// error is a message() naming the field's label
+function checkField(name, rule, raw) {
+  const type = rule.type || "string";
+  const invalid = (key, params) => ({
+    error: message(key, { label: rule.label || name, ...params }),
+  });
+
+  if (Array.isArray(raw)) {
+    return invalid("validation.repeated");
+  }
+  if (raw !== undefined && raw !== null && typeof raw === "object") {
+    return invalid("validation.invalid");
+  }
+
+  if (type === "boolean") {
+    return { value: [true, "true", "on", "1", 1].includes(raw) };
+  }
+
+  let value = raw === undefined || raw === null ? "" : String(raw);
+  if (rule.trim !== false) value = value.trim();
+  if (value === "") {
+    return rule.required ? invalid("validation.required") : { value: null };
+  }
+
+  switch (type) {
+    case "int":
+    case "id": {
+      const number = Number(value);
+      const min = type === "id" ? 1 : rule.min;
+      if (!/^-?\d+$/.test(value) || !Number.isSafeInteger(number)) {
+        return invalid("validation.wholeNumber");
+      }
+      if (
+        (min !== undefined && number < min) ||
+        (rule.max !== undefined && number > rule.max)
+      ) {
+        return rule.max !== undefined
+          ? invalid("validation.between", { min, max: rule.max })
+          : invalid("validation.atLeast", { min });
+      }
+      return { value: number };
+    }
+    case "date": {
+      const date = new Date(`${value}T00:00:00Z`);
+      return DATE.test(value) &&
+        !Number.isNaN(date.getTime()) &&
+        date.toISOString().startsWith(value)
+        ? { value }
+        : invalid("validation.date");
+    }
+    case "imdbId":
+      return IMDB_ID.test(value) ? { value } : invalid("validation.imdbId");
+    case "enum":
+      return rule.values.map(String).includes(value)
+        ? { value }
+        : invalid("validation.oneOf", { values: rule.values.join(", ") });
+    case "string":
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return invalid("validation.tooLong", { count: rule.maxLength });
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return invalid("validation.invalid");
+      }
+      return { value };
+    default:
+      throw new Error(`Unknown validation type "${type}" for ${name}`);
+  }
+}
+
+// A field error's message in locale, with the field's label translated too
+function errorMessage(locale, { key, params }) {
+  return translate(locale, key, {
+    ...params,
+    label: translate(locale, params.label),
+  });
+}
+
+// Checks every section of the schema against the request. Returns
+// { values, errors } where errors is a list of { field, key, params }; an
+// invalid field keeps what was sent so the form can show it again.
+function checkInput(schema, req) {
+  const values = {};
+  const errors = [];
+  for (const section of ["params", "query", "body"]) {
+    const source = req[section] || {};
+    for (const [name, rule] of Object.entries(schema[section] || {})) {
+      const { value, error } = checkField(name, rule, source[name]);
+      if (error) {
+        errors.push({ field: name, ...error });
+        values[name] = typeof source[name] === "string" ? source[name] : "";
+      } else {
+        values[name] = value;
+      }
+    }
+  }
+  return { values, errors };
+}
+
+// { field: message } for templates, first message per field, in locale
+function fieldErrors(errors, locale) {
+  const byField = {};
+  for (const error of errors) {
+    if (!byField[error.field]) {
+      byField[error.field] = errorMessage(locale, error);
+    }
+  }
+  return byField;
+}
+
+// Route middleware. render(req, res, { fieldErrors, values }) re-renders
+// the form for HTML requests (res already has status 400); json(res,
+// errors) overrides the JSON body for routes with an older contract, with
+// errors as { field, message }.
+function validate(schema, { render, json } = {}) {
+  return async (req, res, next) => {
+    const { values, errors } = checkInput(schema, req);
+    if (!errors.length) {
+      req.input = values;
+      return next();
+    }
+
+    res.status(400);
+    if (isJsonRequest(req)) {
+      const details = errors.map((error) => ({
+        field: error.field,
+        message: errorMessage(DEFAULT_LOCALE, error),
+      }));
+      return json
+        ? json(res, details)
+        : res.json(
+            errorBody(
+              "validation_failed",
+              "Some fields are missing or invalid.",
+              details
+            )
+          );
+    }
+    try {
+      if (render) {
+        await render(req, res, {
+          fieldErrors: fieldErrors(errors, req.locale),
+          values,
+        });
+      } else {
+        res.render("error", {
+          title: translate(req.locale, "errors.badTitle"),
+          message: translate(req.locale, "errors.invalidForm"),
+          details: errors.map((error) => errorMessage(req.locale, error)),
+        });
+      }
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  isJsonRequest,
+  errorBody,
+  checkField,
+  errorMessage,
+  checkInput,
+  fieldErrors,
+  validate,
+};
@@ -0,0 +1,133 @@
+// *****************************************************
+// Watchlist & Diary Storage
+// *****************************************************
+// user_list holds movies a user still wants to see, ordered by priority
+// (1 = high, 2 = normal, 3 = low) and then by a per-user position. Watching
+// a movie logs a diary_entries row; any entry after a user's first viewing
+// of a movie counts as a rewatch.
+
+const PRIORITIES = { 1: "High", 2: "Normal", 3: "Low" };
+
+// Adds a movie at the end of the list. Resolves to true if it was added,
+// false if it was already there.
+async function addToWatchlist(db, { userId, movieId }) {
+  const added = await db.oneOrNone(
+    `INSERT INTO user_list (user_id, movie_id, position)
+     SELECT $1, $2, COALESCE(MAX(position), 0) + 1
+     FROM user_list WHERE user_id = $1
+     ON CONFLICT (user_id, movie_id) DO NOTHING
+     RETURNING list_id`,
+    [userId, movieId]
+  );
+  return !!added;
+}
+
+async function removeFromWatchlist(db, { userId, movieId }) {
+  const result = await db.result(
+    "DELETE FROM user_list WHERE user_id = $1 AND movie_id = $2",
+    [userId, movieId]
+  );
+  return result.rowCount > 0;
+}
+
+async function setPriority(db, { userId, movieId, priority }) {
+  const value = parseInt(priority, 10);
+  if (!PRIORITIES[value]) return false;
+
+  const result = await db.result(
+    "UPDATE user_list SET priority = $3 WHERE user_id = $1 AND movie_id = $2",
+    [userId, movieId, value]
+  );
+  return result.rowCount > 0;
+}
+
+// Swaps the entry with its neighbour within the same priority group
+function moveEntry(db, { userId, movieId, direction }) {
+  return db.tx(async (t) => {
+    const entry = await t.oneOrNone(
+      `SELECT list_id, priority, position FROM user_list
+       WHERE user_id = $1 AND movie_id = $2
+       FOR UPDATE`,
+      [userId, movieId]
+    );
+    if (!entry) return false;
+
+    const neighbour = await t.oneOrNone(
+      direction === "up"
+        ? `SELECT list_id, position FROM user_list
+           WHERE user_id = $1 AND priority = $2 AND position < $3
+           ORDER BY position DESC LIMIT 1`
+        : `SELECT list_id, position FROM user_list
+           WHERE user_id = $1 AND priority = $2 AND position > $3
+           ORDER BY position ASC LIMIT 1`,
+      [userId, entry.priority, entry.position]
+    );
+    if (!neighbour) return false;
+
+    await t.none("UPDATE user_list SET position = $2 WHERE list_id = $1", [
+      entry.list_id,
+      neighbour.position,
+    ]);
+    await t.none("UPDATE user_list SET position = $2 WHERE list_id = $1", [
+      neighbour.list_id,
+      entry.position,
+    ]);
+    return true;
+  });
+}
+
+// Logs a viewing and takes the movie off the watchlist. Resolves to the new
+// diary entry.
+function logWatch(db, { userId, movieId, watchedOn }) {
+  return db.tx(async (t) => {
+    const entry = await t.one(
+      `INSERT INTO diary_entries (user_id, movie_id, watched_on)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [userId, movieId, watchedOn]
+    );
+    await t.none("DELETE FROM user_list WHERE user_id = $1 AND movie_id = $2", [
+      userId,
+      movieId,
+    ]);
+    return entry;
+  });
+}
+
+// The user's diary, newest viewing first, with rewatches flagged
+function loadDiary(db, userId) {
+  return db.any(
+    `SELECT d.entry_id, d.watched_on, m.imdb_id, m.title, m.release_year,
+            r.rating, d.viewing > 1 AS rewatch
+     FROM (
+       SELECT *, ROW_NUMBER() OVER (
+         PARTITION BY movie_id ORDER BY watched_on, entry_id
+       ) AS viewing
+       FROM diary_entries
+       WHERE user_id = $1
+     ) d
+     JOIN movies m ON d.movie_id = m.movie_id
+     LEFT JOIN reviews r ON r.user_id = d.user_id AND r.movie_id = d.movie_id
+     ORDER BY d.watched_on DESC, d.entry_id DESC`,
+    [userId]
+  );
+}
+
+async function deleteDiaryEntry(db, { userId, entryId }) {
+  const result = await db.result(
+    "DELETE FROM diary_entries WHERE entry_id = $1 AND user_id = $2",
+    [entryId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  PRIORITIES,
+  addToWatchlist,
+  removeFromWatchlist,
+  setPriority,
+  moveEntry,
+  logWatch,
+  loadDiary,
+  deleteDiaryEntry,
+};
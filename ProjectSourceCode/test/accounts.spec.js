@@ -0,0 +1,153 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { parseCsv, formatCsv } = require("../src/csv");
+const { exportCsv } = require("../src/accounts");
+
+const archive = {
+  reviews: [
+    {
+      imdb_id: "tt1160419",
+      title: "Dune",
+      release_year: 2021,
+      rating: 9,
+      review_text: 'Big, "sandy"\nworms',
+    },
+    {
+      imdb_id: "tt0133093",
+      title: "The Matrix",
+      release_year: 1999,
+      rating: 8,
+      review_text: null,
+    },
+  ],
+  diary: [
+    {
+      imdb_id: "tt1160419",
+      title: "Dune",
+      release_year: 2021,
+      watched_on: "2024-03-02",
+      rewatch: true,
+    },
+    {
+      imdb_id: "tt1160419",
+      title: "Dune",
+      release_year: 2021,
+      watched_on: "2023-11-20",
+      rewatch: false,
+    },
+  ],
+  comments: [
+    {
+      imdb_id: "tt0133093",
+      title: "The Matrix",
+      review_author: "neo",
+      reply: false,
+      body: '=HYPERLINK("http://example.com")',
+      created_at: new Date("2024-03-03T10:00:00Z"),
+    },
+  ],
+  notifications: [
+    {
+      type: "follow",
+      actor: "trinity",
+      imdb_id: null,
+      title: null,
+      created_at: new Date("2024-03-04T10:00:00Z"),
+      read_at: null,
+    },
+  ],
+};
+
+// ********************** Account Data Export ****************************
+
+describe("Account Data Export", () => {
+  it("Writes CSV that reads back to the same fields", () => {
+    const rows = [
+      ["Dune", 'Big, "sandy"\nworms', " padded", 2021],
+      ["", null, undefined, true],
+    ];
+    const text = formatCsv(["a", "b", "c", "d"], rows);
+    expect(text.endsWith("\r\n")).to.equal(true);
+    expect(parseCsv(text)).to.deep.equal([
+      ["a", "b", "c", "d"],
+      ["Dune", 'Big, "sandy"\nworms', " padded", "2021"],
+      ["", "", "", "true"],
+    ]);
+  });
+
+  it("Keeps spreadsheets from running text as a formula", () => {
+    const text = formatCsv(
+      ["text"],
+      [
+        ["=1+1"],
+        ["+1"],
+        ["-1"],
+        ["@SUM(A1)"],
+        ["\t=1+1"],
+        ["\r=1+1"],
+        ["a=b"],
+        [-1],
+      ]
+    );
+    expect(parseCsv(text).slice(1)).to.deep.equal([
+      ["'=1+1"],
+      ["'+1"],
+      ["'-1"],
+      ["'@SUM(A1)"],
+      ["'\t=1+1"],
+      ["'\r=1+1"],
+      ["a=b"],
+      ["-1"],
+    ]);
+  });
+
+  it("Exports comments and notifications", () => {
+    expect(parseCsv(exportCsv(archive, "comments"))).to.deep.equal([
+      ["imdb_id", "title", "review_author", "reply", "body", "created_at"],
+      [
+        "tt0133093",
+        "The Matrix",
+        "neo",
+        "false",
+        '\'=HYPERLINK("http://example.com")',
+        "2024-03-03T10:00:00.000Z",
+      ],
+    ]);
+    expect(parseCsv(exportCsv(archive, "notifications"))).to.deep.equal([
+      ["type", "actor", "imdb_id", "title", "created_at", "read_at"],
+      ["follow", "trinity", "", "", "2024-03-04T10:00:00.000Z", ""],
+    ]);
+  });
+
+  it("Puts a review on the latest viewing for Letterboxd", () => {
+    const [header, ...rows] = parseCsv(exportCsv(archive, "letterboxd"));
+    expect(header).to.deep.equal([
+      "Title",
+      "Year",
+      "imdbID",
+      "Rating10",
+      "WatchedDate",
+      "Rewatch",
+      "Review",
+    ]);
+    expect(rows).to.deep.equal([
+      [
+        "Dune",
+        "2021",
+        "tt1160419",
+        "9",
+        "2024-03-02",
+        "Yes",
+        'Big, "sandy"\nworms',
+      ],
+      ["Dune", "2021", "tt1160419", "", "2023-11-20", "", ""],
+      ["The Matrix", "1999", "tt0133093", "8", "", "", ""],
+    ]);
+  });
+
+  it("Has no export by an unknown name", () => {
+    expect(exportCsv(archive, "passwords")).to.equal(null);
+  });
+});
@@ -0,0 +1,49 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { createMovieProvider } = require("../src/providers");
+const { searchMovies } = require("../src/api/v1");
+
+// ********************** JSON API ****************************
+
+describe("JSON API Movie Search", () => {
+  const provider = createMovieProvider({ env: { MOVIE_PROVIDER: "fixture" } });
+
+  it("Pages past the provider's first page of results", async () => {
+    const all = (await provider.searchPage("a", 1)).total;
+    expect(all).to.be.above(10);
+
+    const first = await searchMovies(provider, "a", { offset: 0, perPage: 5 });
+    const third = await searchMovies(provider, "a", { offset: 10, perPage: 5 });
+    expect(first.total).to.equal(all);
+    expect(third.total).to.equal(all);
+    expect(third.movies).to.have.lengthOf(Math.min(all - 10, 5));
+    expect((await provider.searchPage("a", 2)).movies[0]).to.deep.equal(
+      third.movies[0]
+    );
+  });
+
+  it("Joins provider pages when a page straddles them", async () => {
+    const { movies: ten } = await provider.searchPage("a", 1);
+    const { movies: next } = await provider.searchPage("a", 2);
+    const page = await searchMovies(provider, "a", { offset: 8, perPage: 4 });
+    expect(page.movies).to.deep.equal([...ten.slice(8), ...next.slice(0, 2)]);
+  });
+
+  it("Returns an empty page beyond the last result", async () => {
+    // Like OMDb, answers pages past the end with the last page again
+    const repeating = {
+      searchPage: async () => ({ movies: [{ imdbID: "tt1" }], total: 1 }),
+    };
+    expect(
+      await searchMovies(repeating, "a", { offset: 20, perPage: 20 })
+    ).to.deep.equal({ movies: [], total: 1 });
+
+    const page = await searchMovies(provider, "a", {
+      offset: 1000,
+      perPage: 20,
+    });
+    expect(page.movies).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,46 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { buildThreads, MAX_THREAD_DEPTH } = require("../src/discussion");
+
+// ********************** Comment Threads ****************************
+
+describe("Comment Threads", () => {
+  it("Nests replies under the comment they answer", () => {
+    const threads = buildThreads([
+      { comment_id: 1, parent_id: null },
+      { comment_id: 2, parent_id: 1 },
+      { comment_id: 3, parent_id: null },
+      { comment_id: 4, parent_id: 2 },
+      { comment_id: 5, parent_id: 1 },
+    ]);
+    expect(threads.map((c) => c.comment_id)).to.deep.equal([1, 3]);
+    expect(threads[0].replies.map((c) => c.comment_id)).to.deep.equal([2, 5]);
+    expect(threads[0].replies[0].replies[0]).to.include({
+      comment_id: 4,
+      depth: 2,
+    });
+  });
+
+  it("Keeps very deep replies at the maximum depth", () => {
+    const comments = [{ comment_id: 1, parent_id: null }];
+    for (let id = 2; id <= MAX_THREAD_DEPTH + 3; id++) {
+      comments.push({ comment_id: id, parent_id: id - 1 });
+    }
+    const depths = [];
+    const walk = (nodes) =>
+      nodes.forEach((node) => {
+        depths.push(node.depth);
+        walk(node.replies);
+      });
+    walk(buildThreads(comments));
+    expect(depths).to.have.lengthOf(comments.length);
+    expect(Math.max(...depths)).to.equal(MAX_THREAD_DEPTH);
+  });
+
+  it("Shows replies to a missing comment at the top level", () => {
+    const threads = buildThreads([{ comment_id: 7, parent_id: 3 }]);
+    expect(threads[0]).to.include({ comment_id: 7, depth: 0 });
+  });
+});
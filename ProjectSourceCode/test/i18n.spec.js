@@ -0,0 +1,99 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  translate,
+  formatNumber,
+  formatDate,
+  formatMonth,
+  parseAcceptLanguage,
+  detectLocale,
+  checkCatalogs,
+} = require("../src/i18n");
+
+// ********************** Translations ****************************
+
+describe("Translations", () => {
+  it("Picks the plural form for the count", () => {
+    expect(translate("en", "movies.ratings", { count: 1 })).to.equal(
+      "1 rating"
+    );
+    expect(translate("en", "movies.ratings", { count: 12345 })).to.equal(
+      "12,345 ratings"
+    );
+    expect(translate("es", "movies.ratings", { count: 1 })).to.equal(
+      "1 puntuación"
+    );
+    expect(translate("es", "movies.ratings", { count: 12345 })).to.equal(
+      "12.345 puntuaciones"
+    );
+  });
+
+  it("Fills in parameters and leaves unknown ones alone", () => {
+    expect(translate("es", "digest.greeting", { username: "bo" })).to.equal(
+      "Hola, bo:"
+    );
+    expect(translate("en", "digest.greeting")).to.equal("Hi {username},");
+  });
+
+  it("Falls back to English, then to the key", () => {
+    expect(translate("fr", "nav.signOut")).to.equal("Sign Out");
+    expect(translate("es", "no.such.key")).to.equal("no.such.key");
+  });
+
+  it("Formats numbers and dates for the locale", () => {
+    expect(
+      formatNumber("es", 7.4, {
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1,
+      })
+    ).to.equal("7,4");
+    expect(formatNumber("en", null)).to.equal("");
+    expect(formatDate("en", "2026-10-19T12:00:00Z")).to.equal("Oct 19, 2026");
+    expect(formatDate("es", "2026-10-19T12:00:00Z")).to.equal("19 oct 2026");
+    expect(formatMonth("en", "2026-02")).to.equal("Feb");
+    expect(formatMonth("es", "2026-02")).to.equal("feb");
+  });
+
+  it("Orders Accept-Language tags by preference", () => {
+    expect(
+      parseAcceptLanguage("fr;q=0.5, es-MX, *;q=0.1, en;q=0.8, de;q=0")
+    ).to.deep.equal(["es-mx", "en", "fr"]);
+    expect(parseAcceptLanguage(undefined)).to.deep.equal([]);
+  });
+
+  it("Prefers the saved language, then the browser's, then English", () => {
+    expect(detectLocale({ preferred: "es", acceptLanguage: "en" })).to.equal(
+      "es"
+    );
+    expect(detectLocale({ preferred: null, acceptLanguage: "es-MX" })).to.equal(
+      "es"
+    );
+    expect(detectLocale({ acceptLanguage: "fr, de;q=0.9" })).to.equal("en");
+    expect(detectLocale()).to.equal("en");
+  });
+
+  it("Finds no problems in the shipped catalogs", () => {
+    expect(checkCatalogs()).to.deep.equal([]);
+  });
+
+  it("Reports missing, unknown and undefined keys", () => {
+    const problems = checkCatalogs({
+      catalogs: {
+        en: {
+          "a.one": "One",
+          "a.count": { one: "{count} x", other: "{count} xs" },
+        },
+        es: { "a.count": "{count}", "a.extra": "Extra" },
+      },
+      used: new Map([["a.gone", new Set(["pages/x.hbs"])]]),
+    });
+    expect(problems).to.deep.equal([
+      'es: missing "a.one"',
+      'es: "a.count" should be plural only if en is',
+      'es: unknown "a.extra"',
+      'en: missing "a.gone" (used in pages/x.hbs)',
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { createMovieProvider } = require("../src/providers");
+const { parseCsv } = require("../src/csv");
+const { letterboxdRating, parseExport, resolveRow } = require("../src/imports");
+
+// ********************** CSV Imports ****************************
+
+describe("CSV Imports", () => {
+  const provider = createMovieProvider({ env: { MOVIE_PROVIDER: "fixture" } });
+
+  it("Reads quoted fields with commas, quotes and line breaks", () => {
+    const rows = parseCsv(
+      '\uFEFFName,Review\r\n"Dune","Big, ""sandy""\nworms"\r\n\r\n'
+    );
+    expect(rows).to.deep.equal([
+      ["Name", "Review"],
+      ["Dune", 'Big, "sandy"\nworms'],
+    ]);
+  });
+
+  it("Maps Letterboxd half-stars onto 1–10", () => {
+    expect(letterboxdRating("0.5")).to.equal(1);
+    expect(letterboxdRating("3.5")).to.equal(7);
+    expect(letterboxdRating("5")).to.equal(10);
+    expect(letterboxdRating("")).to.equal(null);
+  });
+
+  it("Recognizes each export and flags unusable lines", () => {
+    const letterboxd = parseExport(
+      "Date,Name,Year,Letterboxd URI,Rating\n" +
+        "2024-01-02,Inception,2010,https://boxd.it/a,4.5\n" +
+        "2024-01-03,The Matrix,1999,https://boxd.it/b,\n"
+    );
+    expect(letterboxd.format).to.equal("letterboxd_ratings");
+    expect(letterboxd.rows[0]).to.include({
+      title: "Inception",
+      year: 2010,
+      rating: 9,
+      kind: "rating",
+    });
+    expect(letterboxd.rows[1].problem).to.equal(
+      "import.problems.missingRating"
+    );
+
+    const imdb = parseExport(
+      "Const,Your Rating,Date Rated,Title,URL,Title Type,Year\n" +
+        "tt0133093,8,2023-05-01,The Matrix,https://www.imdb.com/title/tt0133093/,Movie,1999\n"
+    );
+    expect(imdb.format).to.equal("imdb_ratings");
+    expect(imdb.rows[0]).to.include({ imdbId: "tt0133093", rating: 8 });
+
+    const watchlist = parseExport(
+      "Date,Name,Year,Letterboxd URI\n2024-02-01,Dune,2021,https://boxd.it/c\n"
+    );
+    expect(watchlist.format).to.equal("letterboxd_watchlist");
+
+    expect(parseExport("title,stars\nDune,5\n").error).to.deep.equal({
+      key: "import.errors.unknownFormat",
+      params: {},
+    });
+  });
+
+  it("Resolves lines by IMDb ID, or by title and year", async () => {
+    expect(
+      await resolveRow(provider, { title: "x", imdbId: "tt0133093" })
+    ).to.include({ status: "matched", imdbId: "tt0133093" });
+    expect(
+      await resolveRow(provider, { title: "Dune", year: 2021 })
+    ).to.include({ status: "matched", imdbId: "tt1160419" });
+
+    const remakes = await resolveRow(provider, { title: "Dune", year: null });
+    expect(remakes.status).to.equal("ambiguous");
+    expect(remakes.candidates).to.have.lengthOf(2);
+
+    expect(
+      await resolveRow(provider, { title: "Not A Real Movie", year: 2001 })
+    ).to.include({ status: "unmatched" });
+  });
+});
@@ -0,0 +1,72 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { startIntervalJob } = require("../src/jobs");
+
+// ********************** Background Jobs ****************************
+
+describe("Background Jobs", () => {
+  const ONE_HOUR = 60 * 60 * 1000;
+  // Lets a run that has already finished its work release the job
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  it("Runs once at startup and can be run again by hand", async () => {
+    let runs = 0;
+    const job = startIntervalJob(async () => {
+      runs++;
+    }, ONE_HOUR);
+    try {
+      expect(runs).to.equal(1);
+      await settle();
+      await job.run();
+      expect(runs).to.equal(2);
+    } finally {
+      job.stop();
+    }
+  });
+
+  it("Skips a run while the last one is still going", async () => {
+    let runs = 0;
+    let finish;
+    const job = startIntervalJob(() => {
+      runs++;
+      return new Promise((resolve) => (finish = resolve));
+    }, ONE_HOUR);
+    try {
+      await job.run();
+      expect(runs).to.equal(1);
+      finish();
+      await settle();
+      const next = job.run();
+      expect(runs).to.equal(2);
+      finish();
+      await next;
+    } finally {
+      job.stop();
+    }
+  });
+
+  it("Keeps going after a run fails", async () => {
+    let runs = 0;
+    const logged = [];
+    const { error } = console;
+    console.error = (...args) => logged.push(args.join(" "));
+    try {
+      const job = startIntervalJob(async () => {
+        runs++;
+        throw new Error("database is down");
+      }, ONE_HOUR);
+      await settle();
+      await job.run();
+      job.stop();
+    } finally {
+      console.error = error;
+    }
+    expect(runs).to.equal(2);
+    expect(logged).to.deep.equal([
+      "Error in background job: database is down",
+      "Error in background job: database is down",
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  CHANNEL,
+  parseChange,
+  createReviewEvents,
+  formatEvent,
+} = require("../src/liveReviews");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Live Review Updates ****************************
+
+describe("Live Review Updates", () => {
+  const payload = (fields) =>
+    JSON.stringify({ op: "update", movie_id: 4, review_id: 9, ...fields });
+
+  it("Parses change notifications", () => {
+    expect(parseChange(payload({ op: "insert" }))).to.deep.equal({
+      change: "created",
+      movieId: 4,
+      reviewId: 9,
+    });
+    expect(parseChange(payload({ op: "delete" })).change).to.equal("deleted");
+    expect(parseChange(payload({ op: "truncate" }))).to.equal(null);
+    expect(parseChange("not json")).to.equal(null);
+  });
+
+  it("Listens once and sends changes to the movie's subscribers", async () => {
+    const db = fakeDb();
+    const events = createReviewEvents(db);
+    const received = { four: [], five: [] };
+
+    const unsubscribe = events.subscribe(4, (e) => received.four.push(e));
+    events.subscribe(5, (e) => received.five.push(e));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(db.connects).to.equal(1);
+    expect(db.callsTo("none")).to.deep.equal([[CHANNEL]]);
+
+    db.handlers.notification({ payload: payload() });
+    expect(received.four).to.have.length(1);
+    expect(received.five).to.have.length(0);
+
+    unsubscribe();
+    db.handlers.notification({ payload: payload() });
+    expect(received.four).to.have.length(1);
+
+    events.stop();
+    expect(db.closed).to.equal(true);
+  });
+
+  it("Formats Server-Sent Events", () => {
+    expect(formatEvent("remove", { reviewId: 9 })).to.equal(
+      'event: remove\ndata: {"reviewId":9}\n\n'
+    );
+  });
+});
@@ -0,0 +1,38 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMailer } = require("../src/mailers");
+
+// ********************** Mailers ****************************
+
+describe("Mailers", () => {
+  it("Writes outgoing mail to the outbox directory", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+    try {
+      const mailer = createMailer({ env: { MAIL_OUTBOX: dir } });
+      const { file } = await mailer.send({
+        to: "ann@example.com",
+        subject: "Hello",
+        text: "Line one\nLine two",
+      });
+
+      expect(path.dirname(file)).to.equal(dir);
+      const message = fs.readFileSync(file, "utf8");
+      expect(message).to.include("To: ann@example.com\r\n");
+      expect(message).to.include("Subject: Hello\r\n");
+      expect(message.endsWith("Line one\nLine two")).to.equal(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Refuses an unknown mailer", () => {
+    expect(() => createMailer({ env: { MAILER: "pigeon" } })).to.throw(
+      /Unknown MAILER/
+    );
+  });
+});
@@ -0,0 +1,69 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { renderMarkup, plainExcerpt } = require("../src/markup");
+
+// ********************** Review Markup ****************************
+
+describe("Review Markup", () => {
+  it("Renders paragraphs, emphasis, quotes and links", () => {
+    const html = renderMarkup(
+      "**Great** and *tense*.\nSecond line\n\n> A quote\n\n[Trailer](https://example.com/t)"
+    );
+    expect(html).to.equal(
+      "<p><strong>Great</strong> and <em>tense</em>.<br>\nSecond line</p>\n" +
+        "<blockquote><p>A quote</p></blockquote>\n" +
+        '<p><a href="https://example.com/t" rel="nofollow ugc noopener" target="_blank">Trailer</a></p>'
+    );
+  });
+
+  it("Escapes HTML and refuses links that aren't http(s)", () => {
+    const html = renderMarkup(
+      '<img src=x onerror="alert(1)"> [click](javascript:alert(1)) [x](https://a.io/"onmouseover=")'
+    );
+    expect(html).to.not.match(/<img|<a href="javascript/);
+    expect(html).to.include("&lt;img src=x onerror=&quot;alert(1)&quot;&gt;");
+    expect(html).to.include("[click](javascript:alert(1))");
+    expect(html).to.include('href="https://a.io/%22onmouseover=%22"');
+  });
+
+  it("Shows quote markers past five levels as typed", () => {
+    expect(renderMarkup(">>>>>> deep")).to.equal(
+      "<blockquote>".repeat(5) + "<p>&gt; deep</p>" + "</blockquote>".repeat(5)
+    );
+    // Far below the review length limit, and once enough to overflow the stack
+    const html = renderMarkup(">".repeat(2000) + " hi");
+    expect(html.match(/<blockquote>/g)).to.have.lengthOf(5);
+    expect(html).to.include("&gt;".repeat(1995) + " hi");
+    expect(plainExcerpt(">".repeat(2000) + " hi")).to.match(/^>+/);
+  });
+
+  it("Leaves snake_case and escaped characters alone", () => {
+    expect(renderMarkup("my_var_name and \\*stars\\*")).to.equal(
+      "<p>my_var_name and *stars*</p>"
+    );
+  });
+
+  it("Wraps spoilers so they can be covered", () => {
+    expect(renderMarkup("The twist: ||he was dead||")).to.include(
+      '<span class="spoiler" tabindex="0" title="Spoiler: click to show">he was dead</span>'
+    );
+    expect(
+      renderMarkup("The twist: ||he was **dead**||", { hideSpoilers: true })
+    ).to.equal('<p>The twist: <span class="spoiler">[spoiler]</span></p>');
+    expect(renderMarkup("||he was dead||", { locale: "es" })).to.include(
+      'title="Spoiler: haz clic para verlo"'
+    );
+  });
+
+  it("Makes short plain-text excerpts without spoilers", () => {
+    expect(
+      plainExcerpt("**Wow.**\n\n> Quote\n\n||Bruce dies|| [site](https://a.io)")
+    ).to.equal("Wow. Quote [spoiler] site");
+
+    const excerpt = plainExcerpt("word ".repeat(100), 50);
+    expect(excerpt.length).to.be.at.most(50);
+    expect(excerpt).to.match(/word…$/);
+  });
+});
@@ -0,0 +1,82 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  loadMigrations,
+  migrationStatus,
+  migrate,
+  rollback,
+} = require("../src/migrations");
+const { fakeDb } = require("./support/fakeDb");
+
+// A database whose schema_migrations table holds the given rows. Migration
+// steps note what they ran in db.ran.
+function migratedDb(applied = []) {
+  const rows = applied.map((row) => ({ ...row, applied_at: new Date() }));
+  const db = fakeDb({ one: () => ({ exists: true }), any: [rows] });
+  db.ran = [];
+  return db;
+}
+
+// The schema_migrations rows written or deleted, leaving out statements
+// such as CREATE TABLE that take no values
+const recorded = (db) => db.callsTo("none").filter((values) => values.length);
+
+const step = (version, name) => ({
+  version,
+  name,
+  up: async (t) => t.ran.push(`up ${version}`),
+  down: async (t) => t.ran.push(`down ${version}`),
+});
+
+// ********************** Schema Migrations ****************************
+
+describe("Schema Migrations", () => {
+  it("Numbers the repo's migrations 1, 2, 3… with up and down steps", () => {
+    const migrations = loadMigrations();
+    expect(migrations).to.not.be.empty;
+    migrations.forEach((migration, i) => {
+      expect(migration.version).to.equal(i + 1);
+      expect(migration.up).to.be.a("function");
+      expect(migration.down).to.be.a("function");
+    });
+  });
+
+  it("Applies only pending migrations, in order, and records them", async () => {
+    const db = migratedDb([{ version: 1, name: "first" }]);
+    const migrations = [step(1, "first"), step(2, "second"), step(3, "third")];
+
+    const applied = await migrate(db, { migrations });
+    expect(applied).to.deep.equal(["002_second", "003_third"]);
+    expect(db.ran).to.deep.equal(["up 2", "up 3"]);
+    expect(recorded(db)).to.deep.equal([
+      [2, "second"],
+      [3, "third"],
+    ]);
+  });
+
+  it("Rolls back the newest migrations first", async () => {
+    const db = migratedDb([
+      { version: 1, name: "first" },
+      { version: 2, name: "second" },
+    ]);
+    const migrations = [step(1, "first"), step(2, "second")];
+
+    const undone = await rollback(db, { steps: 2, migrations });
+    expect(undone).to.deep.equal(["002_second", "001_first"]);
+    expect(db.ran).to.deep.equal(["down 2", "down 1"]);
+    expect(recorded(db)).to.deep.equal([[2], [1]]);
+  });
+
+  it("Flags applied migrations whose files are missing", async () => {
+    const db = migratedDb([{ version: 7, name: "gone" }]);
+    const status = await migrationStatus(db, [step(1, "first")]);
+    expect(
+      status.map((m) => [m.version, !!m.appliedAt, m.missing])
+    ).to.deep.equal([
+      [1, false, false],
+      [7, true, true],
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  hasRole,
+  canModerate,
+  hideReview,
+  setRole,
+} = require("../src/moderation");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Moderation ****************************
+
+describe("Moderation", () => {
+  it("Ranks roles from member to admin", () => {
+    expect(hasRole("admin", "moderator")).to.equal(true);
+    expect(hasRole("moderator", "moderator")).to.equal(true);
+    expect(hasRole("user", "moderator")).to.equal(false);
+    expect(hasRole("moderator", "admin")).to.equal(false);
+  });
+
+  it("Only lets moderators act on accounts ranked below them", () => {
+    const mod = { user_id: 1, role: "moderator" };
+    const admin = { user_id: 2, role: "admin" };
+    expect(canModerate(mod, { user_id: 3, role: "user" })).to.equal(true);
+    expect(canModerate(mod, { user_id: 4, role: "moderator" })).to.equal(false);
+    expect(canModerate(mod, admin)).to.equal(false);
+    expect(canModerate(admin, mod)).to.equal(true);
+    expect(canModerate(admin, admin)).to.equal(false);
+  });
+
+  it("Closes a hidden review's reports and logs who hid it", async () => {
+    const db = fakeDb({
+      oneOrNone: [{ review_id: 5, user_id: 9 }],
+      result: [{ rowCount: 2 }],
+    });
+
+    const review = await hideReview(db, {
+      reviewId: 5,
+      moderatorId: 1,
+      note: "slurs",
+    });
+    expect(review).to.deep.equal({ review_id: 5, user_id: 9 });
+    expect(db.callsTo("result")).to.deep.equal([[5, 1, "hidden"]]);
+    expect(db.callsOn("moderation_actions")).to.deep.equal([
+      [1, "hide_review", 9, 5, "slurs", null],
+    ]);
+  });
+
+  it("Logs the role given as a key, apart from the note", async () => {
+    const db = fakeDb({ result: [{ rowCount: 1 }] });
+    expect(
+      await setRole(db, {
+        userId: 9,
+        moderatorId: 1,
+        role: "moderator",
+        note: "Runs the film club",
+      })
+    ).to.equal(true);
+    expect(db.callsOn("moderation_actions")).to.deep.equal([
+      [1, "set_role", 9, null, "Runs the film club", "moderator"],
+    ]);
+  });
+});
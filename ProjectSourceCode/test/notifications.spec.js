@@ -0,0 +1,98 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  TYPES,
+  notify,
+  describe: describeNotification,
+  digestEmail,
+  sendDigests,
+} = require("../src/notifications");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Notifications ****************************
+
+describe("Notifications", () => {
+  const reviewRow = {
+    actor: "maria",
+    title: "Heat",
+    imdb_id: "tt0113277",
+    review_id: 12,
+  };
+
+  it("Describes each type with a link to what it is about", () => {
+    for (const type of Object.keys(TYPES)) {
+      const { text, href } = describeNotification({ ...reviewRow, type });
+      expect(text).to.include("maria");
+      expect(href).to.match(/^\//);
+    }
+    expect(
+      describeNotification({ ...reviewRow, type: "review_helpful" })
+    ).to.deep.equal({
+      text: "maria found your review of Heat helpful",
+      href: "/reviews?imdbID=tt0113277#review-12",
+    });
+    expect(
+      describeNotification({ ...reviewRow, type: "follow" }).href
+    ).to.equal("/users/maria");
+  });
+
+  it("Rejects unknown notification types", async () => {
+    const db = {
+      result: () => {
+        throw new Error("should not query");
+      },
+    };
+    let error;
+    try {
+      await notify(db, { type: "nope", actorId: 1 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an("error");
+    expect(error.message).to.include("nope");
+  });
+
+  it("Writes a digest that lists notifications with absolute links", () => {
+    const { subject, text } = digestEmail({
+      username: "sam",
+      notifications: [
+        describeNotification({ ...reviewRow, type: "follow" }),
+        describeNotification({ ...reviewRow, type: "review_comment" }),
+      ],
+      unread: 5,
+      baseUrl: "https://example.com",
+    });
+    expect(subject).to.equal("You have 5 new notifications on Movie Meter");
+    expect(text).to.include("Hi sam,");
+    expect(text).to.include("- maria started following you");
+    expect(text).to.include(
+      "https://example.com/reviews?imdbID=tt0113277#review-12"
+    );
+    expect(text).to.include("…and 3 more.");
+  });
+
+  it("Emails one digest per user and records that it was sent", async () => {
+    // Users due a digest, then each one's unread notifications
+    const db = fakeDb({
+      any: [
+        [{ user_id: 7, username: "sam", email: "sam@example.com" }],
+        [{ ...reviewRow, type: "follow", total_count: "1" }],
+      ],
+    });
+    const sent = [];
+    const mailer = { send: async (message) => sent.push(message) };
+
+    const count = await sendDigests(db, mailer, {
+      baseUrl: "http://localhost:3000",
+    });
+    expect(count).to.equal(1);
+    expect(sent).to.have.length(1);
+    expect(sent[0]).to.include({
+      to: "sam@example.com",
+      subject: "You have 1 new notification on Movie Meter",
+    });
+    expect(db.callsTo("none")).to.deep.equal([[7]]);
+  });
+});
@@ -0,0 +1,105 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { createOmdbCache } = require("../src/omdbCache");
+const { fakeDb } = require("./support/fakeDb");
+
+// An omdb_cache table kept in db.rows, keyed by cache key
+function cacheDb() {
+  const rows = new Map();
+  const db = fakeDb({
+    oneOrNone: ([key]) => rows.get(key) || null,
+    none: ([key, payload]) => {
+      rows.set(key, { payload, fetched_at: new Date() });
+    },
+    one: () => ({ entries: rows.size }),
+  });
+  db.rows = rows;
+  return db;
+}
+
+const HOUR = 1000 * 60 * 60;
+
+// ********************** OMDb Cache ****************************
+
+describe("OMDb Cache", () => {
+  it("Serves a fresh entry without calling the loader again", async () => {
+    const cache = createOmdbCache(cacheDb());
+    let calls = 0;
+    const loader = async () => ({ Title: "Dune", call: ++calls });
+
+    await cache.get("omdb:t=dune", { ttl: HOUR }, loader);
+    const second = await cache.get("omdb:t=dune", { ttl: HOUR }, loader);
+
+    expect(calls).to.equal(1);
+    expect(second.call).to.equal(1);
+    const stats = await cache.getStats();
+    expect(stats.misses).to.equal(1);
+    expect(stats.hits).to.equal(1);
+  });
+
+  it("Coalesces concurrent lookups for the same key", async () => {
+    const cache = createOmdbCache(cacheDb());
+    let calls = 0;
+    const loader = () =>
+      new Promise((resolve) => setTimeout(() => resolve({ n: ++calls }), 10));
+
+    const results = await Promise.all([
+      cache.get("omdb:s=batman", { ttl: HOUR }, loader),
+      cache.get("omdb:s=batman", { ttl: HOUR }, loader),
+      cache.get("omdb:s=batman", { ttl: HOUR }, loader),
+    ]);
+
+    expect(calls).to.equal(1);
+    results.forEach((result) => expect(result.n).to.equal(1));
+  });
+
+  it("Returns stale data immediately and refreshes in the background", async () => {
+    const db = cacheDb();
+    db.rows.set("omdb:i=tt1160419", {
+      payload: { version: "old" },
+      fetched_at: new Date(Date.now() - 2 * HOUR),
+    });
+    const cache = createOmdbCache(db);
+
+    const value = await cache.get(
+      "omdb:i=tt1160419",
+      { ttl: HOUR, staleTtl: 24 * HOUR },
+      async () => ({ version: "new" })
+    );
+    expect(value.version).to.equal("old");
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(db.rows.get("omdb:i=tt1160419").payload.version).to.equal("new");
+  });
+
+  it("Falls back to an expired entry when the loader fails", async () => {
+    const db = cacheDb();
+    db.rows.set("omdb:t=inception", {
+      payload: { Title: "Inception" },
+      fetched_at: new Date(Date.now() - 30 * 24 * HOUR),
+    });
+    const cache = createOmdbCache(db);
+
+    const value = await cache.get("omdb:t=inception", { ttl: HOUR }, async () => {
+      throw new Error("timeout of 5000ms exceeded");
+    });
+
+    expect(value.Title).to.equal("Inception");
+    expect((await cache.getStats()).fallbacks).to.equal(1);
+  });
+
+  it("Rethrows when the loader fails and nothing is cached", async () => {
+    const cache = createOmdbCache(cacheDb());
+    let error;
+    try {
+      await cache.get("omdb:t=missing", { ttl: HOUR }, async () => {
+        throw new Error("Request limit reached!");
+      });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal("Request limit reached!");
+  });
+});
@@ -0,0 +1,48 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { parsePage, pager } = require("../src/pagination");
+
+// ********************** Page Navigation ****************************
+
+describe("Page Navigation", () => {
+  it("Reads page numbers, falling back to the first page", () => {
+    expect(parsePage("3")).to.equal(3);
+    expect(parsePage(undefined)).to.equal(1);
+    expect(parsePage("0")).to.equal(1);
+    expect(parsePage("abc")).to.equal(1);
+  });
+
+  it("Keeps the rest of the query string in page links", () => {
+    const links = pager({
+      path: "/profile",
+      query: { sort: "title_asc", reviews_page: "2", watchlist_page: "3" },
+      param: "reviews_page",
+      anchor: "reviews",
+      page: 2,
+      perPage: 10,
+      total: 35,
+    });
+    expect(links.totalPages).to.equal(4);
+    expect(links.prevHref).to.equal(
+      "/profile?sort=title_asc&watchlist_page=3#reviews"
+    );
+    expect(links.nextHref).to.equal(
+      "/profile?sort=title_asc&watchlist_page=3&reviews_page=3#reviews"
+    );
+  });
+
+  it("Has no controls when everything fits on one page", () => {
+    expect(pager({ path: "/feed", page: 1, perPage: 20, total: 20 })).to.equal(
+      null
+    );
+  });
+
+  it("Links back to the last page from past the end", () => {
+    const links = pager({ path: "/feed", page: 9, perPage: 20, total: 45 });
+    expect(links.pastEnd).to.equal(true);
+    expect(links.prevHref).to.equal("/feed?page=3");
+    expect(links.nextHref).to.equal(null);
+  });
+});
@@ -0,0 +1,121 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  validatePassword,
+  validateEmail,
+  requestPasswordReset,
+  setPassword,
+  resetPassword,
+} = require("../src/passwords");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Passwords ****************************
+
+describe("Passwords", () => {
+  it("Rejects short, overlong and mismatched new passwords", () => {
+    expect(validatePassword("short")).to.have.property("key");
+    expect(validatePassword("é".repeat(40))).to.have.property("key");
+    expect(validatePassword("long enough", "long enougj")).to.have.property(
+      "key"
+    );
+    expect(validatePassword("long enough", "long enough")).to.equal(null);
+    expect(validatePassword("long enough")).to.equal(null);
+  });
+
+  it("Accepts only plausible email addresses", () => {
+    expect(validateEmail("ann@example.com")).to.equal(null);
+    expect(validateEmail("ann@example")).to.have.property("key");
+    expect(validateEmail("ann @example.com")).to.have.property("key");
+    expect(validateEmail("")).to.have.property("key");
+  });
+
+  it("Mails a reset link holding a token that isn't stored in plain text", async () => {
+    const db = fakeDb({
+      oneOrNone: [{ user_id: 7, username: "ann", email: "ann@example.com" }],
+    });
+    const sent = [];
+    const mailer = { send: async (message) => sent.push(message) };
+
+    await requestPasswordReset(db, mailer, {
+      login: "ann",
+      baseUrl: "http://localhost:3000",
+    });
+
+    expect(sent).to.have.lengthOf(1);
+    expect(sent[0].to).to.equal("ann@example.com");
+    const [, token] = sent[0].text.match(/\/password\/reset\/([0-9a-f]{64})/);
+    const [[tokenHash, userId]] = db.callsTo("none");
+    expect(userId).to.equal(7);
+    expect(tokenHash).to.have.lengthOf(64);
+    expect(tokenHash).to.not.equal(token);
+  });
+
+  it("Writes the reset email in the account's language", async () => {
+    const db = fakeDb({
+      oneOrNone: [
+        {
+          user_id: 7,
+          username: "ana",
+          email: "ana@example.com",
+          language: "es",
+        },
+      ],
+    });
+    const sent = [];
+    const mailer = { send: async (message) => sent.push(message) };
+
+    await requestPasswordReset(db, mailer, {
+      login: "ana",
+      baseUrl: "http://localhost:3000",
+      locale: "en",
+    });
+    expect(sent[0].subject).to.equal("Restablece tu contraseña de Movie Meter");
+    expect(sent[0].text).to.include("Hola, ana:");
+    expect(sent[0].text).to.include("caduca en 60 minutos");
+
+    // Accounts that never picked one get the language the form was in
+    const unset = fakeDb({
+      oneOrNone: [{ user_id: 8, username: "ann", email: "ann@example.com" }],
+    });
+    await requestPasswordReset(unset, mailer, {
+      login: "ann",
+      baseUrl: "http://localhost:3000",
+      locale: "es",
+    });
+    expect(sent[1].text).to.include("Hola, ann:");
+  });
+
+  it("Revokes API tokens when the password changes", async () => {
+    const db = fakeDb();
+    await setPassword(db, 7, "long enough");
+    expect(db.callsOn("api_tokens")).to.deep.equal([[7]]);
+  });
+
+  it("Revokes API tokens when a reset link is used", async () => {
+    const db = fakeDb({ oneOrNone: [{ user_id: 7, username: "ann" }] });
+    const user = await resetPassword(db, {
+      token: "abc",
+      password: "long enough",
+    });
+    expect(user.username).to.equal("ann");
+    expect(db.callsOn("api_tokens")).to.deep.equal([[7]]);
+
+    const spent = fakeDb();
+    expect(
+      await resetPassword(spent, { token: "used", password: "long enough" })
+    ).to.equal(null);
+    expect(spent.callsTo("none")).to.deep.equal([]);
+  });
+
+  it("Sends nothing when no account with an email matches", async () => {
+    const db = fakeDb();
+    const mailer = {
+      send: async () => {
+        throw new Error("should not send");
+      },
+    };
+    await requestPasswordReset(db, mailer, { login: "nobody", baseUrl: "" });
+  });
+});
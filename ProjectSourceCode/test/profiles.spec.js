@@ -0,0 +1,28 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { canViewProfile } = require("../src/profiles");
+
+const owner = (profile_visibility) => ({ user_id: 1, profile_visibility });
+
+// ********************** Profile Visibility ****************************
+
+describe("Profile Visibility", () => {
+  it("Shows public profiles to everyone, including signed-out visitors", () => {
+    expect(canViewProfile(owner("public"), null, false)).to.equal(true);
+    expect(canViewProfile(owner("public"), 2, false)).to.equal(true);
+  });
+
+  it("Shows followers-only profiles to followers and the owner", () => {
+    expect(canViewProfile(owner("followers"), 2, true)).to.equal(true);
+    expect(canViewProfile(owner("followers"), 1, false)).to.equal(true);
+    expect(canViewProfile(owner("followers"), 2, false)).to.equal(false);
+    expect(canViewProfile(owner("followers"), null, false)).to.equal(false);
+  });
+
+  it("Shows private profiles only to the owner", () => {
+    expect(canViewProfile(owner("private"), 1, false)).to.equal(true);
+    expect(canViewProfile(owner("private"), 2, true)).to.equal(false);
+  });
+});
@@ -0,0 +1,52 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { createMovieProvider } = require("../src/providers");
+
+// ********************** Fixture Provider ****************************
+
+describe("Fixture Movie Provider", () => {
+  const provider = createMovieProvider({ env: { MOVIE_PROVIDER: "fixture" } });
+
+  it("Searches titles case-insensitively", async () => {
+    const results = await provider.search("batman");
+    expect(results).to.not.be.empty;
+    results.forEach((movie) => expect(movie.Title).to.match(/batman/i));
+  });
+
+  it("Pages through search results ten at a time", async () => {
+    const first = await provider.searchPage("a", 1);
+    const second = await provider.searchPage("a", 2);
+    expect(first.movies).to.have.lengthOf(10);
+    expect(second.total).to.equal(first.total);
+    expect(second.movies).to.have.lengthOf(Math.min(first.total - 10, 10));
+    const ids = first.movies.map((movie) => movie.imdbID);
+    second.movies.forEach((movie) => expect(ids).to.not.include(movie.imdbID));
+  });
+
+  it("Looks movies up by IMDb ID", async () => {
+    const movie = await provider.getById("tt0087182");
+    expect(movie.Title).to.equal("Dune");
+    expect(movie.Year).to.equal("1984");
+    expect(movie.url).to.equal("https://www.imdb.com/title/tt0087182");
+  });
+
+  it("Tells remakes apart by year when looking up by title", async () => {
+    const remake = await provider.getByTitle("Dune", 2021);
+    expect(remake.imdbID).to.equal("tt1160419");
+  });
+
+  it("Returns null for unknown movies", async () => {
+    expect(await provider.getById("tt0000000")).to.equal(null);
+    expect(await provider.getByTitle("Not A Real Movie")).to.equal(null);
+  });
+});
+
+describe("Movie Provider Selection", () => {
+  it("Rejects an unknown MOVIE_PROVIDER", () => {
+    expect(() =>
+      createMovieProvider({ env: { MOVIE_PROVIDER: "nope" } })
+    ).to.throw(/Unknown MOVIE_PROVIDER/);
+  });
+});
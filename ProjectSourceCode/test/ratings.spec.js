@@ -0,0 +1,41 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { summarize, parseView } = require("../src/ratings");
+
+// ********************** Community Ratings ****************************
+
+describe("Community Ratings", () => {
+  it("Summarizes rating counts into a mean, count and 1–10 histogram", () => {
+    const summary = summarize([
+      { rating: 8, n: 3 },
+      { rating: 10, n: 1 },
+      { rating: 3, n: 1 },
+    ]);
+
+    expect(summary.count).to.equal(5);
+    expect(summary.mean).to.equal(7.4);
+    expect(summary.histogram).to.have.length(10);
+    expect(summary.histogram[7]).to.deep.equal({
+      rating: 8,
+      count: 3,
+      percent: 100,
+    });
+    expect(summary.histogram[9].percent).to.equal(33);
+    expect(summary.histogram[0].count).to.equal(0);
+  });
+
+  it("Has no mean when nobody has rated the movie", () => {
+    const summary = summarize([]);
+    expect(summary.mean).to.equal(null);
+    expect(summary.count).to.equal(0);
+  });
+
+  it("Parses leaderboard views and defaults to all-time", () => {
+    expect(parseView("month")).to.include({ month: true, decade: null });
+    expect(parseView("1990s")).to.include({ month: false, decade: 1990 });
+    expect(parseView("1995s").view).to.equal("all");
+    expect(parseView(undefined).view).to.equal("all");
+  });
+});
@@ -0,0 +1,67 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  buildIndex,
+  similarity,
+  rankPopular,
+  recommendFor,
+} = require("../src/recommendations");
+
+// user 1 and user 2 agree closely; user 3 disagrees with user 1
+const ratings = [
+  { user_id: 1, movie_id: 10, rating: 9 },
+  { user_id: 1, movie_id: 11, rating: 8 },
+  { user_id: 1, movie_id: 12, rating: 2 },
+  { user_id: 2, movie_id: 10, rating: 9 },
+  { user_id: 2, movie_id: 11, rating: 7 },
+  { user_id: 2, movie_id: 12, rating: 3 },
+  { user_id: 2, movie_id: 20, rating: 9 },
+  { user_id: 2, movie_id: 21, rating: 8 },
+  { user_id: 3, movie_id: 10, rating: 2 },
+  { user_id: 3, movie_id: 12, rating: 10 },
+  { user_id: 3, movie_id: 30, rating: 10 },
+];
+
+const recommend = (userId, exclude = new Set(), limit = 10) => {
+  const index = buildIndex(ratings);
+  return recommendFor(index, userId, {
+    exclude,
+    popular: rankPopular(index),
+    limit,
+  });
+};
+
+// ********************** Recommendations ****************************
+
+describe("Recommendations", () => {
+  it("Scores users who rate alike above users who don't", () => {
+    const index = buildIndex(ratings);
+    expect(similarity(index.get(1), index.get(2))).to.be.above(0.5);
+    expect(similarity(index.get(1), index.get(3))).to.be.below(0);
+  });
+
+  it("Recommends what similar users rated highly, with a reason", () => {
+    const picks = recommend(1);
+    const similar = picks.filter((pick) => pick.source === "similar");
+
+    expect(similar.map((pick) => pick.movieId)).to.deep.equal([20, 21]);
+    expect(similar[0].reasonMovieId).to.equal(10);
+  });
+
+  it("Never recommends movies the user reviewed or saved", () => {
+    const picks = recommend(1, new Set([20]));
+    const ids = picks.map((pick) => pick.movieId);
+
+    expect(ids).to.not.include.members([10, 11, 12, 20]);
+  });
+
+  it("Falls back to community favourites for users with no ratings", () => {
+    const picks = recommend(99, new Set(), 3);
+
+    expect(picks).to.have.length(3);
+    picks.forEach((pick) => expect(pick.source).to.equal("popular"));
+    expect(picks[0].reasonMovieId).to.equal(null);
+  });
+});
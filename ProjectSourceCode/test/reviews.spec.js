@@ -0,0 +1,107 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const { saveReview, updateReview, deleteReview } = require("../src/reviews");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Review Storage ****************************
+
+describe("Review Storage", () => {
+  const stored = (fields) => ({
+    review_id: 4,
+    user_id: 1,
+    movie_id: 3,
+    rating: 7,
+    review_text: "Good.",
+    contains_spoilers: true,
+    updated_at: new Date("2026-01-01T00:00:00Z"),
+    ...fields,
+  });
+  // Answers an UPDATE … RETURNING * with the review as changed
+  const updated = ([review_id, rating, review_text, contains_spoilers]) =>
+    stored({ review_id, rating, review_text, contains_spoilers });
+
+  it("Inserts a first review and updates it on the next save", async () => {
+    const fresh = fakeDb({
+      one: ([user_id, movie_id, rating, review_text, contains_spoilers]) =>
+        stored({ user_id, movie_id, rating, review_text, contains_spoilers }),
+    });
+    const first = await saveReview(fresh, {
+      userId: 1,
+      movieId: 3,
+      rating: 7,
+      reviewText: "Good.",
+    });
+    expect(first.created).to.equal(true);
+    expect(first.review).to.include({ rating: 7, contains_spoilers: false });
+    expect(fresh.callsTo("none")).to.deep.equal([]);
+
+    const db = fakeDb({ oneOrNone: [stored()], one: updated });
+    const again = await saveReview(db, {
+      userId: 1,
+      movieId: 3,
+      rating: 9,
+      reviewText: "Better the second time.",
+    });
+    expect(again.created).to.equal(false);
+    expect(again.review).to.include({
+      review_id: 4,
+      rating: 9,
+      review_text: "Better the second time.",
+    });
+    expect(db.callsTo("oneOrNone")).to.deep.equal([[1, 3]]);
+  });
+
+  it("Records the replaced version as a revision", async () => {
+    const db = fakeDb({ oneOrNone: [stored()], one: updated });
+    const { review } = await saveReview(db, {
+      userId: 1,
+      movieId: 3,
+      rating: 9,
+      reviewText: "Better.",
+    });
+    expect(db.callsTo("none")).to.deep.equal([
+      [4, 7, "Good.", new Date("2026-01-01T00:00:00Z")],
+    ]);
+    // Leaving the spoiler flag out keeps the review's current setting
+    expect(review.contains_spoilers).to.equal(true);
+
+    const edit = fakeDb({ oneOrNone: [review], one: updated });
+    const changed = await updateReview(edit, {
+      reviewId: 4,
+      userId: 1,
+      changes: { rating: 10 },
+    });
+    expect(edit.callsTo("none")).to.have.lengthOf(1);
+    expect(edit.callsTo("none")[0].slice(0, 3)).to.deep.equal([
+      4,
+      9,
+      "Better.",
+    ]);
+    expect(changed).to.include({ rating: 10, review_text: "Better." });
+  });
+
+  it("Only lets the author update or delete a review", async () => {
+    // The author's own review is looked up by both ids; nobody else's matches
+    const db = fakeDb();
+    expect(
+      await updateReview(db, {
+        reviewId: 4,
+        userId: 2,
+        changes: { rating: 1 },
+      })
+    ).to.equal(null);
+    expect(await deleteReview(db, { reviewId: 4, userId: 2 })).to.equal(null);
+    expect(db.callsTo("oneOrNone")).to.deep.equal([
+      [4, 2],
+      [4, 2],
+    ]);
+    expect(db.callsTo("one")).to.deep.equal([]);
+    expect(db.callsTo("none")).to.deep.equal([]);
+
+    const own = fakeDb({ oneOrNone: [stored()] });
+    const deleted = await deleteReview(own, { reviewId: 4, userId: 1 });
+    expect(deleted.review_id).to.equal(4);
+  });
+});
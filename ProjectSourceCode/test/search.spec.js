@@ -0,0 +1,47 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  parseFilters,
+  hasLocalFilters,
+  inYearRange,
+  highlight,
+} = require("../src/search");
+
+// ********************** Search ****************************
+
+describe("Search", () => {
+  it("Parses the discover form and ignores out-of-range values", () => {
+    const filters = parseFilters({
+      title: "  heist  ",
+      year_from: "2010",
+      year_to: "1990",
+      min_rating: "11",
+      watchlist: "on",
+    });
+
+    expect(filters).to.deep.equal({
+      q: "heist",
+      yearFrom: 1990,
+      yearTo: 2010,
+      minRating: null,
+      onWatchlist: true,
+      followed: false,
+    });
+    expect(hasLocalFilters(filters)).to.equal(true);
+  });
+
+  it("Matches provider years, including ranges like 2010–2014", () => {
+    const filters = { yearFrom: 2000, yearTo: 2012 };
+    expect(inYearRange(filters, "2010–2014")).to.equal(true);
+    expect(inYearRange(filters, "1999")).to.equal(false);
+    expect(inYearRange({}, "N/A")).to.equal(true);
+  });
+
+  it("Escapes snippet HTML before marking matches", () => {
+    expect(highlight("<b>great</b> ⟦heist⟧ movie")).to.equal(
+      "&lt;b&gt;great&lt;/b&gt; <mark>heist</mark> movie"
+    );
+  });
+});
@@ -80,6 +80,19 @@ describe("Testing Redirect", () => {
         done();
       });
   });
+
+  // Movie detail pages are keyed on IMDb ID and are private like /discover
+  it("/movies/:imdbID route should redirect to /login when not authenticated", (done) => {
+    chai
+      .request(server)
+      .get("/movies/tt0087182")
+      .redirects(0)
+      .end((err, res) => {
+        res.should.have.status(302);
+        res.should.redirectTo(/\/login$/);
+        done();
+      });
+  });
 });
 
 // *********************** Testing Duplicate Username **************************
@@ -116,3 +129,90 @@ describe("Testing Duplicate Username", () => {
       });
   });
 });
+
+// *********************** Testing JSON API **************************
+
+describe("Testing JSON API", () => {
+  it("/api/v1/openapi.json should describe the API without signing in", (done) => {
+    chai
+      .request(server)
+      .get("/api/v1/openapi.json")
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.openapi).to.match(/^3\./);
+        expect(res.body.paths).to.have.property("/reviews");
+        done();
+      });
+  });
+
+  it("Negative: /api/v1/me/watchlist should return a JSON 401 when not authenticated", (done) => {
+    chai
+      .request(server)
+      .get("/api/v1/me/watchlist")
+      .end((err, res) => {
+        expect(res).to.have.status(401);
+        expect(res.body.error.code).to.equal("unauthorized");
+        done();
+      });
+  });
+});
+
+// *********************** Testing Shared Lists **************************
+
+describe("Testing Shared Lists", () => {
+  it("Negative: an invalid share link should return 404 without signing in", (done) => {
+    chai
+      .request(server)
+      .get("/shared/lists/not-a-real-link")
+      .end((err, res) => {
+        expect(res).to.have.status(404);
+        expect(res.text).to.include("isn&#x27;t shared");
+        done();
+      });
+  });
+
+  it("/lists route should redirect to /login when not authenticated", (done) => {
+    chai
+      .request(server)
+      .get("/lists")
+      .redirects(0)
+      .end((err, res) => {
+        expect(res).to.have.status(302);
+        expect(res).to.redirectTo(/\/login$/);
+        done();
+      });
+  });
+});
+
+// *********************** Testing Social **************************
+
+describe("Testing Social", () => {
+  it("/feed route should redirect to /login when not authenticated", (done) => {
+    chai
+      .request(server)
+      .get("/feed")
+      .redirects(0)
+      .end((err, res) => {
+        expect(res).to.have.status(302);
+        expect(res).to.redirectTo(/\/login$/);
+        done();
+      });
+  });
+});
+
+// *********************** Testing CSRF Protection **************************
+
+describe("Testing CSRF Protection", () => {
+  it("Negative: a form post without a CSRF token should return 403", (done) => {
+    chai
+      .request(server)
+      .post("/reviews/add")
+      .type("form")
+      .send({ imdbID: "tt0133093", rating: "8" })
+      .end((err, res) => {
+        expect(res).to.have.status(403);
+        expect(res.text).to.include("This page has expired");
+        done();
+      });
+  });
+});
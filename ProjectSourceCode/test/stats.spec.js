@@ -0,0 +1,97 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  movieCredits,
+  buildCharts,
+  recentMonthsStart,
+  fillMovieCredits,
+} = require("../src/stats");
+const { barChart } = require("../src/charts");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Profile Statistics ****************************
+
+const emptyStats = () => ({
+  distribution: Array.from({ length: 10 }, (_, i) => ({
+    rating: i + 1,
+    count: 0,
+  })),
+  averages: { count: 0, mine: null, community: null },
+  monthlyReviews: [{ month: "2026-01", count: 0 }],
+  decades: [],
+  genres: [],
+  directors: [],
+});
+
+describe("Profile Statistics", () => {
+  it("Splits OMDb genre and director lists", () => {
+    expect(
+      movieCredits({ Genre: "Action, Sci-Fi", Director: "N/A" })
+    ).to.deep.equal({ genres: ["Action", "Sci-Fi"], directors: [] });
+    expect(movieCredits(null)).to.deep.equal({ genres: [], directors: [] });
+  });
+
+  it("Leaves out charts with nothing to show", () => {
+    expect(buildCharts(emptyStats())).to.deep.equal({});
+  });
+
+  it("Draws each breakdown as inline SVG", () => {
+    const stats = emptyStats();
+    stats.distribution[7].count = 3;
+    stats.averages = { count: 3, mine: 8, community: 6.5 };
+    stats.monthlyReviews = [{ month: "2026-02", count: 3 }];
+    stats.decades = [{ decade: 1990, count: 3, average: 8 }];
+    stats.directors = [{ name: "Lana Wachowski", count: 1 }];
+
+    const charts = buildCharts(stats);
+    expect(Object.keys(charts)).to.have.members([
+      "distribution",
+      "averages",
+      "monthlyReviews",
+      "decades",
+      "directors",
+    ]);
+    expect(charts.distribution).to.match(/^<svg class="chart"/);
+    expect(charts.averages).to.include(">6.5</text>");
+    expect(charts.monthlyReviews).to.include("<title>Feb 2026: 3 reviews");
+    expect(charts.decades).to.include(">1990s</text>");
+  });
+
+  it("Escapes chart labels", () => {
+    const svg = barChart([{ label: "<b>Kids & Family</b>", value: 2 }], {
+      label: "Genres",
+    });
+    expect(svg).to.not.include("<b>");
+    expect(svg).to.include("&lt;b&gt;Kids &amp; Family&lt;/b&gt;");
+  });
+
+  it("Starts the recent months eleven months back", () => {
+    expect(recentMonthsStart(new Date(2026, 9, 19))).to.equal("2025-11-01");
+    expect(recentMonthsStart(new Date(2026, 0, 5))).to.equal("2025-02-01");
+  });
+
+  it("Fills in credits for movies saved without them", async () => {
+    const db = fakeDb({
+      any: [
+        [
+          { movie_id: 1, imdb_id: "tt0133093" },
+          { movie_id: 2, imdb_id: "tt0000000" },
+        ],
+      ],
+    });
+    const movieProvider = {
+      getById: async (imdbID) =>
+        imdbID === "tt0133093"
+          ? { Genre: "Action, Sci-Fi", Director: "Lana Wachowski" }
+          : null,
+    };
+
+    expect(await fillMovieCredits(db, movieProvider)).to.equal(2);
+    expect(db.callsTo("none")).to.deep.equal([
+      [1, ["Action", "Sci-Fi"], ["Lana Wachowski"]],
+      [2, [], []],
+    ]);
+  });
+});
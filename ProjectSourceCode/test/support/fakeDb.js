@@ -0,0 +1,69 @@
+// *****************************************************
+// Fake Database
+// *****************************************************
+// Stands in for pg-promise in unit tests. Each query method answers from
+// `answers[method]`: either a function of the query's values, or a list
+// of results handed out one per call (an entry may itself be a function of
+// the values). Methods with nothing left to give answer as an empty result
+// would. Every call is recorded in `db.calls` as { method, query, values },
+// and task/tx run their callback against the same object. Answers never
+// depend on the SQL text, so specs check what a module sends and does with
+// the results rather than how its queries are worded.
+
+const EMPTY = {
+  one: () => {
+    throw new Error("No data returned from the query.");
+  },
+  oneOrNone: () => null,
+  many: () => {
+    throw new Error("No data returned from the query.");
+  },
+  manyOrNone: () => [],
+  any: () => [],
+  none: () => undefined,
+  result: () => ({ rowCount: 0, rows: [] }),
+};
+
+function fakeDb(answers = {}) {
+  const queues = {};
+  const db = { calls: [], handlers: {}, connects: 0, closed: false };
+
+  for (const method of Object.keys(EMPTY)) {
+    const answer = answers[method];
+    if (Array.isArray(answer)) queues[method] = [...answer];
+    db[method] = async (query, values = []) => {
+      db.calls.push({ method, query, values });
+      let next = EMPTY[method];
+      if (typeof answer === "function") next = answer;
+      else if (queues[method] && queues[method].length) {
+        next = queues[method].shift();
+      }
+      return typeof next === "function" ? next(values) : next;
+    };
+  }
+
+  db.task = (fn) => fn(db);
+  db.tx = (fn) => fn(db);
+  // A dedicated connection, as used for LISTEN: queries go through the
+  // same answers and calls, and client events land in db.handlers
+  db.connect = async () => {
+    db.connects++;
+    return {
+      ...db,
+      client: { on: (name, handler) => (db.handlers[name] = handler) },
+      done: () => (db.closed = true),
+    };
+  };
+
+  // The values of the calls made with one method, in order
+  db.callsTo = (method) =>
+    db.calls.filter((call) => call.method === method).map((c) => c.values);
+  // The values of the calls that touch a table, in order
+  db.callsOn = (table) =>
+    db.calls
+      .filter((call) => new RegExp(`\\b${table}\\b`).test(call.query))
+      .map((c) => c.values);
+  return db;
+}
+
+module.exports = { fakeDb };
@@ -0,0 +1,156 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  loadUserFeed,
+  loadMovieFeed,
+  renderFeed,
+} = require("../src/syndication");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Review Feeds ****************************
+
+describe("Review Feeds", () => {
+  const baseUrl = "https://movies.example";
+  const review = (fields) => ({
+    review_id: 1,
+    rating: 8,
+    review_text: null,
+    contains_spoilers: false,
+    created_at: new Date("2026-01-02T10:00:00Z"),
+    updated_at: new Date("2026-01-02T10:00:00Z"),
+    username: "maria",
+    imdb_id: "tt0113277",
+    title: "Heat",
+    release_year: 1995,
+    ...fields,
+  });
+
+  // One movie and the given reviews
+  const movieDb = (reviews) =>
+    fakeDb({
+      oneOrNone: [
+        {
+          movie_id: 3,
+          imdb_id: "tt0113277",
+          title: "Heat",
+          release_year: 1995,
+        },
+      ],
+      any: [reviews],
+    });
+
+  it("Keeps spoilers out of movie feed entries", async () => {
+    const feed = await loadMovieFeed(
+      movieDb([
+        review({
+          review_id: 2,
+          review_text: "Tense. ||The ending||",
+          updated_at: new Date("2026-03-01T00:00:00Z"),
+        }),
+        review({
+          review_id: 1,
+          review_text: "Everything happens at the diner.",
+          contains_spoilers: true,
+        }),
+      ]),
+      "tt0113277",
+      { baseUrl }
+    );
+
+    expect(feed.title).to.equal("Reviews of Heat (1995) on Movie Meter");
+    expect(feed.updated.toISOString()).to.equal("2026-03-01T00:00:00.000Z");
+    const [inline, flagged] = feed.entries;
+    expect(inline.title).to.equal("maria rated Heat 8/10");
+    expect(inline.html).to.include("[spoiler]");
+    expect(inline.html).to.not.include("The ending");
+    expect(flagged.html).to.not.include("diner");
+    expect(flagged.summary).to.equal("This review contains spoilers.");
+    expect(flagged.url).to.equal(
+      "https://movies.example/reviews?imdbID=tt0113277#review-1"
+    );
+  });
+
+  // A public profile and the given reviews
+  const userDb = (reviews) =>
+    fakeDb({
+      oneOrNone: [{ user_id: 7, username: "maria" }],
+      any: [reviews],
+    });
+
+  it("Builds a user's feed from their reviews", async () => {
+    const db = userDb([
+      review({
+        review_text: "Tense.",
+        updated_at: new Date("2026-03-01T00:00:00Z"),
+      }),
+    ]);
+    const feed = await loadUserFeed(db, "maria", { baseUrl });
+
+    expect(db.callsTo("any")[0][0]).to.equal(7);
+    expect(feed.title).to.equal("maria's reviews on Movie Meter");
+    expect(feed.homeUrl).to.equal("https://movies.example/users/maria");
+    expect(feed.updated.toISOString()).to.equal("2026-03-01T00:00:00.000Z");
+    expect(feed.entries[0].title).to.equal("Heat (1995): 8/10");
+    expect(renderFeed(feed, "atom", { baseUrl }).body).to.include(
+      'href="https://movies.example/users/maria/reviews.atom"'
+    );
+  });
+
+  it("Gives a user with no reviews an empty feed", async () => {
+    const feed = await loadUserFeed(userDb([]), "maria", { baseUrl });
+    expect(feed.entries).to.deep.equal([]);
+    expect(feed.updated.getTime()).to.equal(0);
+    const atom = renderFeed(feed, "atom", { baseUrl });
+    expect(atom.lastModified).to.equal("Thu, 01 Jan 1970 00:00:00 GMT");
+  });
+
+  it("Has no feed for a profile that isn't public", async () => {
+    const db = fakeDb();
+    expect(await loadUserFeed(db, "maria", { baseUrl })).to.equal(null);
+    expect(db.callsTo("any")).to.deep.equal([]);
+  });
+
+  it("Renders Atom, RSS and JSON Feed with escaped content", async () => {
+    const feed = await loadMovieFeed(
+      movieDb([review({ review_text: "Pacino & De Niro <3" })]),
+      "tt0113277",
+      { baseUrl }
+    );
+
+    const atom = renderFeed(feed, "atom", { baseUrl });
+    expect(atom.type).to.equal("application/atom+xml; charset=utf-8");
+    expect(atom.body).to.include(
+      '<link rel="self" type="application/atom+xml" href="https://movies.example/movies/tt0113277/reviews.atom"/>'
+    );
+    expect(atom.body).to.include("<updated>2026-01-02T10:00:00.000Z</updated>");
+    expect(atom.body).to.include("Pacino &amp;amp; De Niro &amp;lt;3");
+    expect(atom.lastModified).to.equal("Fri, 02 Jan 2026 10:00:00 GMT");
+
+    const rss = renderFeed(feed, "rss", { baseUrl });
+    expect(rss.body).to.include('<rss version="2.0"');
+    expect(rss.body).to.include(
+      "<pubDate>Fri, 02 Jan 2026 10:00:00 GMT</pubDate>"
+    );
+
+    const json = JSON.parse(renderFeed(feed, "json", { baseUrl }).body);
+    expect(json.version).to.equal("https://jsonfeed.org/version/1.1");
+    expect(json.items[0]).to.include({
+      title: "maria rated Heat 8/10",
+      content_html: "<p>Pacino &amp; De Niro &lt;3</p>",
+      date_modified: "2026-01-02T10:00:00.000Z",
+    });
+  });
+
+  it("Gives the same feed the same ETag", async () => {
+    const load = (fields) =>
+      loadMovieFeed(movieDb([review(fields)]), "tt0113277", { baseUrl });
+    const first = renderFeed(await load({}), "atom", { baseUrl });
+    const again = renderFeed(await load({}), "atom", { baseUrl });
+    const edited = renderFeed(await load({ rating: 9 }), "atom", { baseUrl });
+    expect(first.etag).to.match(/^"[0-9a-f]{40}"$/);
+    expect(again.etag).to.equal(first.etag);
+    expect(edited.etag).to.not.equal(first.etag);
+  });
+});
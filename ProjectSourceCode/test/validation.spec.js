@@ -0,0 +1,139 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  checkField,
+  errorMessage,
+  checkInput,
+  validate,
+} = require("../src/validation");
+
+// ********************** Request Validation ****************************
+
+describe("Request Validation", () => {
+  const rating = { label: "Rating", type: "int", min: 1, max: 10 };
+
+  it("Keeps ratings within their bounds", () => {
+    expect(checkField("rating", rating, "7")).to.deep.equal({ value: 7 });
+    expect(
+      errorMessage("en", checkField("rating", rating, "0").error)
+    ).to.equal("Rating must be from 1 to 10.");
+    expect(checkField("rating", rating, "11").error).to.have.property("key");
+    expect(checkField("rating", rating, "7.5").error).to.have.property("key");
+    expect(checkField("rating", rating, "1e1").error).to.have.property("key");
+  });
+
+  it("Rejects blank required fields and blanks out optional ones", () => {
+    const title = { label: "Title", required: true, maxLength: 5 };
+    expect(
+      errorMessage("en", checkField("title", title, "   ").error)
+    ).to.equal("Title is required.");
+    expect(checkField("title", title, " Heat ")).to.deep.equal({
+      value: "Heat",
+    });
+    expect(checkField("title", title, "Casablanca").error).to.have.property(
+      "key"
+    );
+    expect(checkField("note", {}, "")).to.deep.equal({ value: null });
+  });
+
+  it("Checks IMDb IDs, dates and enums", () => {
+    expect(checkField("id", { type: "imdbId" }, "tt0133093").value).to.equal(
+      "tt0133093"
+    );
+    expect(
+      checkField("id", { type: "imdbId" }, "0133093").error
+    ).to.have.property("key");
+    expect(checkField("on", { type: "date" }, "2024-02-29").value).to.equal(
+      "2024-02-29"
+    );
+    expect(
+      checkField("on", { type: "date" }, "2023-02-29").error
+    ).to.have.property("key");
+    const direction = { type: "enum", values: ["up", "down"] };
+    expect(checkField("d", direction, "up").value).to.equal("up");
+    expect(checkField("d", direction, "left").error).to.have.property("key");
+  });
+
+  it("Refuses repeated and nested fields", () => {
+    expect(checkField("rating", rating, ["7", "8"]).error).to.have.property(
+      "key"
+    );
+    expect(checkField("rating", rating, { $gt: 0 }).error).to.have.property(
+      "key"
+    );
+  });
+
+  it("Words errors in the reader's language, labels included", () => {
+    const review = { label: "fields.review", maxLength: 10000 };
+    const { error } = checkField("review_text", review, "x".repeat(10001));
+    expect(error).to.deep.equal({
+      key: "validation.tooLong",
+      params: { label: "fields.review", count: 10000 },
+    });
+    expect(errorMessage("en", error)).to.equal(
+      "Review can be at most 10,000 characters."
+    );
+    expect(errorMessage("es", error)).to.equal(
+      "Reseña: puede tener como máximo 10.000 caracteres."
+    );
+    expect(
+      errorMessage("es", checkField("note", { required: true }, "").error)
+    ).to.equal("note: este campo es obligatorio.");
+  });
+
+  it("Re-renders forms in the reader's language and answers JSON in English", async () => {
+    const schema = { body: { rating: { ...rating, label: "fields.rating" } } };
+    const request = (contentType) => ({
+      locale: "es",
+      body: { rating: "11" },
+      headers: { "content-type": contentType },
+      is: (type) => type === contentType,
+    });
+    const response = () => ({
+      status() {
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+    });
+
+    let shown;
+    await validate(schema, {
+      render: (req, res, { fieldErrors }) => (shown = fieldErrors),
+    })(request("application/x-www-form-urlencoded"), response());
+    expect(shown).to.deep.equal({
+      rating: "Puntuación: debe estar entre 1 y 10.",
+    });
+
+    const res = response();
+    await validate(schema)(request("application/json"), res);
+    expect(res.body.error.details).to.deep.equal([
+      { field: "rating", message: "Rating must be from 1 to 10." },
+    ]);
+  });
+
+  it("Collects every error across params and body", () => {
+    const { values, errors } = checkInput(
+      {
+        params: { listId: { type: "id", required: true } },
+        body: {
+          title: { required: true },
+          is_public: { type: "boolean" },
+        },
+      },
+      { params: { listId: "abc" }, body: { title: "", is_public: "on" } }
+    );
+    expect(errors.map((error) => error.field)).to.deep.equal([
+      "listId",
+      "title",
+    ]);
+    expect(values).to.deep.equal({
+      listId: "abc",
+      title: "",
+      is_public: true,
+    });
+  });
+});
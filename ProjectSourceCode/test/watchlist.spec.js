@@ -0,0 +1,90 @@
+// ********************** Import Libraries ***********************************
+
+const chai = require("chai");
+const { expect } = chai;
+const {
+  addToWatchlist,
+  moveEntry,
+  logWatch,
+  loadDiary,
+} = require("../src/watchlist");
+const { fakeDb } = require("./support/fakeDb");
+
+// ********************** Watchlist & Diary ****************************
+
+describe("Watchlist & Diary", () => {
+  it("Adds a movie once", async () => {
+    // ON CONFLICT DO NOTHING returns no row for a movie already on the list
+    const db = fakeDb({ oneOrNone: [{ list_id: 1 }, null] });
+    expect(await addToWatchlist(db, { userId: 1, movieId: 5 })).to.equal(true);
+    expect(await addToWatchlist(db, { userId: 1, movieId: 5 })).to.equal(false);
+    expect(db.callsTo("oneOrNone")).to.deep.equal([
+      [1, 5],
+      [1, 5],
+    ]);
+  });
+
+  it("Swaps positions with the neighbour in the same priority", async () => {
+    const db = fakeDb({
+      oneOrNone: [
+        { list_id: 7, priority: 2, position: 3 },
+        { list_id: 6, position: 2 },
+      ],
+    });
+    expect(
+      await moveEntry(db, { userId: 1, movieId: 5, direction: "up" })
+    ).to.equal(true);
+    expect(db.callsTo("oneOrNone")[1]).to.deep.equal([1, 2, 3]);
+    expect(db.callsTo("none")).to.deep.equal([
+      [7, 2],
+      [6, 3],
+    ]);
+  });
+
+  it("Stops at either end of the list", async () => {
+    // First of its group: there is no neighbour to swap with
+    const first = fakeDb({
+      oneOrNone: [{ list_id: 7, priority: 1, position: 1 }, null],
+    });
+    expect(
+      await moveEntry(first, { userId: 1, movieId: 5, direction: "up" })
+    ).to.equal(false);
+    expect(first.callsTo("none")).to.deep.equal([]);
+
+    // Not on the list at all
+    const missing = fakeDb();
+    expect(
+      await moveEntry(missing, { userId: 1, movieId: 9, direction: "down" })
+    ).to.equal(false);
+    expect(missing.callsTo("oneOrNone")).to.have.lengthOf(1);
+  });
+
+  it("Takes a watched movie off the watchlist", async () => {
+    const db = fakeDb({
+      one: ([user_id, movie_id, watched_on]) => ({
+        entry_id: 1,
+        user_id,
+        movie_id,
+        watched_on,
+      }),
+    });
+    const entry = await logWatch(db, {
+      userId: 1,
+      movieId: 5,
+      watchedOn: "2026-10-19",
+    });
+    expect(entry).to.include({ movie_id: 5, watched_on: "2026-10-19" });
+    expect(db.callsTo("none")).to.deep.equal([[1, 5]]);
+  });
+
+  it("Loads the diary newest first with rewatches flagged", async () => {
+    const entries = [
+      { entry_id: 3, title: "Heat", rewatch: true },
+      { entry_id: 2, title: "Alien", rewatch: false },
+      { entry_id: 1, title: "Heat", rewatch: false },
+    ];
+    const db = fakeDb({ any: [entries] });
+    expect(await loadDiary(db, 1)).to.deep.equal(entries);
+    expect(db.callsTo("any")).to.deep.equal([[1]]);
+  });
+});